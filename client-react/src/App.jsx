@@ -7,59 +7,86 @@ import { BrowserRouter, Routes, Route, Navigate } from "react-router-dom";
 // Shared layout component (top navigation bar)
 import Navbar from "./components/Navbar";
 
+// Opens the database once and shares it with every page
+import CostsDbProvider from "./context/CostsDbProvider";
+
 // Application pages
 import AddCostPage from "./pages/AddCostPage";
 import SettingsPage from "./pages/SettingsPage";
 import ReportPage from "./pages/ReportPage";
 import PieChartPage from "./pages/PieChartPage";
 import BarChartPage from "./pages/BarChartPage";
+import DailyTrendPage from "./pages/DailyTrendPage";
+import RecurringPage from "./pages/RecurringPage";
+import CsvPage from "./pages/CsvPage";
 
 // App component – defines routes and overall app structure
 export default function App() {
     return (
         // BrowserRouter enables client-side routing using the HTML5 history API
         <BrowserRouter>
-            {/* Navigation bar is shown on all pages */}
-            <Navbar />
+            {/* Pages and the navigation bar (with its ledger switcher) share one database */}
+            <CostsDbProvider>
+                {/* Navigation bar is shown on all pages */}
+                <Navbar />
+
+                {/* Routes container – defines all application routes */}
+                <Routes>
+                    {/* Default route: redirect "/" to the Add Cost page */}
+                    <Route
+                        path="/"
+                        element={<Navigate to="/add-cost" replace />}
+                    />
+
+                    {/* Add new cost item */}
+                    <Route
+                        path="/add-cost"
+                        element={<AddCostPage />}
+                    />
+
+                    {/* Recurring costs management (rent, subscriptions, ...) */}
+                    <Route
+                        path="/recurring"
+                        element={<RecurringPage />}
+                    />
 
-            {/* Routes container – defines all application routes */}
-            <Routes>
-                {/* Default route: redirect "/" to the Add Cost page */}
-                <Route
-                    path="/"
-                    element={<Navigate to="/add-cost" replace />}
-                />
+                    {/* Application settings (exchange rates URL) */}
+                    <Route
+                        path="/settings"
+                        element={<SettingsPage />}
+                    />
 
-                {/* Add new cost item */}
-                <Route
-                    path="/add-cost"
-                    element={<AddCostPage />}
-                />
+                    {/* Monthly report page */}
+                    <Route
+                        path="/report"
+                        element={<ReportPage />}
+                    />
 
-                {/* Application settings (exchange rates URL) */}
-                <Route
-                    path="/settings"
-                    element={<SettingsPage />}
-                />
+                    {/* CSV export / import of cost items */}
+                    <Route
+                        path="/csv"
+                        element={<CsvPage />}
+                    />
 
-                {/* Monthly report page */}
-                <Route
-                    path="/report"
-                    element={<ReportPage />}
-                />
+                    {/* Pie chart by category */}
+                    <Route
+                        path="/charts/pie"
+                        element={<PieChartPage />}
+                    />
 
-                {/* Pie chart by category */}
-                <Route
-                    path="/charts/pie"
-                    element={<PieChartPage />}
-                />
+                    {/* Bar chart by month */}
+                    <Route
+                        path="/charts/bar"
+                        element={<BarChartPage />}
+                    />
 
-                {/* Bar chart by month */}
-                <Route
-                    path="/charts/bar"
-                    element={<BarChartPage />}
-                />
-            </Routes>
+                    {/* Cumulative daily spending within a month */}
+                    <Route
+                        path="/charts/daily"
+                        element={<DailyTrendPage />}
+                    />
+                </Routes>
+            </CostsDbProvider>
         </BrowserRouter>
     );
 }
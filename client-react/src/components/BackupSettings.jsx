@@ -0,0 +1,133 @@
+// BackupSettings.jsx
+// Responsible for downloading a full JSON backup of the database and restoring one
+
+// React hook for component state
+import { useState } from "react";
+
+// Material UI components for layout and form controls
+import {
+    Stack,
+    TextField,
+    MenuItem,
+    Button,
+    Typography,
+    Alert
+} from "@mui/material";
+
+// The provider re-reads the ledgers after a restore
+import useCostsDb from "../hooks/useCostsDb";
+
+// Saves generated text as a file
+import { downloadFile } from "../lib/download";
+
+// Dialog for confirming a restore (it can overwrite data)
+import ConfirmDialog from "./ConfirmDialog";
+
+// BackupSettings component – receives the opened DB API object from its page
+export default function BackupSettings({ db }) {
+    // A restore can add ledgers or remove the active one
+    const { refreshLedgers } = useCostsDb();
+
+    // Backup file chosen for restore + restore mode
+    const [file, setFile] = useState(null);
+    const [mode, setMode] = useState("merge");
+
+    // True while the restore confirmation dialog is open
+    const [confirming, setConfirming] = useState(false);
+
+    // Status message shown to the user (success / error)
+    const [status, setStatus] = useState({ type: "", msg: "" });
+
+    // Dump all stores and download them as costsdb-backup-YYYY-MM-DD.json
+    async function handleBackup() {
+        setStatus({ type: "", msg: "" });
+
+        try {
+            const json = await db.exportBackup();
+            const date = new Date().toISOString().slice(0, 10);
+            downloadFile(`costsdb-backup-${date}.json`, json, "application/json");
+        } catch (e) {
+            setStatus({ type: "error", msg: e.message });
+        }
+    }
+
+    // Restore the chosen file after the user confirmed it
+    async function handleConfirmRestore() {
+        setConfirming(false);
+        setStatus({ type: "", msg: "" });
+
+        try {
+            // Validation, checksum and schema migration are done in idb.js
+            const result = await db.restoreBackup(file, { mode });
+            const total = Object.values(result.restored).reduce((a, b) => a + b, 0);
+            setStatus({
+                type: "success",
+                msg: `Backup restored (${mode}): ${total} records written.`
+            });
+            setFile(null);
+            await refreshLedgers();
+        } catch (e) {
+            setStatus({ type: "error", msg: e.message });
+        }
+    }
+
+    return (
+        <Stack spacing={2}>
+            {/* Section title */}
+            <Typography variant="h6">Backup &amp; Restore</Typography>
+
+            {/* Show success/error status message only when it exists */}
+            {status.msg && <Alert severity={status.type}>{status.msg}</Alert>}
+
+            {/* Download a backup of everything */}
+            <Button variant="contained" onClick={handleBackup} disabled={!db}>
+                Download Backup
+            </Button>
+
+            {/* Restore: file + mode */}
+            <Stack direction={{ xs: "column", sm: "row" }} spacing={2}>
+                <Button variant="outlined" component="label" disabled={!db} fullWidth>
+                    {file ? file.name : "Choose backup file"}
+                    <input
+                        type="file"
+                        accept=".json,application/json"
+                        hidden
+                        onChange={(event) => setFile(event.target.files[0] || null)}
+                    />
+                </Button>
+                <TextField
+                    select
+                    label="Restore mode"
+                    value={mode}
+                    onChange={(event) => setMode(event.target.value)}
+                    fullWidth
+                >
+                    <MenuItem value="merge">Merge with current data</MenuItem>
+                    <MenuItem value="replace">Replace all current data</MenuItem>
+                </TextField>
+                <Button
+                    variant="contained"
+                    color="warning"
+                    onClick={() => setConfirming(true)}
+                    disabled={!db || !file}
+                >
+                    Restore
+                </Button>
+            </Stack>
+
+            {/* Restore confirmation dialog */}
+            <ConfirmDialog
+                open={confirming}
+                title="Restore backup?"
+                message={
+                    mode === "replace"
+                        ? "All current data will be deleted and replaced by the backup. Sync tokens are not part of a backup – enter them again to keep syncing."
+                        : "Records from the backup will be added to the current data."
+                }
+                confirmLabel="Restore"
+                onConfirm={handleConfirmRestore}
+                onCancel={() => setConfirming(false)}
+            />
+        </Stack>
+    );
+}
@@ -0,0 +1,137 @@
+// BudgetSettings.jsx
+// Responsible for setting / removing the monthly budget of each category (budgets store)
+
+// React hooks for component state and side effects
+import { useEffect, useState } from "react";
+
+// Material UI components for layout and form controls
+import {
+    Stack,
+    TextField,
+    Button,
+    Typography,
+    Alert,
+    Paper
+} from "@mui/material";
+
+// Currency dropdown built from the active rates source
+import CurrencySelect from "./CurrencySelect";
+
+// Category autocomplete over the stored categories
+import CategoryPicker from "./CategoryPicker";
+
+// BudgetSettings component – receives the opened DB API object from its page
+export default function BudgetSettings({ db }) {
+    // All saved budgets
+    const [budgets, setBudgets] = useState([]);
+
+    // Controlled inputs for the budget form
+    const [category, setCategory] = useState("");
+    const [amount, setAmount] = useState("");
+    const [currency, setCurrency] = useState("USD");
+
+    // Status message shown to the user (success / error)
+    const [status, setStatus] = useState({ type: "", msg: "" });
+
+    // Load the budgets whenever the DB becomes available
+    useEffect(() => {
+        // Wait until DB is ready
+        if (!db) {
+            return;
+        }
+
+        // "alive" prevents setting state after unmount (avoids React warnings)
+        let alive = true;
+
+        Promise.all([db.listBudgets(), db.getDefaultCurrency()])
+            .then(([list, defaultCurrency]) => {
+                if (alive) {
+                    setBudgets(list);
+                    setCurrency(defaultCurrency);
+                }
+            })
+            .catch((e) => {
+                if (alive) {
+                    setStatus({ type: "error", msg: e.message });
+                }
+            });
+
+        // Cleanup runs when the component unmounts
+        return () => {
+            alive = false;
+        };
+    }, [db]);
+
+    // Save (or replace) the budget of the entered category
+    async function handleSave() {
+        setStatus({ type: "", msg: "" });
+
+        try {
+            // Validation (positive amount, category required) is done in idb.js
+            await db.setBudget(category.trim(), amount, currency);
+            setBudgets(await db.listBudgets());
+            setStatus({ type: "success", msg: "Budget saved." });
+            setCategory("");
+            setAmount("");
+        } catch (e) {
+            setStatus({ type: "error", msg: e.message });
+        }
+    }
+
+    // Remove the budget of a category
+    async function handleDelete(budgetCategory) {
+        setStatus({ type: "", msg: "" });
+
+        try {
+            await db.deleteBudget(budgetCategory);
+            setBudgets(await db.listBudgets());
+        } catch (e) {
+            setStatus({ type: "error", msg: e.message });
+        }
+    }
+
+    return (
+        <Stack spacing={2}>
+            {/* Section title */}
+            <Typography variant="h6">Monthly Budgets</Typography>
+
+            {/* Show success/error status message only when it exists */}
+            {status.msg && <Alert severity={status.type}>{status.msg}</Alert>}
+
+            {/* Budget form: category, amount, currency */}
+            <Stack direction={{ xs: "column", sm: "row" }} spacing={2}>
+                <CategoryPicker db={db} value={category} onChange={setCategory} fullWidth />
+                <TextField
+                    label="Monthly budget"
+                    type="number"
+                    value={amount}
+                    onChange={(event) => setAmount(event.target.value)}
+                    inputProps={{ step: "0.01" }}
+                    fullWidth
+                />
+                <CurrencySelect db={db} value={currency} onChange={setCurrency} fullWidth />
+                <Button variant="contained" onClick={handleSave} disabled={!db}>
+                    Save
+                </Button>
+            </Stack>
+
+            {/* Saved budgets */}
+            {budgets.length === 0 ? (
+                <Typography>No budgets set.</Typography>
+            ) : (
+                budgets.map((b) => (
+                    <Paper key={b.category} variant="outlined" sx={{ p: 1.5 }}>
+                        <Stack direction="row" spacing={2} sx={{ alignItems: "center" }}>
+                            <Typography sx={{ flexGrow: 1 }}>
+                                <b>{b.category}</b> — {b.amount.toFixed(2)} {b.currency} / month
+                            </Typography>
+                            <Button size="small" color="error" onClick={() => handleDelete(b.category)}>
+                                Remove
+                            </Button>
+                        </Stack>
+                    </Paper>
+                ))
+            )}
+        </Stack>
+    );
+}
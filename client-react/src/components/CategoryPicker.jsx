@@ -0,0 +1,109 @@
+// CategoryPicker.jsx
+// Responsible for choosing a category: autocomplete over the stored categories,
+// while still allowing a new name (it is created when the item is saved)
+
+// React hooks for component state and side effects
+import { useEffect, useState } from "react";
+
+// Material UI components for the autocomplete field
+import { Autocomplete, TextField, Box } from "@mui/material";
+
+// Same spelling rule as the DB layer (so "food" matches the stored "FOOD")
+import { normalizeCategory } from "../lib/categories";
+
+// CategoryPicker component – loads the categories from the DB layer
+// Extra props (fullWidth, sx, ...) are passed to the Autocomplete
+export default function CategoryPicker({
+    db,
+    value,
+    onChange,
+    label = "Category",
+    required = false,
+    ...rest
+}) {
+    // Stored categories: [{ name, color, icon }, ...]
+    const [categories, setCategories] = useState([]);
+
+    // Load the list whenever the DB becomes available
+    useEffect(() => {
+        // Wait until DB is ready
+        if (!db) {
+            return;
+        }
+
+        // "alive" prevents setting state after unmount (avoids React warnings)
+        let alive = true;
+
+        db.listCategories()
+            .then((list) => {
+                if (alive) {
+                    setCategories(list);
+                }
+            })
+            // Without the list the field still works as plain free text
+            .catch(() => {});
+
+        // Cleanup runs when the component unmounts
+        return () => {
+            alive = false;
+        };
+    }, [db]);
+
+    // Category record of the current text (for the colour dot), if it exists
+    const current = categories.find((c) => c.name === normalizeCategory(value));
+
+    return (
+        <Autocomplete
+            freeSolo
+            options={categories.map((c) => c.name)}
+            inputValue={value}
+            onInputChange={(event, text) => onChange(text)}
+            renderOption={(props, name) => {
+                const { key, ...optionProps } = props;
+                const category = categories.find((c) => c.name === name);
+                return (
+                    <Box component="li" key={key} {...optionProps}>
+                        <ColorDot color={category?.color} />
+                        {category?.icon ? `${category.icon} ` : ""}
+                        {name}
+                    </Box>
+                );
+            }}
+            renderInput={(params) => (
+                <TextField
+                    {...params}
+                    label={label}
+                    required={required}
+                    helperText={
+                        value.trim() && !current ? "New category – it will be created on save" : undefined
+                    }
+                    slotProps={{
+                        input: {
+                            ...params.InputProps,
+                            startAdornment: current ? <ColorDot color={current.color} /> : null
+                        }
+                    }}
+                />
+            )}
+            {...rest}
+        />
+    );
+}
+
+// Small colour swatch in front of a category name
+function ColorDot({ color }) {
+    return (
+        <Box
+            component="span"
+            sx={{
+                display: "inline-block",
+                width: 12,
+                height: 12,
+                borderRadius: "50%",
+                bgcolor: color || "grey.400",
+                mr: 1,
+                flexShrink: 0
+            }}
+        />
+    );
+}
@@ -0,0 +1,241 @@
+// CategorySettings.jsx
+// Responsible for managing categories: colour / icon, rename, merge and delete
+// (renaming or merging rewrites the existing costs of the category)
+
+// React hooks for component state and side effects
+import { useEffect, useState } from "react";
+
+// Material UI components for layout and form controls
+import {
+    Stack,
+    TextField,
+    Button,
+    Typography,
+    Alert,
+    Paper
+} from "@mui/material";
+
+// Dialog for confirming a merge into an existing category
+import ConfirmDialog from "./ConfirmDialog";
+
+// Same spelling rule as the DB layer (to detect a rename into an existing category)
+import { normalizeCategory } from "../lib/categories";
+
+// CategorySettings component – receives the opened DB API object from its page
+export default function CategorySettings({ db }) {
+    // All stored categories: [{ name, color, icon }, ...]
+    const [categories, setCategories] = useState([]);
+
+    // Controlled inputs for a new category
+    const [name, setName] = useState("");
+    const [color, setColor] = useState("#0088FE");
+
+    // Pending merge ({ from, into }) waiting for confirmation
+    const [merging, setMerging] = useState(null);
+
+    // Status message shown to the user (success / error)
+    const [status, setStatus] = useState({ type: "", msg: "" });
+
+    // Load the categories whenever the DB becomes available
+    useEffect(() => {
+        // Wait until DB is ready
+        if (!db) {
+            return;
+        }
+
+        // "alive" prevents setting state after unmount (avoids React warnings)
+        let alive = true;
+
+        db.listCategories()
+            .then((list) => {
+                if (alive) {
+                    setCategories(list);
+                }
+            })
+            .catch((e) => {
+                if (alive) {
+                    setStatus({ type: "error", msg: e.message });
+                }
+            });
+
+        // Cleanup runs when the component unmounts
+        return () => {
+            alive = false;
+        };
+    }, [db]);
+
+    // Run a DB change, reload the list and report the result
+    async function run(action, successMsg) {
+        setStatus({ type: "", msg: "" });
+
+        try {
+            const result = await action();
+            setCategories(await db.listCategories());
+            setStatus({ type: "success", msg: successMsg(result) });
+            return true;
+        } catch (e) {
+            setStatus({ type: "error", msg: e.message });
+            return false;
+        }
+    }
+
+    // Create a new category
+    async function handleAdd() {
+        const ok = await run(
+            () => db.addCategory({ name, color }),
+            (c) => `Category ${c.name} added.`
+        );
+        if (ok) {
+            setName("");
+        }
+    }
+
+    // Rename a category – a name that already exists asks to merge instead
+    function handleRename(from, to) {
+        const target = normalizeCategory(to);
+        if (categories.some((c) => c.name === target) && target !== from) {
+            setMerging({ from, into: target });
+            return;
+        }
+
+        run(
+            () => db.renameCategory(from, to),
+            (r) => `Renamed ${from} to ${r.name} (${r.costs} cost items updated).`
+        );
+    }
+
+    // Merge after confirmation
+    async function handleConfirmMerge() {
+        const { from, into } = merging;
+        setMerging(null);
+        await run(
+            () => db.mergeCategories(from, into),
+            (r) => `Merged ${from} into ${r.name} (${r.costs} cost items moved).`
+        );
+    }
+
+    return (
+        <Stack spacing={2}>
+            {/* Section title */}
+            <Typography variant="h6">Categories</Typography>
+
+            {/* Show success/error status message only when it exists */}
+            {status.msg && <Alert severity={status.type}>{status.msg}</Alert>}
+
+            {/* New category form: name + colour */}
+            <Stack direction={{ xs: "column", sm: "row" }} spacing={2}>
+                <TextField
+                    label="New category"
+                    value={name}
+                    onChange={(event) => setName(event.target.value)}
+                    fullWidth
+                />
+                <TextField
+                    label="Colour"
+                    type="color"
+                    value={color}
+                    onChange={(event) => setColor(event.target.value)}
+                    sx={{ minWidth: 100 }}
+                />
+                <Button variant="contained" onClick={handleAdd} disabled={!db}>
+                    Add
+                </Button>
+            </Stack>
+
+            {/* Stored categories – key resets a row's inputs after its category changed */}
+            {categories.length === 0 ? (
+                <Typography>No categories yet.</Typography>
+            ) : (
+                categories.map((c) => (
+                    <CategoryRow
+                        key={`${c.name}|${c.color}|${c.icon}`}
+                        category={c}
+                        onSaveStyle={(patch) =>
+                            run(() => db.updateCategory(c.name, patch), () => `${c.name} saved.`)
+                        }
+                        onRename={(to) => handleRename(c.name, to)}
+                        onDelete={() =>
+                            run(() => db.deleteCategory(c.name), () => `${c.name} deleted.`)
+                        }
+                    />
+                ))
+            )}
+
+            {/* Merge confirmation (all costs of one category move to the other) */}
+            <ConfirmDialog
+                open={Boolean(merging)}
+                title="Merge categories?"
+                message={
+                    merging
+                        ? `${merging.into} already exists. All costs, recurring rules and the budget of ` +
+                          `${merging.from} will move to ${merging.into}, and ${merging.from} will be removed.`
+                        : ""
+                }
+                confirmLabel="Merge"
+                onConfirm={handleConfirmMerge}
+                onCancel={() => setMerging(null)}
+            />
+        </Stack>
+    );
+}
+
+// One category: colour + icon (saved together) and a rename field
+function CategoryRow({ category, onSaveStyle, onRename, onDelete }) {
+    // Drafts start from the stored values (the parent's key resets them)
+    const [color, setColor] = useState(category.color);
+    const [icon, setIcon] = useState(category.icon);
+    const [newName, setNewName] = useState("");
+
+    return (
+        <Paper variant="outlined" sx={{ p: 1.5 }}>
+            <Stack direction={{ xs: "column", md: "row" }} spacing={2} sx={{ alignItems: "center" }}>
+                {/* Name (with its icon) */}
+                <Typography sx={{ flexGrow: 1, fontWeight: "bold" }}>
+                    {category.icon ? `${category.icon} ` : ""}
+                    {category.name}
+                </Typography>
+
+                {/* Colour and icon */}
+                <TextField
+                    label="Colour"
+                    type="color"
+                    size="small"
+                    value={color}
+                    onChange={(event) => setColor(event.target.value)}
+                    sx={{ minWidth: 90 }}
+                />
+                <TextField
+                    label="Icon"
+                    size="small"
+                    value={icon}
+                    onChange={(event) => setIcon(event.target.value)}
+                    placeholder="🍔"
+                    sx={{ width: 80 }}
+                />
+                <Button
+                    size="small"
+                    onClick={() => onSaveStyle({ color, icon })}
+                    disabled={color === category.color && icon === category.icon}
+                >
+                    Save
+                </Button>
+
+                {/* Rename (or merge, when the name already exists) */}
+                <TextField
+                    label="Rename to"
+                    size="small"
+                    value={newName}
+                    onChange={(event) => setNewName(event.target.value)}
+                />
+                <Button size="small" onClick={() => onRename(newName)} disabled={!newName.trim()}>
+                    Rename
+                </Button>
+
+                {/* Only unused categories can be deleted (idb.js checks it) */}
+                <Button size="small" color="error" onClick={onDelete}>
+                    Delete
+                </Button>
+            </Stack>
+        </Paper>
+    );
+}
@@ -0,0 +1,43 @@
+// ConfirmDialog.jsx
+// Responsible for asking the user to confirm a destructive action (e.g. deleting a cost item)
+
+// Material UI components for the dialog UI
+import {
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogContentText,
+    DialogActions,
+    Button
+} from "@mui/material";
+
+// ConfirmDialog component – shows a title, a message and Cancel / Confirm buttons
+export default function ConfirmDialog({
+    open,
+    title,
+    message,
+    confirmLabel = "Delete",
+    onConfirm,
+    onCancel
+}) {
+    return (
+        // Dialog is closed by clicking outside or pressing Escape (same as Cancel)
+        <Dialog open={open} onClose={onCancel}>
+            {/* Dialog title */}
+            <DialogTitle>{title}</DialogTitle>
+
+            {/* Explanation of what is about to happen */}
+            <DialogContent>
+                <DialogContentText>{message}</DialogContentText>
+            </DialogContent>
+
+            {/* Action buttons */}
+            <DialogActions>
+                <Button onClick={onCancel}>Cancel</Button>
+                <Button color="error" variant="contained" onClick={onConfirm}>
+                    {confirmLabel}
+                </Button>
+            </DialogActions>
+        </Dialog>
+    );
+}
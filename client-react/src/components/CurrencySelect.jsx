@@ -0,0 +1,68 @@
+// CurrencySelect.jsx
+// Responsible for rendering a currency dropdown built from the active rates source
+
+// React hooks for component state and side effects
+import { useEffect, useState } from "react";
+
+// Material UI components for the dropdown
+import { TextField, MenuItem } from "@mui/material";
+
+// CurrencySelect component – loads the supported currencies from the DB layer
+// Extra props (fullWidth, sx, ...) are passed to the TextField
+export default function CurrencySelect({ db, value, onChange, label = "Currency", ...rest }) {
+    // Currency codes of the active rates source
+    const [currencies, setCurrencies] = useState([]);
+
+    // Error loading the list (e.g. rates server down and nothing cached)
+    const [error, setError] = useState("");
+
+    // Load the list whenever the DB becomes available
+    useEffect(() => {
+        // Wait until DB is ready
+        if (!db) {
+            return;
+        }
+
+        // "alive" prevents setting state after unmount (avoids React warnings)
+        let alive = true;
+
+        db.getSupportedCurrencies()
+            .then((list) => {
+                if (alive) {
+                    setCurrencies(list);
+                    setError("");
+                }
+            })
+            .catch((e) => {
+                if (alive) {
+                    setError(e.message);
+                }
+            });
+
+        // Cleanup runs when the component unmounts
+        return () => {
+            alive = false;
+        };
+    }, [db]);
+
+    // Keep the selected value as an option while the list is loading (or unavailable)
+    const options = !value || currencies.includes(value) ? currencies : [value, ...currencies];
+
+    return (
+        <TextField
+            select
+            label={label}
+            value={value}
+            onChange={(event) => onChange(event.target.value)}
+            error={Boolean(error)}
+            helperText={error ? "Currency list unavailable" : undefined}
+            {...rest}
+        >
+            {options.map((cur) => (
+                <MenuItem key={cur} value={cur}>
+                    {cur}
+                </MenuItem>
+            ))}
+        </TextField>
+    );
+}
@@ -0,0 +1,114 @@
+// EditCostDialog.jsx
+// Responsible for editing an existing cost item (sum, currency, category, description, tags)
+
+// React hook for the controlled form fields
+import { useState } from "react";
+
+// Material UI components for the dialog and form UI
+import {
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogActions,
+    Stack,
+    TextField,
+    Button,
+    Alert
+} from "@mui/material";
+
+// Currency dropdown built from the active rates source
+import CurrencySelect from "./CurrencySelect";
+
+// Category autocomplete over the stored categories
+import CategoryPicker from "./CategoryPicker";
+
+// Tags input (chips, with the tags already in use as suggestions)
+import TagsField from "./TagsField";
+
+// EditCostDialog component – the parent should pass key={cost.id} so the form resets per item
+// (db is the opened DB API object, used for the currency and category lists)
+export default function EditCostDialog({ db, cost, onSave, onCancel }) {
+    // Controlled inputs start from the ORIGINAL (not converted) values of the item
+    const [sum, setSum] = useState(String(cost.original?.sum ?? cost.sum));
+    const [currency, setCurrency] = useState(cost.original?.currency ?? cost.currency);
+    const [category, setCategory] = useState(cost.category);
+    const [description, setDescription] = useState(cost.description);
+    const [tags, setTags] = useState(cost.tags || []);
+
+    // Validation error shown inside the dialog
+    const [error, setError] = useState("");
+
+    // Validate inputs and pass the patch to the parent
+    function handleSave() {
+        // Convert the sum input from string to number
+        const numSum = Number(sum);
+
+        // Validate that sum is a positive number
+        if (!Number.isFinite(numSum) || numSum <= 0) {
+            setError("Sum must be a positive number.");
+            return;
+        }
+
+        // Category and description are required (same as the Add Cost form)
+        if (!category.trim() || !description.trim()) {
+            setError("Category and description are required.");
+            return;
+        }
+
+        onSave({ sum: numSum, currency, category, description, tags });
+    }
+
+    return (
+        <Dialog open onClose={onCancel} fullWidth maxWidth="sm">
+            {/* Dialog title */}
+            <DialogTitle>Edit Cost</DialogTitle>
+
+            <DialogContent>
+                {/* Show validation error only when it exists */}
+                {error && (
+                    <Alert severity="error" sx={{ mb: 2 }}>
+                        {error}
+                    </Alert>
+                )}
+
+                {/* Form fields laid out vertically */}
+                <Stack spacing={2} sx={{ mt: 1 }}>
+                    {/* Sum input (numeric) */}
+                    <TextField
+                        label="Sum"
+                        value={sum}
+                        onChange={(event) => setSum(event.target.value)}
+                        type="number"
+                        inputProps={{ step: "0.01" }}
+                        required
+                    />
+
+                    {/* Currency select (currencies of the active rates source) */}
+                    <CurrencySelect db={db} value={currency} onChange={setCurrency} />
+
+                    {/* Category picker (a new name is created on save) */}
+                    <CategoryPicker db={db} value={category} onChange={setCategory} required />
+
+                    {/* Description input */}
+                    <TextField
+                        label="Description"
+                        value={description}
+                        onChange={(event) => setDescription(event.target.value)}
+                        required
+                    />
+
+                    {/* Tags (optional) */}
+                    <TagsField db={db} value={tags} onChange={setTags} />
+                </Stack>
+            </DialogContent>
+
+            {/* Action buttons */}
+            <DialogActions>
+                <Button onClick={onCancel}>Cancel</Button>
+                <Button variant="contained" onClick={handleSave}>
+                    Save
+                </Button>
+            </DialogActions>
+        </Dialog>
+    );
+}
@@ -0,0 +1,158 @@
+// LedgerSettings.jsx
+// Responsible for managing ledgers (personal, household, business, ...):
+// creating, renaming, archiving / restoring and switching to one
+
+// React hook for component state
+import { useState } from "react";
+
+// Material UI components for layout and form controls
+import {
+    Stack,
+    TextField,
+    Button,
+    Typography,
+    Alert,
+    Paper,
+    Chip
+} from "@mui/material";
+
+// The ledgers live in the provider (the navbar switcher shows the same list)
+import useCostsDb from "../hooks/useCostsDb";
+
+// LedgerSettings component – reads the DB and the ledgers from the shared provider
+export default function LedgerSettings() {
+    // Ledgers ([{ id, name, archived }]), the active one and the actions that update them
+    const { db, ledgers, activeLedgerId, refreshLedgers, switchLedger } = useCostsDb();
+
+    // Controlled input for a new ledger
+    const [name, setName] = useState("");
+
+    // Status message shown to the user (success / error)
+    const [status, setStatus] = useState({ type: "", msg: "" });
+
+    // Run a DB change, reload the ledgers and report the result
+    async function run(action, successMsg) {
+        setStatus({ type: "", msg: "" });
+
+        try {
+            const result = await action();
+            await refreshLedgers();
+            setStatus({ type: "success", msg: successMsg(result) });
+            return true;
+        } catch (e) {
+            setStatus({ type: "error", msg: e.message });
+            return false;
+        }
+    }
+
+    // Create a new (empty) ledger
+    async function handleAdd() {
+        const ok = await run(
+            () => db.addLedger(name),
+            (l) => `Ledger ${l.name} added.`
+        );
+        if (ok) {
+            setName("");
+        }
+    }
+
+    // Switch to a ledger (every page is reloaded for it)
+    async function handleSwitch(id) {
+        setStatus({ type: "", msg: "" });
+
+        try {
+            await switchLedger(id);
+        } catch (e) {
+            setStatus({ type: "error", msg: e.message });
+        }
+    }
+
+    return (
+        <Stack spacing={2}>
+            {/* Section title */}
+            <Typography variant="h6">Ledgers</Typography>
+
+            {/* What belongs to a ledger */}
+            <Typography variant="body2">
+                Costs, recurring costs, budgets and the settings above belong to the active
+                ledger. Categories are shared by all ledgers.
+            </Typography>
+
+            {/* Show success/error status message only when it exists */}
+            {status.msg && <Alert severity={status.type}>{status.msg}</Alert>}
+
+            {/* New ledger form */}
+            <Stack direction={{ xs: "column", sm: "row" }} spacing={2}>
+                <TextField
+                    label="New ledger"
+                    placeholder="Household"
+                    value={name}
+                    onChange={(event) => setName(event.target.value)}
+                    fullWidth
+                />
+                <Button variant="contained" onClick={handleAdd}>
+                    Add
+                </Button>
+            </Stack>
+
+            {/* Every ledger – key resets a row's input after its name changed */}
+            {ledgers.map((l) => (
+                <LedgerRow
+                    key={`${l.id}|${l.name}`}
+                    ledger={l}
+                    active={l.id === activeLedgerId}
+                    onRename={(to) =>
+                        run(() => db.renameLedger(l.id, to), (r) => `Renamed ${l.name} to ${r.name}.`)
+                    }
+                    onArchive={() =>
+                        run(
+                            () => db.archiveLedger(l.id, !l.archived),
+                            (r) => `${r.name} ${r.archived ? "archived" : "restored"}.`
+                        )
+                    }
+                    onSwitch={() => handleSwitch(l.id)}
+                />
+            ))}
+        </Stack>
+    );
+}
+
+// One ledger: name (with its state), rename field and actions
+function LedgerRow({ ledger, active, onRename, onArchive, onSwitch }) {
+    // Draft of the new name (the parent's key resets it)
+    const [newName, setNewName] = useState("");
+
+    return (
+        <Paper variant="outlined" sx={{ p: 1.5 }}>
+            <Stack direction={{ xs: "column", md: "row" }} spacing={2} sx={{ alignItems: "center" }}>
+                {/* Name + state (a div – the chips can't be inside a <p>) */}
+                <Typography component="div" sx={{ flexGrow: 1, fontWeight: "bold" }}>
+                    {ledger.name}{" "}
+                    {active && <Chip size="small" color="primary" label="active" />}
+                    {ledger.archived && <Chip size="small" label="archived" />}
+                </Typography>
+
+                {/* Rename */}
+                <TextField
+                    label="Rename to"
+                    size="small"
+                    value={newName}
+                    onChange={(event) => setNewName(event.target.value)}
+                />
+                <Button size="small" onClick={() => onRename(newName)} disabled={!newName.trim()}>
+                    Rename
+                </Button>
+
+                {/* Switch to it (archived ledgers must be restored first) */}
+                <Button size="small" onClick={onSwitch} disabled={active || ledger.archived}>
+                    Switch to
+                </Button>
+
+                {/* Archive keeps the data but hides the ledger from the switcher */}
+                <Button size="small" color="warning" onClick={onArchive} disabled={active}>
+                    {ledger.archived ? "Restore" : "Archive"}
+                </Button>
+            </Stack>
+        </Paper>
+    );
+}
@@ -1,14 +1,45 @@
 // NavBar.jsx
 // Responsible for rendering the top navigation bar of the application
+// and the switcher of the active ledger
+
+// React hook for the switch error message
+import { useState } from "react";
 
 // Import UI components from Material UI
-import { AppBar, Toolbar, Typography, Button } from "@mui/material";
+import {
+    AppBar,
+    Toolbar,
+    Typography,
+    Button,
+    Select,
+    MenuItem,
+    Snackbar,
+    Alert
+} from "@mui/material";
 
 // Import Link component from React Router (renamed to avoid name clash)
 import { Link as RouterLink } from "react-router-dom";
 
+// The ledgers and the switch action of the shared database
+import useCostsDb from "../hooks/useCostsDb";
+
 // Navbar component – displayed on all main pages
 export default function Navbar() {
+    // Ledgers (archived ones are not offered) and the active one
+    const { ledgers, activeLedgerId, switchLedger } = useCostsDb();
+
+    // Error message when switching failed (shown in a snackbar)
+    const [error, setError] = useState("");
+
+    // Switch the ledger every page works on
+    async function handleSwitch(event) {
+        try {
+            await switchLedger(event.target.value);
+        } catch (e) {
+            setError(e.message);
+        }
+    }
+
     return (
         // AppBar provides a fixed application header
         <AppBar position="static">
@@ -22,6 +53,23 @@ export default function Navbar() {
                     Cost Manager
                 </Typography>
 
+                {/* Ledger switcher – costs, settings, reports and charts belong to the active ledger */}
+                <Select
+                    value={activeLedgerId ?? ""}
+                    onChange={handleSwitch}
+                    variant="standard"
+                    inputProps={{ "aria-label": "Ledger" }}
+                    sx={{ color: "inherit", "& .MuiSvgIcon-root": { color: "inherit" } }}
+                >
+                    {ledgers
+                        .filter((l) => !l.archived)
+                        .map((l) => (
+                            <MenuItem key={l.id} value={l.id}>
+                                {l.name}
+                            </MenuItem>
+                        ))}
+                </Select>
+
                 {/* Navigation button – leads to Add Cost page */}
                 <Button
                     color="inherit"
@@ -31,7 +79,16 @@ export default function Navbar() {
                     Add Cost
                 </Button>
 
-                {/* Navigation button – leads to Monthly Report page */}
+                {/* Navigation button – leads to Recurring Costs page */}
+                <Button
+                    color="inherit"
+                    component={RouterLink}
+                    to="/recurring"
+                >
+                    Recurring
+                </Button>
+
+                {/* Navigation button – leads to the Report page (month or date range) */}
                 <Button
                     color="inherit"
                     component={RouterLink}
@@ -58,6 +115,24 @@ export default function Navbar() {
                     Bar Chart
                 </Button>
 
+                {/* Navigation button – leads to Daily Trend page */}
+                <Button
+                    color="inherit"
+                    component={RouterLink}
+                    to="/charts/daily"
+                >
+                    Daily Trend
+                </Button>
+
+                {/* Navigation button – leads to CSV Export / Import page */}
+                <Button
+                    color="inherit"
+                    component={RouterLink}
+                    to="/csv"
+                >
+                    CSV
+                </Button>
+
                 {/* Navigation button – leads to Settings page */}
                 <Button
                     color="inherit"
@@ -67,6 +142,13 @@ export default function Navbar() {
                     Settings
                 </Button>
             </Toolbar>
+
+            {/* Switch error (e.g. the ledger was archived in another tab) */}
+            <Snackbar open={Boolean(error)} autoHideDuration={6000} onClose={() => setError("")}>
+                <Alert severity="error" onClose={() => setError("")}>
+                    {error}
+                </Alert>
+            </Snackbar>
         </AppBar>
     );
 }
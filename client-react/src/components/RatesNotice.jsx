@@ -0,0 +1,22 @@
+// RatesNotice.jsx
+// Responsible for telling the user when amounts were converted with cached (offline) exchange rates
+
+// Material UI component for the notice
+import { Alert } from "@mui/material";
+
+// RatesNotice component – renders nothing when the rates were fetched fresh
+export default function RatesNotice({ info }) {
+    // Only cached rates need a notice
+    if (!info || !info.cached) {
+        return null;
+    }
+
+    return (
+        <Alert severity="warning" sx={{ mb: 2 }}>
+            Rates as of {new Date(info.fetchedAt).toLocaleString()} — the rates server (
+            {info.sourceUrl}) could not be used, so the last saved rates were used.
+            {/* Why the fresh rates were rejected (unreachable server or invalid payload) */}
+            {info.reason && ` (${info.reason})`}
+        </Alert>
+    );
+}
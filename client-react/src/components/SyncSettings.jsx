@@ -0,0 +1,178 @@
+// SyncSettings.jsx
+// Responsible for the server sync of the active ledger: server URL, token and space,
+// the number of changes waiting to be sent, and a "Sync now" button
+
+// React hooks for component state and side effects
+import { useEffect, useRef, useState } from "react";
+
+// Material UI components for layout and form controls
+import {
+    Stack,
+    TextField,
+    Button,
+    Typography,
+    Alert
+} from "@mui/material";
+
+// Readable messages for typed sync errors (unreachable server, wrong token)
+import { errorMessage } from "../lib/errors";
+
+// The active ledger's name is the suggested space
+import useCostsDb from "../hooks/useCostsDb";
+
+// SyncSettings component – receives the opened DB API object from its page
+export default function SyncSettings({ db }) {
+    // Ledgers and the active one (for the suggested space)
+    const { ledgers, activeLedgerId } = useCostsDb();
+
+    // Controlled inputs for the server URL, the token and the space
+    const [url, setUrl] = useState("");
+    const [token, setToken] = useState("");
+    const [space, setSpace] = useState("");
+
+    // { url, space, hasToken, lastSyncAt, pending } of the active ledger (null until loaded)
+    const [syncStatus, setSyncStatus] = useState(null);
+
+    // True while a sync is running (the button is disabled meanwhile)
+    const [syncing, setSyncing] = useState(false);
+
+    // Status message shown to the user (success / error)
+    const [status, setStatus] = useState({ type: "", msg: "" });
+
+    // Name of the active ledger (read inside the effect, not a dependency of it)
+    const ledgerName = ledgers.find((l) => l.id === activeLedgerId)?.name || "";
+    const ledgerNameRef = useRef(ledgerName);
+    ledgerNameRef.current = ledgerName;
+
+    // Load the saved sync settings once to prefill the form
+    useEffect(() => {
+        // "alive" prevents setting state after unmount (avoids React warnings)
+        let alive = true;
+
+        db.getSyncStatus()
+            .then((saved) => {
+                if (alive) {
+                    setUrl(saved.url || "");
+                    setSpace(saved.space || ledgerNameRef.current);
+                    setSyncStatus(saved);
+                }
+            })
+            .catch((e) => {
+                if (alive) {
+                    setStatus({ type: "error", msg: e.message });
+                }
+            });
+
+        // Cleanup runs when the component unmounts
+        return () => {
+            alive = false;
+        };
+    }, [db]);
+
+    // Save the server URL, token and space (validated in idb.js)
+    async function handleSave() {
+        setStatus({ type: "", msg: "" });
+
+        try {
+            await db.setSyncSettings({ url, token, space });
+            setToken("");
+            setSyncStatus(await db.getSyncStatus());
+            setStatus({ type: "success", msg: "Sync settings saved." });
+        } catch (e) {
+            setStatus({ type: "error", msg: e.message });
+        }
+    }
+
+    // Send the waiting changes and fetch the ones made on other devices
+    async function handleSync() {
+        setStatus({ type: "", msg: "" });
+        setSyncing(true);
+
+        try {
+            const result = await db.syncNow();
+            setStatus({
+                type: "success",
+                msg:
+                    `Synced: ${result.pushed} change(s) sent, ${result.pulled} received` +
+                    (result.conflicts > 0
+                        ? `, ${result.conflicts} replaced by a newer version from another device.`
+                        : ".")
+            });
+        } catch (e) {
+            setStatus({ type: "error", msg: errorMessage(e) });
+        } finally {
+            setSyncing(false);
+            setSyncStatus(await db.getSyncStatus().catch(() => null));
+        }
+    }
+
+    return (
+        <Stack spacing={2}>
+            {/* Section title */}
+            <Typography variant="h6">Sync</Typography>
+
+            {/* What is synced */}
+            <Typography variant="body2">
+                Costs of the active ledger are synced with the server, so other devices
+                with the same server, token and space see them too. Every ledger needs
+                its own space. Changes wait here until the next sync.
+            </Typography>
+
+            {/* Show success/error status message only when it exists */}
+            {status.msg && <Alert severity={status.type}>{status.msg}</Alert>}
+
+            {/* Server URL, token and space (the saved token is never shown) */}
+            <Stack direction={{ xs: "column", sm: "row" }} spacing={2}>
+                <TextField
+                    label="Sync server URL"
+                    placeholder="https://example.com"
+                    value={url}
+                    onChange={(event) => setUrl(event.target.value)}
+                    fullWidth
+                />
+                <TextField
+                    label="Sync token"
+                    type="password"
+                    value={token}
+                    onChange={(event) => setToken(event.target.value)}
+                    placeholder={syncStatus && syncStatus.hasToken ? "(saved)" : ""}
+                    fullWidth
+                />
+                <TextField
+                    label="Sync space"
+                    value={space}
+                    onChange={(event) => setSpace(event.target.value)}
+                    fullWidth
+                />
+                <Button variant="outlined" onClick={handleSave}>
+                    Save
+                </Button>
+            </Stack>
+
+            {/* Outbox size, last sync and the sync button */}
+            <Stack direction={{ xs: "column", sm: "row" }} spacing={2} sx={{ alignItems: "center" }}>
+                <Typography variant="body2" sx={{ flexGrow: 1 }}>
+                    {syncStatus
+                        ? `${syncStatus.pending} change(s) waiting · ` +
+                          (syncStatus.lastSyncAt
+                              ? `last synced ${new Date(syncStatus.lastSyncAt).toLocaleString()}`
+                              : "never synced")
+                        : ""}
+                </Typography>
+                <Button
+                    variant="contained"
+                    onClick={handleSync}
+                    disabled={
+                        syncing ||
+                        !syncStatus ||
+                        !syncStatus.url ||
+                        !syncStatus.space ||
+                        !syncStatus.hasToken
+                    }
+                >
+                    {syncing ? "Syncing…" : "Sync now"}
+                </Button>
+            </Stack>
+        </Stack>
+    );
+}
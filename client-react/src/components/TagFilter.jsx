@@ -0,0 +1,39 @@
+// TagFilter.jsx
+// Responsible for the tag filter of the report and chart pages:
+// tags in use + whether a cost needs any or all of them
+
+// Material UI components for layout and the match select
+import { Stack, TextField, MenuItem } from "@mui/material";
+
+// Tags picker (restricted to tags in use)
+import TagsField from "./TagsField";
+
+// TagFilter component – tags is an array, match is "any" | "all"
+export default function TagFilter({ db, tags, onTagsChange, match, onMatchChange }) {
+    return (
+        <Stack direction={{ xs: "column", sm: "row" }} spacing={2} sx={{ mb: 2 }}>
+            {/* Tags to filter by (empty = no filter) */}
+            <TagsField
+                db={db}
+                value={tags}
+                onChange={onTagsChange}
+                label="Filter by tags"
+                freeSolo={false}
+                fullWidth
+            />
+
+            {/* How several tags combine (only matters with 2+ tags) */}
+            <TextField
+                select
+                label="Match"
+                value={match}
+                onChange={(event) => onMatchChange(event.target.value)}
+                disabled={tags.length < 2}
+                sx={{ minWidth: 160 }}
+            >
+                <MenuItem value="any">Any of the tags</MenuItem>
+                <MenuItem value="all">All of the tags</MenuItem>
+            </TextField>
+        </Stack>
+    );
+}
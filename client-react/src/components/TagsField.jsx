@@ -0,0 +1,71 @@
+// TagsField.jsx
+// Responsible for entering or choosing several tags ("vacation-2026", "work") as chips
+
+// React hooks for component state and side effects
+import { useEffect, useState } from "react";
+
+// Material UI components for the multi-value autocomplete
+import { Autocomplete, TextField } from "@mui/material";
+
+// Same spelling rule as the DB layer ("Vacation 2026" → "vacation-2026")
+import { normalizeTags } from "../lib/tags";
+
+// TagsField component – value is an array of tags
+// freeSolo allows new tags (cost forms); without it only tags in use can be picked (filters)
+// Extra props (fullWidth, sx, ...) are passed to the Autocomplete
+export default function TagsField({
+    db,
+    value,
+    onChange,
+    label = "Tags",
+    freeSolo = true,
+    ...rest
+}) {
+    // Tags already used by some cost item
+    const [knownTags, setKnownTags] = useState([]);
+
+    // Load the tags whenever the DB becomes available
+    useEffect(() => {
+        // Wait until DB is ready
+        if (!db) {
+            return;
+        }
+
+        // "alive" prevents setting state after unmount (avoids React warnings)
+        let alive = true;
+
+        db.listTags()
+            .then((list) => {
+                if (alive) {
+                    setKnownTags(list);
+                }
+            })
+            // Without the list, new tags can still be typed
+            .catch(() => {});
+
+        // Cleanup runs when the component unmounts
+        return () => {
+            alive = false;
+        };
+    }, [db]);
+
+    return (
+        <Autocomplete
+            multiple
+            freeSolo={freeSolo}
+            options={knownTags}
+            value={value}
+            // Typed tags are normalized right away, so the chips show the stored spelling
+            onChange={(event, tags) => onChange(normalizeTags(tags))}
+            slotProps={{ chip: { size: "small" } }}
+            renderInput={(params) => (
+                <TextField
+                    {...params}
+                    label={label}
+                    helperText={freeSolo ? "Press Enter after each tag" : undefined}
+                />
+            )}
+            {...rest}
+        />
+    );
+}
@@ -0,0 +1,113 @@
+// CostsDbProvider.jsx
+// Opens the IndexedDB database once for the whole app and shares it with every page
+
+// React hooks for the opened database and the open request
+// (Fragment remounts the pages when the active ledger changes)
+import { Fragment, useEffect, useState } from "react";
+
+// Material UI components for the loading / error states
+import { Alert, Container, LinearProgress } from "@mui/material";
+
+// IndexedDB API wrapper + the app database name and schema version
+import { openCostsDB, DB_NAME, DB_VERSION } from "../lib/idb";
+
+// Context read by useCostsDb()
+import { CostsDbContext } from "./costsDbContext";
+
+// One open request per page load (StrictMode runs effects twice in development)
+let openPromise = null;
+
+// Reads the ledgers, the active ledger (null if its record is missing) and its
+// preferred currency – the saved one, so opening the app never waits for the rates server
+async function readLedgerState(db) {
+    const [ledgers, active, defaultCurrency] = await Promise.all([
+        db.listLedgers(),
+        db.getActiveLedger(),
+        db.getSavedDefaultCurrency()
+    ]);
+    return { ledgers, activeLedgerId: active ? active.id : null, defaultCurrency };
+}
+
+// Opens the database and reads the ledger state (first call only)
+function openOnce() {
+    if (!openPromise) {
+        openPromise = openCostsDB(DB_NAME, DB_VERSION).then(async (db) => ({
+            db,
+            ...(await readLedgerState(db))
+        }));
+    }
+    return openPromise;
+}
+
+// CostsDbProvider component – renders its children once the database is open
+export default function CostsDbProvider({ children }) {
+    // { db, ledgers, activeLedgerId, defaultCurrency } after opening, null while opening
+    const [opened, setOpened] = useState(null);
+
+    // Error message when the database could not be opened
+    const [error, setError] = useState("");
+
+    // Open the database once when the app is mounted
+    useEffect(() => {
+        // "alive" prevents setting state after unmount (avoids React warnings)
+        let alive = true;
+
+        openOnce()
+            .then((result) => {
+                if (alive) {
+                    setOpened(result);
+                }
+            })
+            .catch((e) => {
+                if (alive) {
+                    setError(e.message);
+                }
+            });
+
+        // Cleanup runs when the component unmounts
+        return () => {
+            alive = false;
+        };
+    }, []);
+
+    // Without a database no page can work – show why
+    if (error) {
+        return (
+            <Container sx={{ mt: 4 }}>
+                <Alert severity="error">Could not open the local database: {error}</Alert>
+            </Container>
+        );
+    }
+
+    // Still opening (upgrades and due recurring costs run here)
+    if (!opened) {
+        return <LinearProgress />;
+    }
+
+    // Saves the preferred currency and updates it for pages opened afterwards
+    async function setDefaultCurrency(currency) {
+        await opened.db.setDefaultCurrency(currency);
+        setOpened((o) => ({ ...o, defaultCurrency: currency }));
+    }
+
+    // Reads the ledgers again (after one was added, renamed, archived or a backup restored)
+    async function refreshLedgers() {
+        const state = await readLedgerState(opened.db);
+        setOpened((o) => ({ ...o, ...state }));
+    }
+
+    // Makes another ledger active (its own currency, settings and data)
+    async function switchLedger(id) {
+        await opened.db.setActiveLedger(id);
+        await refreshLedgers();
+    }
+
+    return (
+        <CostsDbContext.Provider
+            value={{ ...opened, setDefaultCurrency, refreshLedgers, switchLedger }}
+        >
+            {/* Pages are mounted again for another ledger, so none keeps the old ledger's data */}
+            <Fragment key={opened.activeLedgerId}>{children}</Fragment>
+        </CostsDbContext.Provider>
+    );
+}
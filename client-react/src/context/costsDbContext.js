@@ -0,0 +1,8 @@
+// src/context/costsDbContext.js (React / ES Modules)
+// React context holding the one opened database (filled by CostsDbProvider)
+
+import { createContext } from "react";
+
+// Value: { db, ledgers, activeLedgerId, defaultCurrency, setDefaultCurrency,
+// refreshLedgers, switchLedger } – null outside the provider
+export const CostsDbContext = createContext(null);
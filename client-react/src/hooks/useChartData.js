@@ -0,0 +1,57 @@
+// src/hooks/useChartData.js (React / ES Modules)
+// Loads chart data from the database again whenever the chart inputs change
+
+// React hooks for the loaded state, the request id and the automatic reload
+import { useCallback, useEffect, useRef, useState } from "react";
+
+// The shared database
+import useCostsDb from "./useCostsDb";
+
+// Readable messages for typed rates errors (invalid payload, unknown currency)
+import { errorMessage } from "../lib/errors";
+
+/*
+ * useChartData(load, deps)
+ * Calls load(db) now and every time a value in deps changes.
+ * Returns { data, loading, error, reload }:
+ * - data: the last result (null before the first one and after an error)
+ * - error: readable message of the last failure ("" when none)
+ * - reload(): loads again with the current inputs (e.g. a "Show" button)
+ * Only the newest request may update the state – an older response that
+ * arrives later is dropped.
+ */
+export default function useChartData(load, deps) {
+    const { db } = useCostsDb();
+
+    // Last result + request state
+    const [state, setState] = useState({ data: null, loading: true, error: "" });
+
+    // Request id guard – prevents “old responses” from overriding new state
+    const reqIdRef = useRef(0);
+
+    const reload = useCallback(async () => {
+        // Increase request id to invalidate any previous pending request
+        const myReqId = ++reqIdRef.current;
+        setState((s) => ({ ...s, loading: true, error: "" }));
+
+        try {
+            const data = await load(db);
+            if (myReqId === reqIdRef.current) {
+                setState({ data, loading: false, error: "" });
+            }
+        } catch (e) {
+            if (myReqId === reqIdRef.current) {
+                setState({ data: null, loading: false, error: errorMessage(e) });
+            }
+        }
+        // load is a new function on every render – the caller's deps decide when it changed
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [db, ...deps]);
+
+    // Load on mount and whenever the inputs change (a newer request makes the pending one stale)
+    useEffect(() => {
+        reload();
+    }, [reload]);
+
+    return { ...state, reload };
+}
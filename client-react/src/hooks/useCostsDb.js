@@ -0,0 +1,23 @@
+// src/hooks/useCostsDb.js (React / ES Modules)
+// Access to the database opened once by CostsDbProvider
+
+// React hook for reading the context
+import { useContext } from "react";
+
+// Context filled by CostsDbProvider
+import { CostsDbContext } from "../context/costsDbContext";
+
+/*
+ * useCostsDb()
+ * Returns { db, ledgers, activeLedgerId, defaultCurrency, setDefaultCurrency,
+ * refreshLedgers, switchLedger }.
+ * db is the API object of openCostsDB() – always open (the provider waits for it).
+ * Every db call works on the active ledger.
+ */
+export default function useCostsDb() {
+    const value = useContext(CostsDbContext);
+    if (!value) {
+        throw new Error("useCostsDb() must be used inside <CostsDbProvider>.");
+    }
+    return value;
+}
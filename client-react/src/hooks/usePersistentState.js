@@ -0,0 +1,42 @@
+// src/hooks/usePersistentState.js (React / ES Modules)
+// useState that survives navigating away from a page and back (kept in sessionStorage)
+
+// React hooks for the state and for writing it back
+import { useEffect, useState } from "react";
+
+/*
+ * usePersistentState(key, initialValue)
+ * Same as useState, but the value is saved under "key" in sessionStorage
+ * (JSON) and restored the next time the component mounts in this tab.
+ * Saved objects are merged over initialValue, so new fields get their defaults.
+ * State of one ledger needs the ledger id in its key; the key is read on mount only,
+ * which is enough because the provider remounts the pages when the ledger changes.
+ */
+export default function usePersistentState(key, initialValue) {
+    const [value, setValue] = useState(() => {
+        try {
+            const saved = sessionStorage.getItem(key);
+            if (saved === null) {
+                return initialValue;
+            }
+
+            const parsed = JSON.parse(saved);
+            const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+            return isObject(initialValue) && isObject(parsed) ? { ...initialValue, ...parsed } : parsed;
+        } catch {
+            // Unreadable value (or storage disabled) → start fresh
+            return initialValue;
+        }
+    });
+
+    // Save every change (storage may be full or disabled – the state still works)
+    useEffect(() => {
+        try {
+            sessionStorage.setItem(key, JSON.stringify(value));
+        } catch {
+            // Ignored on purpose
+        }
+    }, [key, value]);
+
+    return [value, setValue];
+}
@@ -0,0 +1,67 @@
+// src/hooks/useReport.js (React / ES Modules)
+// Loads a report (one month or a date range) on request, and reloads it after changes
+
+// React hooks for the loaded report, the request id and the last query
+import { useRef, useState } from "react";
+
+// The shared database
+import useCostsDb from "./useCostsDb";
+
+// Readable messages for typed rates errors (invalid payload, unknown currency)
+import { errorMessage } from "../lib/errors";
+
+// Runs one report query against the DB layer
+function runQuery(db, query) {
+    const { currency, options } = query;
+    return query.from
+        ? db.getRangeReport(query.from, query.to, currency, options)
+        : db.getReport(query.year, query.month, currency, options);
+}
+
+/*
+ * useReport()
+ * Returns { report, loading, error, load, reload }:
+ * - load(query): fetches a report; query is { year, month, currency, options }
+ *   or { from, to, currency, options } (options as in getReport()).
+ *   Resolves true when this report is now shown, false on error or when a
+ *   newer load() started meanwhile.
+ * - reload(): fetches the shown report again with the same query (after an edit).
+ */
+export default function useReport() {
+    const { db } = useCostsDb();
+
+    // Shown report + request state
+    const [state, setState] = useState({ report: null, loading: false, error: "" });
+
+    // Request id guard and the query of the shown report
+    const reqIdRef = useRef(0);
+    const queryRef = useRef(null);
+
+    async function load(query, keepShown = false) {
+        // Increase request id to invalidate any previous pending request
+        const myReqId = ++reqIdRef.current;
+        setState((s) => ({ report: keepShown ? s.report : null, loading: true, error: "" }));
+
+        try {
+            const report = await runQuery(db, query);
+            if (myReqId !== reqIdRef.current) {
+                return false;
+            }
+            queryRef.current = query;
+            setState({ report, loading: false, error: "" });
+            return true;
+        } catch (e) {
+            if (myReqId === reqIdRef.current) {
+                setState((s) => ({ ...s, loading: false, error: errorMessage(e) }));
+            }
+            return false;
+        }
+    }
+
+    // The shown report stays visible while it is reloaded
+    function reload() {
+        return queryRef.current ? load(queryRef.current, true) : Promise.resolve(false);
+    }
+
+    return { ...state, load: (query) => load(query), reload };
+}
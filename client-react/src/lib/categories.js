@@ -0,0 +1,48 @@
+// src/lib/categories.js (React / ES Modules)
+// Category names and colours: one spelling per category ("food", "Food" and
+// "FOOD " are all "FOOD") and a default colour for every new category.
+
+// Default category colours (new categories take the next one, cycling)
+export const CATEGORY_COLORS = [
+    "#0088FE",
+    "#00C49F",
+    "#FFBB28",
+    "#FF8042",
+    "#A78BFA",
+    "#F472B6",
+    "#34D399",
+    "#F87171",
+    "#60A5FA",
+    "#F59E0B",
+    "#10B981",
+    "#EF4444"
+];
+
+// Canonical form of a category name: trimmed, single spaces, upper case
+export function normalizeCategory(name) {
+    return String(name ?? "")
+        .trim()
+        .replace(/\s+/g, " ")
+        .toUpperCase();
+}
+
+// Default colour of the n-th category (0-based)
+export function categoryColor(index) {
+    return CATEGORY_COLORS[index % CATEGORY_COLORS.length];
+}
+
+// Check a colour as stored by <input type="color"> ("#rrggbb")
+export function isCategoryColor(value) {
+    return typeof value === "string" && /^#[0-9a-fA-F]{6}$/.test(value);
+}
+
+/*
+ * categoriesFromNames(names)
+ * Category records for a list of (already normalized) names, first seen first,
+ * with default colours and no icon: [{ name, color, icon }, ...]
+ */
+export function categoriesFromNames(names) {
+    return [...new Set(names)]
+        .filter(Boolean)
+        .map((name, i) => ({ name, color: categoryColor(i), icon: "" }));
+}
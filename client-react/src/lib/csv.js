@@ -0,0 +1,85 @@
+// src/lib/csv.js (React / ES Modules)
+// Minimal CSV reading/writing (RFC 4180 style: commas, double quotes, CRLF or LF)
+
+// Cost fields as they appear in CSV files (also the export header row)
+// "tags" holds the tags of a cost separated by semicolons (or commas)
+export const COST_CSV_FIELDS = ["date", "sum", "currency", "category", "description", "tags"];
+
+// Date formats understood when importing cost items
+export const CSV_DATE_FORMATS = ["YYYY-MM-DD", "DD/MM/YYYY", "MM/DD/YYYY"];
+
+/*
+ * parseCsv(text)
+ * Splits CSV text into rows of string cells.
+ * Quoted cells may contain commas, newlines and doubled quotes ("").
+ * Empty lines are skipped.
+ */
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = "";
+    let inQuotes = false;
+
+    // Remove a UTF-8 byte order mark (Excel adds one)
+    const src = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+    for (let i = 0; i < src.length; i++) {
+        const ch = src[i];
+
+        if (inQuotes) {
+            // Inside quotes: "" is an escaped quote, a single " closes the cell
+            if (ch === '"') {
+                if (src[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else {
+                    inQuotes = false;
+                }
+            } else {
+                cell += ch;
+            }
+            continue;
+        }
+
+        if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === ",") {
+            row.push(cell);
+            cell = "";
+        } else if (ch === "\n" || ch === "\r") {
+            // Treat CRLF as a single line break
+            if (ch === "\r" && src[i + 1] === "\n") {
+                i++;
+            }
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = "";
+        } else {
+            cell += ch;
+        }
+    }
+
+    // Last row (when the text does not end with a line break)
+    if (cell !== "" || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    // Drop empty lines
+    return rows.filter((r) => r.some((c) => c.trim() !== ""));
+}
+
+// Quote a cell only when needed (comma, quote or line break inside)
+function formatCell(value) {
+    const text = value === null || value === undefined ? "" : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/*
+ * toCsv(rows)
+ * Joins rows of cells into CSV text (CRLF line breaks, as spreadsheets expect).
+ */
+export function toCsv(rows) {
+    return rows.map((r) => r.map(formatCell).join(",")).join("\r\n") + "\r\n";
+}
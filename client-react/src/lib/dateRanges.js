@@ -0,0 +1,59 @@
+// src/lib/dateRanges.js (React / ES Modules)
+// Preset date ranges for reports ("this quarter", "last 90 days", ...)
+
+// Shared "YYYY-MM-DD" formatting
+import { toIsoDate } from "./recurrence";
+
+// Presets offered by the range picker
+export const RANGE_PRESETS = [
+    { value: "this-month", label: "This month" },
+    { value: "last-month", label: "Last month" },
+    { value: "this-quarter", label: "This quarter" },
+    { value: "last-quarter", label: "Last quarter" },
+    { value: "last-90-days", label: "Last 90 days" },
+    { value: "year-to-date", label: "Year to date" },
+    { value: "last-year", label: "Last year" }
+];
+
+// "YYYY-MM-DD" of a local Date
+function isoOf(date) {
+    return toIsoDate({ year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate() });
+}
+
+/*
+ * presetRange(preset, today)
+ * Returns { from, to } ("YYYY-MM-DD", inclusive) of a preset, relative to today.
+ * Ranges that include the current period end today (not at the end of the period).
+ */
+export function presetRange(preset, today = new Date()) {
+    const year = today.getFullYear();
+    const month = today.getMonth(); // 0-based, like the Date constructor
+    const quarterStart = month - (month % 3);
+
+    switch (preset) {
+        case "this-month":
+            return { from: isoOf(new Date(year, month, 1)), to: isoOf(today) };
+        case "last-month":
+            // Day 0 of a month is the last day of the previous month
+            return { from: isoOf(new Date(year, month - 1, 1)), to: isoOf(new Date(year, month, 0)) };
+        case "this-quarter":
+            return { from: isoOf(new Date(year, quarterStart, 1)), to: isoOf(today) };
+        case "last-quarter":
+            return {
+                from: isoOf(new Date(year, quarterStart - 3, 1)),
+                to: isoOf(new Date(year, quarterStart, 0))
+            };
+        case "last-90-days":
+            // 90 days including today
+            return {
+                from: isoOf(new Date(year, month, today.getDate() - 89)),
+                to: isoOf(today)
+            };
+        case "year-to-date":
+            return { from: isoOf(new Date(year, 0, 1)), to: isoOf(today) };
+        case "last-year":
+            return { from: isoOf(new Date(year - 1, 0, 1)), to: isoOf(new Date(year - 1, 11, 31)) };
+        default:
+            throw new Error(`Unknown range preset "${preset}"`);
+    }
+}
@@ -0,0 +1,22 @@
+// src/lib/download.js (React / ES Modules)
+// Lets the browser save generated text (CSV, JSON backup, ...) as a file
+
+/*
+ * downloadFile(filename, content, mimeType)
+ * Creates a temporary link to a Blob and clicks it.
+ */
+export function downloadFile(filename, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+
+    // A temporary <a download> element triggers the browser's save dialog
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Release the Blob once the download has started
+    URL.revokeObjectURL(url);
+}
@@ -0,0 +1,56 @@
+// src/lib/errors.js (React / ES Modules)
+// Typed errors of the DB layer, so pages can tell rates problems from other failures
+
+/*
+ * InvalidRatesError
+ * The exchange-rates payload is unusable (not JSON, not an object, missing or
+ * non-numeric / zero / negative rates). "currency" names the offending entry
+ * when the problem is a single rate.
+ */
+export class InvalidRatesError extends Error {
+    constructor(message, { currency = null, sourceUrl = null } = {}) {
+        super(message);
+        this.name = "InvalidRatesError";
+        this.currency = currency;
+        this.sourceUrl = sourceUrl;
+    }
+}
+
+/*
+ * UnknownCurrencyError
+ * A conversion needs a currency that the exchange rates don't contain.
+ */
+export class UnknownCurrencyError extends Error {
+    constructor(currency) {
+        super(`The exchange rates have no rate for currency "${currency}".`);
+        this.name = "UnknownCurrencyError";
+        this.currency = currency;
+    }
+}
+
+/*
+ * SyncError
+ * The sync server refused a request or could not be reached. "status" is the
+ * HTTP status (0 when there was no response at all).
+ */
+export class SyncError extends Error {
+    constructor(message, { status = 0 } = {}) {
+        super(message);
+        this.name = "SyncError";
+        this.status = status;
+    }
+}
+
+/*
+ * errorMessage(e)
+ * Message to show on a page: typed rates and sync errors get a hint on how to fix them.
+ */
+export function errorMessage(e) {
+    if (e instanceof InvalidRatesError || e instanceof UnknownCurrencyError) {
+        return `${e.message} Check the exchange rates URL in Settings.`;
+    }
+    if (e instanceof SyncError && (e.status === 0 || e.status === 401)) {
+        return `${e.message} Check the sync server URL and token in Settings.`;
+    }
+    return e.message;
+}
@@ -1,8 +1,48 @@
 // src/lib/idb.js (React / ES Modules)
 
+// Schedule math for recurring cost rules
+import {
+    FREQUENCIES,
+    toIsoDate,
+    fromIsoDate,
+    dueOccurrences,
+    nextOccurrence
+} from "./recurrence";
+
+// Typed errors for unusable exchange rates and failed syncs
+import { InvalidRatesError, UnknownCurrencyError, SyncError } from "./errors";
+
+// CSV reading/writing for export/import of cost items
+import { parseCsv, toCsv, COST_CSV_FIELDS, CSV_DATE_FORMATS } from "./csv";
+
+// Category name normalization and default colours
+import {
+    normalizeCategory,
+    categoryColor,
+    isCategoryColor,
+    categoriesFromNames
+} from "./categories";
+
+// Tag normalization and tag filters
+import { normalizeTags, tagsToText, matchesTags } from "./tags";
+
+// Name and schema version of the app database – the only place they are defined
+// (DB_VERSION goes up together with a new step in upgradeSchema())
+export const DB_NAME = "costsdb";
+export const DB_VERSION = 8;
+
+// The ledger that existing data moves into (created by the version 7 upgrade)
+export const DEFAULT_LEDGER_ID = 1;
+
 // Holds the opened IndexedDB instance (kept private in this module)
 let _db = null;
 
+// Id of the active ledger – every cost, budget, rule and setting read or written belongs to it
+let _ledgerId = DEFAULT_LEDGER_ID;
+
+// Random id of this browser's database (marks the changes it sends to the sync server)
+let _deviceId = null;
+
 /*
  * openCostsDB(databaseName, databaseVersion)
  * Takes a database name and version and returns a Promise that resolves
@@ -17,15 +57,11 @@ export async function openCostsDB(databaseName, databaseVersion) {
         request.onupgradeneeded = function (event) {
             const db = event.target.result;
 
-            // Create the "costs" store if it doesn't exist
-            if (!db.objectStoreNames.contains("costs")) {
-                db.createObjectStore("costs", { keyPath: "id", autoIncrement: true });
-            }
+            // The upgrade transaction gives access to stores that already exist
+            const tx = event.target.transaction;
 
-            // Create the "settings" store if it doesn't exist
-            if (!db.objectStoreNames.contains("settings")) {
-                db.createObjectStore("settings", { keyPath: "key" });
-            }
+            // Apply every schema step the existing database has not seen yet
+            upgradeSchema(db, tx, event.oldVersion);
         };
 
         // Runs when the database is successfully opened
@@ -34,14 +70,64 @@ export async function openCostsDB(databaseName, databaseVersion) {
             // Save it in a private variable so other functions can access it
             _db = event.target.result;
 
-            // Resolve with an object that exposes the required API
-            resolve({
-                addCost,
-                getReport,
-                setRatesUrl,
-                getPieChartData,
-                getBarChartData
-            });
+            // Restore the ledger that was active last time, turn recurring rules that
+            // came due since the last run into real costs, then resolve with an object
+            // that exposes the required API
+            loadActiveLedger()
+                .then(loadDeviceId)
+                .then(generateDueRecurring)
+                .then(() =>
+                    resolve({
+                        addCost,
+                        updateCost,
+                        deleteCost,
+                        getReport,
+                        getRangeReport,
+                        getReportByTag,
+                        listTags,
+                        setRatesUrl,
+                        setRatesMaxAge,
+                        getRatesSettings,
+                        getRatesInfo,
+                        getSupportedCurrencies,
+                        setDefaultCurrency,
+                        getDefaultCurrency,
+                        getSavedDefaultCurrency,
+                        getPieChartData,
+                        getPieSliceCosts,
+                        getBarChartData,
+                        getMultiYearBarChartData,
+                        getDailySeriesData,
+                        setBudget,
+                        deleteBudget,
+                        listBudgets,
+                        getBudgetStatus,
+                        exportCostsCsv,
+                        importCostsCsv,
+                        exportBackup,
+                        restoreBackup,
+                        addRecurring,
+                        listRecurring,
+                        pauseRecurring,
+                        deleteRecurring,
+                        listCategories,
+                        addCategory,
+                        updateCategory,
+                        renameCategory,
+                        mergeCategories,
+                        deleteCategory,
+                        listLedgers,
+                        addLedger,
+                        renameLedger,
+                        archiveLedger,
+                        setActiveLedger,
+                        getActiveLedger,
+                        setSyncSettings,
+                        getSyncStatus,
+                        syncNow
+                    })
+                )
+                .catch(reject);
         };
 
         // Runs when opening the database fails
@@ -51,6 +137,257 @@ export async function openCostsDB(databaseName, databaseVersion) {
     });
 }
 
+// ----------------------- Schema (versioned upgrades) -----------------------
+
+/*
+ * upgradeSchema(db, tx, oldVersion)
+ * Brings the database schema up to date, one version step at a time.
+ * Existing records are only rewritten by version 5 (category spelling),
+ * version 7 (ledgers) and version 8 (sync ids). Those data steps run one after
+ * the other, in version order.
+ */
+function upgradeSchema(db, tx, oldVersion) {
+    // Steps that rewrite existing records: (onDone) => void
+    const dataSteps = [];
+
+    // Version 1: the "costs" and "settings" stores
+    if (oldVersion < 1) {
+        // Create the "costs" store if it doesn't exist
+        if (!db.objectStoreNames.contains("costs")) {
+            db.createObjectStore("costs", { keyPath: "id", autoIncrement: true });
+        }
+
+        // Create the "settings" store if it doesn't exist
+        if (!db.objectStoreNames.contains("settings")) {
+            db.createObjectStore("settings", { keyPath: "key" });
+        }
+    }
+
+    // Version 2: indexes so reports/charts read only the requested period
+    if (oldVersion < 2) {
+        const costsStore = tx.objectStore("costs");
+
+        // Compound index for monthly queries (getReport, pie chart)
+        if (!costsStore.indexNames.contains("yearMonth")) {
+            costsStore.createIndex("yearMonth", ["year", "month"]);
+        }
+
+        // Index for yearly queries (bar chart)
+        if (!costsStore.indexNames.contains("year")) {
+            costsStore.createIndex("year", "year");
+        }
+    }
+
+    // Version 3: rules for recurring costs (rent, subscriptions, ...)
+    if (oldVersion < 3) {
+        if (!db.objectStoreNames.contains("recurring")) {
+            db.createObjectStore("recurring", { keyPath: "id", autoIncrement: true });
+        }
+    }
+
+    // Version 4: monthly budgets per category (one record per category)
+    if (oldVersion < 4) {
+        if (!db.objectStoreNames.contains("budgets")) {
+            db.createObjectStore("budgets", { keyPath: "category" });
+        }
+    }
+
+    // Version 5: categories as records (name, colour, icon) + an index to rewrite costs
+    if (oldVersion < 5) {
+        if (!db.objectStoreNames.contains("categories")) {
+            db.createObjectStore("categories", { keyPath: "name" });
+        }
+
+        const costsStore = tx.objectStore("costs");
+        if (!costsStore.indexNames.contains("category")) {
+            costsStore.createIndex("category", "category");
+        }
+
+        // Existing data may spell one category several ways → merge them
+        dataSteps.push((onDone) => normalizeStoredCategories(tx, onDone));
+    }
+
+    // Version 6: multi-entry index on the "tags" array of costs (one entry per tag)
+    if (oldVersion < 6) {
+        const costsStore = tx.objectStore("costs");
+        if (!costsStore.indexNames.contains("tags")) {
+            costsStore.createIndex("tags", "tags", { multiEntry: true });
+        }
+    }
+
+    // Version 7: ledgers (personal, household, ...) – every record belongs to one of them
+    if (oldVersion < 7) {
+        if (!db.objectStoreNames.contains("ledgers")) {
+            const ledgersStore = db.createObjectStore("ledgers", { keyPath: "id", autoIncrement: true });
+            ledgersStore.add({ id: DEFAULT_LEDGER_ID, name: "Personal", archived: false });
+        }
+
+        // The ledger comes first, so reports still read only the requested period
+        const costsStore = tx.objectStore("costs");
+        if (!costsStore.indexNames.contains("ledgerId")) {
+            costsStore.createIndex("ledgerId", "ledgerId");
+        }
+        if (!costsStore.indexNames.contains("ledgerYearMonth")) {
+            costsStore.createIndex("ledgerYearMonth", ["ledgerId", "year", "month"]);
+        }
+        if (!costsStore.indexNames.contains("ledgerYear")) {
+            costsStore.createIndex("ledgerYear", ["ledgerId", "year"]);
+        }
+
+        // Everything stored so far belongs to the default ledger
+        dataSteps.push((onDone) => moveDataIntoLedger(db, tx, onDone));
+    }
+
+    // Version 8: sync with the server – costs get an id shared by all devices,
+    // and local changes wait in the "outbox" store until they are sent
+    if (oldVersion < 8) {
+        const costsStore = tx.objectStore("costs");
+        if (!costsStore.indexNames.contains("uid")) {
+            costsStore.createIndex("uid", "uid");
+        }
+
+        if (!db.objectStoreNames.contains("outbox")) {
+            const outboxStore = db.createObjectStore("outbox", { keyPath: "seq", autoIncrement: true });
+            outboxStore.createIndex("ledgerId", "ledgerId");
+        }
+
+        dataSteps.push((onDone) => giveCostsSyncIds(tx, onDone));
+    }
+
+    runDataSteps(dataSteps);
+}
+
+// Run upgrade data steps one after the other (each one starts when the previous one is done)
+function runDataSteps(steps) {
+    if (steps.length > 0) {
+        steps[0](() => runDataSteps(steps.slice(1)));
+    }
+}
+
+/*
+ * normalizeStoredCategories(tx, onDone)
+ * Upgrade step of version 5: rewrites the category of every cost, recurring rule
+ * and budget to its canonical spelling, then creates a category record for every
+ * name in use. Budgets that collapse into one category keep the first one.
+ */
+function normalizeStoredCategories(tx, onDone) {
+    const names = [];
+    let pending = 3;
+
+    // Once all three stores were rewritten, create the category records
+    function done() {
+        pending--;
+        if (pending === 0) {
+            const categoriesStore = tx.objectStore("categories");
+            for (const category of categoriesFromNames(names)) {
+                categoriesStore.put(category);
+            }
+            onDone();
+        }
+    }
+
+    // Costs and recurring rules keep their keys – only the field changes
+    for (const storeName of ["costs", "recurring"]) {
+        const store = tx.objectStore(storeName);
+        const req = store.getAll();
+        req.onsuccess = function () {
+            for (const record of req.result) {
+                const category = normalizeCategory(record.category);
+                names.push(category);
+                if (category !== record.category) {
+                    store.put({ ...record, category });
+                }
+            }
+            done();
+        };
+    }
+
+    // Budgets are keyed by category → rebuild the store with the new keys
+    const budgetsStore = tx.objectStore("budgets");
+    const budgetsReq = budgetsStore.getAll();
+    budgetsReq.onsuccess = function () {
+        budgetsStore.clear();
+        const seen = new Set();
+        for (const budget of budgetsReq.result) {
+            const category = normalizeCategory(budget.category);
+            if (!seen.has(category)) {
+                seen.add(category);
+                names.push(category);
+                budgetsStore.put({ ...budget, category });
+            }
+        }
+        done();
+    };
+}
+
+/*
+ * moveDataIntoLedger(db, tx, onDone)
+ * Upgrade step of version 7: puts every cost, recurring rule, budget and setting
+ * into the default ledger. Budgets become keyed by [ledgerId, category] (the store
+ * is rebuilt), settings by [ledgerId, key].
+ */
+function moveDataIntoLedger(db, tx, onDone) {
+    let pending = 3;
+
+    function done() {
+        pending--;
+        if (pending === 0) {
+            onDone();
+        }
+    }
+
+    // Costs and recurring rules keep their keys – only the field is added
+    for (const storeName of ["costs", "recurring"]) {
+        const store = tx.objectStore(storeName);
+        const req = store.getAll();
+        req.onsuccess = function () {
+            for (const record of req.result) {
+                store.put({ ...record, ledgerId: DEFAULT_LEDGER_ID });
+            }
+            done();
+        };
+    }
+
+    // A key path can't change → read the budgets, then recreate the store
+    const budgetsReq = tx.objectStore("budgets").getAll();
+    budgetsReq.onsuccess = function () {
+        db.deleteObjectStore("budgets");
+        const budgetsStore = db.createObjectStore("budgets", { keyPath: ["ledgerId", "category"] });
+        for (const budget of budgetsReq.result) {
+            budgetsStore.put({ ...budget, ledgerId: DEFAULT_LEDGER_ID });
+        }
+
+        // Settings: "ratesUrl" → [1, "ratesUrl"] (same key path, new key)
+        const settingsStore = tx.objectStore("settings");
+        const settingsReq = settingsStore.getAll();
+        settingsReq.onsuccess = function () {
+            for (const setting of settingsReq.result) {
+                if (typeof setting.key === "string") {
+                    settingsStore.delete(setting.key);
+                    settingsStore.put({ ...setting, key: [DEFAULT_LEDGER_ID, setting.key] });
+                }
+            }
+            done();
+        };
+    };
+}
+
+/*
+ * giveCostsSyncIds(tx, onDone)
+ * Upgrade step of version 8: gives every cost its sync id ("uid") and version
+ * ("updatedAt" + "updatedBy", empty for costs written before sync existed).
+ */
+function giveCostsSyncIds(tx, onDone) {
+    const store = tx.objectStore("costs");
+    const req = store.getAll();
+    req.onsuccess = function () {
+        for (const record of req.result) {
+            store.put({ ...withSyncFields(record), updatedBy: "" });
+        }
+        onDone();
+    };
+}
+
 // ----------------------- Helpers (avoid duplication) -----------------------
 
 // Ensure the database was opened before any operation
@@ -79,23 +416,131 @@ async function defaultRates() {
     }
 
     // Parse the JSON response body into a JavaScript object
-    const rates = await response.json();
+    const rates = await readRatesJson(response, DEFAULT_RATES_URL);
 
     // Return the exchange rates object to the caller
     return rates;
 }
 
+// Parse a rates response body; a body that isn't JSON is an invalid payload
+async function readRatesJson(response, sourceUrl) {
+    try {
+        return await response.json();
+    } catch {
+        throw new InvalidRatesError(`Exchange rates from ${sourceUrl} are not valid JSON.`, {
+            sourceUrl
+        });
+    }
+}
+
+/*
+ * validateRates(rates, sourceUrl)
+ * Checks a rates payload: a non-empty object of currency code → positive number.
+ * Throws InvalidRatesError naming the offending currency; returns the rates otherwise.
+ */
+function validateRates(rates, sourceUrl) {
+    // Must be a plain object (not null, not an array)
+    if (!rates || typeof rates !== "object" || Array.isArray(rates)) {
+        throw new InvalidRatesError(
+            `Exchange rates from ${sourceUrl} must be an object of currency → rate.`,
+            { sourceUrl }
+        );
+    }
+
+    // An empty object can't convert anything
+    if (Object.keys(rates).length === 0) {
+        throw new InvalidRatesError(`Exchange rates from ${sourceUrl} contain no currencies.`, {
+            sourceUrl
+        });
+    }
+
+    for (const [currency, rate] of Object.entries(rates)) {
+        // Strings like "3.4" are rejected too – they would break the math silently
+        if (typeof rate !== "number") {
+            throw new InvalidRatesError(
+                `Rate for "${currency}" must be a number, got ${JSON.stringify(rate)}.`,
+                { currency, sourceUrl }
+            );
+        }
+
+        // Zero, negative, NaN and Infinity would produce Infinity / NaN totals
+        if (!Number.isFinite(rate) || rate <= 0) {
+            throw new InvalidRatesError(
+                `Rate for "${currency}" must be a positive number, got ${rate}.`,
+                { currency, sourceUrl }
+            );
+        }
+    }
+
+    return rates;
+}
+
+
+/*
+ * toDateParts(date)
+ * Turns an optional cost date into { year, month, day }.
+ * Accepts a Date object or a "YYYY-MM-DD" string; falls back to today when
+ * no date is given. Throws if the date is not a real calendar date.
+ */
+function toDateParts(date) {
+    // No date given → today's date (the original behavior)
+    if (date === undefined || date === null || date === "") {
+        const now = new Date();
+        return { year: now.getFullYear(), month: now.getMonth() + 1, day: now.getDate() };
+    }
+
+    // Date object → read its local calendar fields
+    if (date instanceof Date) {
+        if (Number.isNaN(date.getTime())) {
+            throw new Error("Invalid date");
+        }
+        return { year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate() };
+    }
+
+    // "YYYY-MM-DD" string (the format of <input type="date">)
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(date));
+    if (!match) {
+        throw new Error(`Invalid date "${date}" (expected YYYY-MM-DD)`);
+    }
+
+    const year = Number(match[1]);
+    const month = Number(match[2]);
+    const day = Number(match[3]);
+
+    // Reject dates that don't exist (e.g. 2025-02-30) – Date would silently roll them over
+    const check = new Date(year, month - 1, day);
+    if (
+        check.getFullYear() !== year ||
+        check.getMonth() !== month - 1 ||
+        check.getDate() !== day
+    ) {
+        throw new Error(`Invalid date "${date}"`);
+    }
+
+    return { year, month, day };
+}
+
+// Fields of a cost item that updateCost() is allowed to change
+const EDITABLE_COST_FIELDS = ["sum", "currency", "category", "description", "tags"];
 
 // Convert an amount from one currency to another via USD
+// Throws UnknownCurrencyError when the rates lack one of the two currencies
 function convert(sum, fromCur, toCur, rates) {
+    if (!Object.hasOwn(rates, fromCur)) {
+        throw new UnknownCurrencyError(fromCur);
+    }
+    if (!Object.hasOwn(rates, toCur)) {
+        throw new UnknownCurrencyError(toCur);
+    }
+
     const usd = sum / rates[fromCur];
     return usd * rates[toCur];
 }
 
-// Read the exchange rates URL from the "settings" object store
-function readRatesUrl(settingsStore) {
+// Read one value of the active ledger from the "settings" object store
+function readSetting(settingsStore, key, ledgerId = _ledgerId) {
     return new Promise((resolve, reject) => {
-        const req = settingsStore.get("ratesUrl");
+        const req = settingsStore.get([ledgerId, key]);
 
         // If a value exists, return its "value" property, otherwise null
         req.onsuccess = () => resolve(req.result ? req.result.value : null);
@@ -103,6 +548,150 @@ function readRatesUrl(settingsStore) {
     });
 }
 
+/*
+ * readRatesSettings(settingsStore)
+ * Reads everything needed to load exchange rates in one go (while the caller's
+ * transaction is still active): { ratesUrl, cache, maxAgeHours }
+ */
+async function readRatesSettings(settingsStore) {
+    const [ratesUrl, cache, maxAgeHours] = await Promise.all([
+        readSetting(settingsStore, "ratesUrl"),
+        readSetting(settingsStore, "ratesCache"),
+        readSetting(settingsStore, "ratesMaxAgeHours")
+    ]);
+
+    return { ratesUrl, cache, maxAgeHours: maxAgeHours ?? DEFAULT_RATES_MAX_AGE_HOURS };
+}
+
+// Save a value of the active ledger (or of ledgerId) in the "settings" object store (own transaction)
+function writeSetting(key, value, ledgerId = _ledgerId) {
+    return new Promise((resolve, reject) => {
+        const tx = _db.transaction(["settings"], "readwrite");
+        const req = tx.objectStore("settings").put({ key: [ledgerId, key], value });
+
+        req.onsuccess = () => resolve(true);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+/*
+ * ensureCategories(categoriesStore, names)
+ * Creates the category records of (normalized) names inside the caller's
+ * readwrite transaction when they don't exist yet, each with the next default colour.
+ */
+function ensureCategories(categoriesStore, names) {
+    const req = categoriesStore.getAll();
+    req.onsuccess = function () {
+        const existing = new Set(req.result.map((c) => c.name));
+        let index = req.result.length;
+
+        for (const name of new Set(names)) {
+            if (name && !existing.has(name)) {
+                categoriesStore.put({ name, color: categoryColor(index), icon: "" });
+                index++;
+            }
+        }
+    };
+}
+
+// Read all records of an object store
+function readAll(store) {
+    return new Promise((resolve, reject) => {
+        const req = store.getAll();
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+// Fields of a cost that are synced (the local id, ledger and rule link stay on the device)
+const SYNCED_COST_FIELDS = ["sum", "currency", "category", "description", "tags", "year", "month", "day"];
+
+// A cost record with a new version written by this device (and a sync id if it has none yet)
+function withSyncFields(record) {
+    return {
+        ...record,
+        uid: record.uid || crypto.randomUUID(),
+        updatedAt: new Date().toISOString(),
+        updatedBy: _deviceId
+    };
+}
+
+/*
+ * queueChange(outboxStore, record, deleted)
+ * Adds a change of a cost to the "outbox" (inside the caller's readwrite transaction),
+ * so it is written together with the cost. syncNow() sends and removes it.
+ */
+function queueChange(outboxStore, record, deleted = false) {
+    const synced = {};
+    for (const field of SYNCED_COST_FIELDS) {
+        synced[field] = record[field];
+    }
+
+    outboxStore.add({
+        ledgerId: record.ledgerId,
+        uid: record.uid,
+        deleted,
+        record: deleted ? null : synced,
+        updatedAt: record.updatedAt,
+        // Costs from before sync have no author yet → they are sent as this device's
+        deviceId: record.updatedBy || _deviceId
+    });
+}
+
+/*
+ * isNewer(a, b)
+ * Last writer wins: the later updatedAt, and on the same time the larger deviceId.
+ * The sync server (rates-server/sync-store.js) uses the same order, so every
+ * device ends up with the same version of a cost.
+ */
+function isNewer(a, b) {
+    return a.updatedAt > b.updatedAt || (a.updatedAt === b.updatedAt && a.deviceId > b.deviceId);
+}
+
+// Key range of every [ledgerId, ...] key of the active ledger
+// ([id] sorts before any longer key of the ledger, [id, []] after every [id, "..."])
+function ledgerKeyRange() {
+    return IDBKeyRange.bound([_ledgerId], [_ledgerId, []]);
+}
+
+// Read the budgets of the active ledger (budgets are keyed by [ledgerId, category])
+function readLedgerBudgets(budgetsStore) {
+    return new Promise((resolve, reject) => {
+        const req = budgetsStore.getAll(ledgerKeyRange());
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+/*
+ * compareBudgets(budgets, costs, currency, rates)
+ * Builds budget versus actual per budgeted category, in the given currency.
+ * "costs" must already be converted to that currency.
+ */
+function compareBudgets(budgets, costs, currency, rates) {
+    // Actual spending per category
+    const actualByCategory = new Map();
+    for (const c of costs) {
+        actualByCategory.set(c.category, (actualByCategory.get(c.category) || 0) + c.sum);
+    }
+
+    return budgets.map((b) => {
+        // Budgets are stored in their own currency → convert to the report currency
+        const budget = convert(b.amount, b.currency, currency, rates);
+        const actual = actualByCategory.get(b.category) || 0;
+
+        return {
+            category: b.category,
+            currency,
+            budget: Number(budget.toFixed(2)),
+            actual: Number(actual.toFixed(2)),
+            remaining: Number((budget - actual).toFixed(2)),
+            usedPercent: budget > 0 ? Number(((actual / budget) * 100).toFixed(1)) : null,
+            over: actual > budget
+        };
+    });
+}
+
 // Fetch exchange rates from a user-provided URL or from the default server
 async function fetchRates(ratesUrl) {
     // If the user provided a custom rates URL, fetch from that URL
@@ -118,104 +707,477 @@ async function fetchRates(ratesUrl) {
         }
 
         // Parse the JSON response into an exchange rates object
-        const rates = await response.json();
+        const rates = await readRatesJson(response, ratesUrl);
 
-        // Return the fetched rates
-        return rates;
+        // Return the fetched rates (after checking every rate)
+        return validateRates(rates, ratesUrl);
     }
 
     // If no custom URL was provided by the user,
     // fetch exchange rates from the default server (Render)
     const rates = await defaultRates();
 
-    // Return the default fetched rates
-    return rates;
+    // Return the default fetched rates (after checking every rate)
+    return validateRates(rates, DEFAULT_RATES_URL);
 }
 
-// ------------------------------ API methods ------------------------------
+// How old (in hours) cached rates may be and still be used when fetching fails
+const DEFAULT_RATES_MAX_AGE_HOURS = 168;
+
+// Where the last rates came from (exposed to pages through getRatesInfo())
+let _lastRatesInfo = null;
+
+// Currency codes of the last rates payload, per source URL: { sourceUrl, currencies }
+let _currenciesCache = null;
+
+// Currency codes of a rates payload (in the payload's order)
+function currenciesOf(rates) {
+    return Object.keys(rates);
+}
 
 /*
- * addCost(cost)
- * Adds a new cost item and returns a Promise for the added item.
+ * resolveRates({ ratesUrl, cache, maxAgeHours })
+ * Always tries a fresh fetch first. A successful payload is cached in the
+ * "settings" store (with its time and source URL). When the fetch fails, the
+ * cached payload of the same source is used if it isn't older than maxAgeHours.
+ * (An invalid payload counts as a failed fetch.)
+ * Returns { rates, info: { cached, fetchedAt, sourceUrl, reason? } }.
  */
-async function addCost(cost) {
-    return new Promise((resolve, reject) => {
-        // Validate DB is open before we start a transaction
-        try {
-            requireOpenDb();
-        } catch (e) {
-            reject(e);
-            return;
-        }
-
-        // Attach today's date to the cost item
-        const now = new Date();
-        const record = {
-            sum: cost.sum,
-            currency: cost.currency,
-            category: cost.category,
-            description: cost.description,
-            year: now.getFullYear(),
-            month: now.getMonth() + 1,
-            day: now.getDate()
-        };
+async function resolveRates({ ratesUrl, cache, maxAgeHours }) {
+    const sourceUrl = ratesUrl || DEFAULT_RATES_URL;
 
-        // Create a readwrite transaction on the "costs" object store
-        const tx = _db.transaction(["costs"], "readwrite");
+    let rates;
+    try {
+        rates = await fetchRates(ratesUrl);
+    } catch (e) {
+        // Fall back to the last good payload of the same source, if still fresh enough
+        const age = cache ? Date.now() - Date.parse(cache.fetchedAt) : Infinity;
+        if (!cache || cache.sourceUrl !== sourceUrl || age > maxAgeHours * 3600 * 1000) {
+            throw e;
+        }
 
-        // Get a reference to the "costs" object store inside the transaction
-        const store = tx.objectStore("costs");
+        const info = { cached: true, fetchedAt: cache.fetchedAt, sourceUrl, reason: e.message };
+        _lastRatesInfo = info;
+        _currenciesCache = { sourceUrl, currencies: currenciesOf(cache.rates) };
+        return { rates: cache.rates, info };
+    }
 
-        // Add the record to the object store (asynchronous request)
-        const request = store.add(record);
+    // Remember the fresh payload for offline use (a failed write must not break the report)
+    const fetchedAt = new Date().toISOString();
+    await writeSetting("ratesCache", { rates, fetchedAt, sourceUrl }).catch(() => {});
 
-        // When the add completes successfully, resolve with the added item shape
-        request.onsuccess = function () {
-            // Resolve with the newly added cost item structure
-            resolve({
-                sum: record.sum,
-                currency: record.currency,
-                category: record.category,
-                description: record.description,
-                Date: { day: record.day }
-            });
-        };
+    const info = { cached: false, fetchedAt, sourceUrl };
+    _lastRatesInfo = info;
+    _currenciesCache = { sourceUrl, currencies: currenciesOf(rates) };
+    return { rates, info };
+}
 
-        // If the add fails, reject with the IndexedDB error
-        request.onerror = function () {
-            reject(request.error);
-        };
-    });
+// Dated snapshots are served next to the rates file: https://host/rates.json → https://host/rates/range
+function historyUrlFor(ratesUrl) {
+    return new URL("rates/range", ratesUrl || DEFAULT_RATES_URL).toString();
 }
 
 /*
- * getReport(year, month, currency)
- * Returns a Promise for a detailed monthly report in a specific currency.
- *
- * IMPORTANT (React version):
- * - costs are already converted to the requested currency
- * - this allows charts to aggregate values without extra conversion
+ * fetchRatesHistory(ratesUrl, from, to)
+ * Fetches the dated rate snapshots covering from..to ("YYYY-MM-DD") from the
+ * rates server. Returns [{ date, rates }, ...] sorted by date.
  */
-async function getReport(year, month, currency) {
-    return new Promise((resolve, reject) => {
-        // Validate DB is open before reading data
-        try {
-            requireOpenDb();
-        } catch (e) {
-            reject(e);
-            return;
-        }
+async function fetchRatesHistory(ratesUrl, from, to) {
+    const url = `${historyUrlFor(ratesUrl)}?from=${from}&to=${to}`;
 
-        // Open a readonly transaction on both "costs" and "settings"
-        const tx = _db.transaction(["costs", "settings"], "readonly");
+    // Snapshots don't change, but we still want the server's current list
+    const response = await fetch(url, { cache: "no-store" });
+
+    // A rates source without the history endpoint can't convert by purchase date
+    if (!response.ok) {
+        throw new Error("Historical exchange rates are not available from this rates source");
+    }
+
+    const body = await readRatesJson(response, url);
+    if (!Array.isArray(body.snapshots) || body.snapshots.length === 0) {
+        throw new Error("The rates server has no historical exchange rates");
+    }
+
+    // Every snapshot must be as valid as the current rates
+    for (const snapshot of body.snapshots) {
+        validateRates(snapshot.rates, `${url} (${snapshot.date})`);
+    }
+
+    return body.snapshots;
+}
+
+// Day number of a "YYYY-MM-DD" date (for distances between dates)
+function dayNumber(iso) {
+    return Date.parse(`${iso}T00:00:00Z`) / 86400000;
+}
+
+// Rates of the snapshot closest to a date (on a tie the earlier snapshot wins)
+function ratesForDate(snapshots, iso) {
+    const distance = (snapshot) => Math.abs(dayNumber(snapshot.date) - dayNumber(iso));
+
+    // Snapshots are sorted by date, so on equal distance the earlier one is kept
+    let best = snapshots[0];
+    for (const snapshot of snapshots) {
+        if (distance(snapshot) < distance(best)) {
+            best = snapshot;
+        }
+    }
+    return best.rates;
+}
+
+// Supported ways of choosing the rate for a cost
+const RATE_MODES = ["current", "purchase"];
+
+// Validate options.rateMode of the report functions ("current" by default)
+function readRateMode(options) {
+    const rateMode = options.rateMode || "current";
+    if (!RATE_MODES.includes(rateMode)) {
+        throw new Error(`Rate mode must be one of: ${RATE_MODES.join(", ")}`);
+    }
+    return rateMode;
+}
+
+// Ways of combining several tags in a filter
+const TAG_MATCHES = ["any", "all"];
+
+// Validate options.tags / options.tagMatch of the report functions → { tags, match }
+function readTagFilter(options) {
+    const match = options.tagMatch || "any";
+    if (!TAG_MATCHES.includes(match)) {
+        throw new Error(`Tag match must be one of: ${TAG_MATCHES.join(", ")}`);
+    }
+    return { tags: normalizeTags(options.tags), match };
+}
+
+// Load the exchange rates (settings URL or default server) outside of a report transaction
+async function loadRates() {
+    const tx = _db.transaction(["settings"], "readonly");
+    const ratesSettings = await readRatesSettings(tx.objectStore("settings"));
+    const { rates } = await resolveRates(ratesSettings);
+    return rates;
+}
+
+// ------------------------------ API methods ------------------------------
+
+// Throws unless the sum of a cost is a positive number
+function checkCostSum(sum) {
+    if (typeof sum !== "number" || !Number.isFinite(sum) || sum <= 0) {
+        throw new Error("Sum must be a positive number.");
+    }
+}
+
+// Currency codes as the rates server accepts them ("USD", "EURO")
+const CURRENCY_CODE = /^[A-Z]{3,5}$/;
+
+/*
+ * knownCurrencies()
+ * The last known currency list of the active rates source: the loaded one, else
+ * the one of the offline copy however old it is, else null (never loaded here).
+ */
+async function knownCurrencies() {
+    try {
+        return await getSupportedCurrencies();
+    } catch {
+        const tx = _db.transaction(["settings"], "readonly");
+        const { ratesUrl, cache } = await readRatesSettings(tx.objectStore("settings"));
+        const sourceUrl = ratesUrl || DEFAULT_RATES_URL;
+        return cache && cache.sourceUrl === sourceUrl ? currenciesOf(cache.rates) : null;
+    }
+}
+
+/*
+ * checkCurrency(currency)
+ * Throws unless currency is a currency code that the last known rates contain
+ * (UnknownCurrencyError) – a value that can't be converted would break every
+ * report it appears in. Without any known rates (offline since the first start)
+ * only the code's format is checked, so costs can still be entered offline.
+ */
+async function checkCurrency(currency) {
+    if (typeof currency !== "string" || !CURRENCY_CODE.test(currency)) {
+        throw new Error(`Currency must be a code like "USD", got ${JSON.stringify(currency)}.`);
+    }
+
+    const currencies = await knownCurrencies();
+    if (currencies && !currencies.includes(currency)) {
+        throw new UnknownCurrencyError(currency);
+    }
+}
+
+/*
+ * addCost(cost)
+ * Adds a new cost item and returns a Promise for the added item.
+ * cost.sum must be a positive number and cost.currency a supported currency.
+ * cost.date is optional (Date or "YYYY-MM-DD"); today's date is used without it.
+ * cost.tags is optional (array or "a, b" text).
+ */
+async function addCost(cost) {
+    // Validate the amount before anything is written
+    checkCostSum(cost.sum);
+    await checkCurrency(cost.currency);
+
+    return new Promise((resolve, reject) => {
+        // Validate DB is open before we start a transaction
+        try {
+            requireOpenDb();
+        } catch (e) {
+            reject(e);
+            return;
+        }
+
+        // Attach the cost date (or today's date) to the cost item
+        let date;
+        try {
+            date = toDateParts(cost.date);
+        } catch (e) {
+            reject(e);
+            return;
+        }
+
+        // One spelling per category ("food " → "FOOD")
+        const category = normalizeCategory(cost.category);
+        if (!category) {
+            reject(new Error("Category is required."));
+            return;
+        }
+
+        const record = withSyncFields({
+            sum: cost.sum,
+            currency: cost.currency,
+            category,
+            description: cost.description,
+            tags: normalizeTags(cost.tags),
+            year: date.year,
+            month: date.month,
+            day: date.day,
+            ledgerId: _ledgerId
+        });
+
+        // Create a readwrite transaction on the "costs", "categories" and "outbox" object stores
+        const tx = _db.transaction(["costs", "categories", "outbox"], "readwrite");
+
+        // A new category gets its record (and colour) in the same transaction
+        ensureCategories(tx.objectStore("categories"), [category]);
+
+        // Get a reference to the "costs" object store inside the transaction
+        const store = tx.objectStore("costs");
+
+        // Add the record to the object store (asynchronous request)
+        const request = store.add(record);
+
+        // The new cost waits in the outbox until the next sync
+        queueChange(tx.objectStore("outbox"), record);
+
+        // When the add completes successfully, resolve with the added item shape
+        request.onsuccess = function () {
+            // Resolve with the newly added cost item structure
+            resolve({
+                sum: record.sum,
+                currency: record.currency,
+                category: record.category,
+                description: record.description,
+                tags: record.tags,
+                Date: { day: record.day, month: record.month, year: record.year }
+            });
+        };
+
+        // If the add fails, reject with the IndexedDB error
+        request.onerror = function () {
+            reject(request.error);
+        };
+    });
+}
+
+/*
+ * updateCost(id, patch)
+ * Updates an existing cost item and returns a Promise for the updated item.
+ * Only sum, currency, category, description and tags can be changed; a changed
+ * sum or currency is checked like in addCost().
+ */
+async function updateCost(id, patch) {
+    // Validate a changed amount before anything is written
+    if (patch.sum !== undefined) {
+        checkCostSum(patch.sum);
+    }
+    if (patch.currency !== undefined) {
+        await checkCurrency(patch.currency);
+    }
+
+    return new Promise((resolve, reject) => {
+        // Validate DB is open before we start a transaction
+        try {
+            requireOpenDb();
+        } catch (e) {
+            reject(e);
+            return;
+        }
+
+        // A changed category is stored in its canonical spelling
+        if (patch.category !== undefined) {
+            patch = { ...patch, category: normalizeCategory(patch.category) };
+            if (!patch.category) {
+                reject(new Error("Category is required."));
+                return;
+            }
+        }
+
+        // Tags are stored normalized, like in addCost()
+        if (patch.tags !== undefined) {
+            patch = { ...patch, tags: normalizeTags(patch.tags) };
+        }
+
+        // Create a readwrite transaction on the "costs", "categories" and "outbox" object stores
+        const tx = _db.transaction(["costs", "categories", "outbox"], "readwrite");
+        const store = tx.objectStore("costs");
+
+        // A new category gets its record (and colour) in the same transaction
+        if (patch.category !== undefined) {
+            ensureCategories(tx.objectStore("categories"), [patch.category]);
+        }
+
+        // Load the existing record first (we must merge the patch into it)
+        const getReq = store.get(id);
+
+        getReq.onsuccess = function () {
+            const existing = getReq.result;
+
+            // Reject if there is no record with this id (in the active ledger)
+            if (!existing || existing.ledgerId !== _ledgerId) {
+                reject(new Error(`Cost item ${id} not found`));
+                return;
+            }
+
+            // Merge only the editable fields (id and date fields stay untouched)
+            let record = { ...existing };
+            for (const field of EDITABLE_COST_FIELDS) {
+                if (patch[field] !== undefined) {
+                    record[field] = patch[field];
+                }
+            }
+            record = withSyncFields(record);
+
+            // Write the merged record back (same id → replaces the old one) and queue the change
+            const putReq = store.put(record);
+            queueChange(tx.objectStore("outbox"), record);
+
+            // Resolve with the updated cost item structure
+            putReq.onsuccess = function () {
+                resolve({
+                    id: record.id,
+                    sum: record.sum,
+                    currency: record.currency,
+                    category: record.category,
+                    description: record.description,
+                    tags: record.tags || [],
+                    Date: { day: record.day, month: record.month, year: record.year }
+                });
+            };
+
+            // If the update fails, reject with the IndexedDB error
+            putReq.onerror = function () {
+                reject(putReq.error);
+            };
+        };
+
+        // If reading the record fails, reject with the IndexedDB error
+        getReq.onerror = function () {
+            reject(getReq.error);
+        };
+    });
+}
+
+/*
+ * deleteCost(id)
+ * Deletes a cost item and returns a Promise that resolves to true.
+ */
+async function deleteCost(id) {
+    return new Promise((resolve, reject) => {
+        // Validate DB is open before we start a transaction
+        try {
+            requireOpenDb();
+        } catch (e) {
+            reject(e);
+            return;
+        }
+
+        // Create a readwrite transaction on the "costs" and "outbox" object stores
+        const tx = _db.transaction(["costs", "outbox"], "readwrite");
+        const store = tx.objectStore("costs");
+
+        // Check the record exists so a wrong id is reported instead of ignored
+        const getReq = store.get(id);
+
+        getReq.onsuccess = function () {
+            // Reject if there is no record with this id (in the active ledger)
+            if (!getReq.result || getReq.result.ledgerId !== _ledgerId) {
+                reject(new Error(`Cost item ${id} not found`));
+                return;
+            }
+
+            // Delete the record from the object store (other devices learn it from the outbox)
+            const deleteReq = store.delete(id);
+            queueChange(tx.objectStore("outbox"), withSyncFields(getReq.result), true);
+
+            // Resolve true when deleted successfully
+            deleteReq.onsuccess = function () {
+                resolve(true);
+            };
+
+            // If the delete fails, reject with the IndexedDB error
+            deleteReq.onerror = function () {
+                reject(deleteReq.error);
+            };
+        };
+
+        // If reading the record fails, reject with the IndexedDB error
+        getReq.onerror = function () {
+            reject(getReq.error);
+        };
+    });
+}
+
+/*
+ * getReport(year, month, currency, options)
+ * Returns a Promise for a detailed monthly report in a specific currency.
+ * options.rateMode: "current" (default) converts every cost with today's rates,
+ * "purchase" converts each cost with the rate snapshot closest to its date.
+ * "budgets" holds budget versus actual for every category that has a budget.
+ * "ratesInfo" tells whether cached rates were used ({ cached, fetchedAt, sourceUrl, rateMode }).
+ * options.tags (+ options.tagMatch "any" | "all") keeps only costs with those tags;
+ * budgets still compare against all costs of the month. "filter" echoes the tag filter.
+ *
+ * IMPORTANT (React version):
+ * - costs are already converted to the requested currency
+ * - this allows charts to aggregate values without extra conversion
+ */
+async function getReport(year, month, currency, options = {}) {
+    return new Promise((resolve, reject) => {
+        // Validate DB is open and the options before reading data
+        let rateMode;
+        let tagFilter;
+        try {
+            requireOpenDb();
+            rateMode = readRateMode(options);
+            tagFilter = readTagFilter(options);
+        } catch (e) {
+            reject(e);
+            return;
+        }
+
+        // Open a readonly transaction on "costs", "settings" and "budgets"
+        const tx = _db.transaction(["costs", "settings", "budgets"], "readonly");
         const costsStore = tx.objectStore("costs");
         const settingsStore = tx.objectStore("settings");
 
+        // Budgets are read together with the costs (same transaction)
+        const budgetsPromise = readLedgerBudgets(tx.objectStore("budgets"));
+
         // Will hold all costs matching the requested month/year
         const rawCosts = [];
 
-        // Cursor is used to iterate over all records in the "costs" store
-        const cursorReq = costsStore.openCursor();
+        // Cursor over the "ledgerYearMonth" index – visits only the requested month of the ledger
+        const cursorReq = costsStore
+            .index("ledgerYearMonth")
+            .openCursor(IDBKeyRange.only([_ledgerId, year, month]));
 
         // Cursor error handler
         cursorReq.onerror = function () {
@@ -227,9 +1189,9 @@ async function getReport(year, month, currency) {
             // event.target.result is either a cursor or null (end of store)
             const cursor = event.target.result;
 
-            // If cursor is null, we finished scanning all records
+            // If cursor is null, we finished reading the month's records
             if (!cursor) {
-                // Cursor reached the end → all costs were read
+                // Cursor reached the end → all costs of the month were read
                 // Now we can load exchange rates and calculate the report
                 build().catch(reject);
                 return;
@@ -238,16 +1200,16 @@ async function getReport(year, month, currency) {
             // Current record from the store
             const r = cursor.value;
 
-            // Keep only records from the requested year and month
-            if (r.year === year && r.month === month) {
-                rawCosts.push({
-                    sum: r.sum,
-                    currency: r.currency,
-                    category: r.category,
-                    description: r.description,
-                    Date: { day: r.day }
-                });
-            }
+            // No filtering needed: the index range holds only the requested ledger, year and month
+            rawCosts.push({
+                id: r.id,
+                sum: r.sum,
+                currency: r.currency,
+                category: r.category,
+                description: r.description,
+                tags: r.tags || [],
+                Date: { day: r.day, month: r.month, year: r.year }
+            });
 
             // Continue to the next record
             cursor.continue();
@@ -255,22 +1217,44 @@ async function getReport(year, month, currency) {
 
         // Loads exchange rates (via fetch if URL exists) and builds final report
         async function build() {
-            // Read the exchange rates URL from the "settings" object store
-            const ratesUrl = await readRatesUrl(settingsStore);
+            // Read the rates settings and the budgets before the transaction closes
+            const [ratesSettings, budgets] = await Promise.all([
+                readRatesSettings(settingsStore),
+                budgetsPromise
+            ]);
 
-            // Fetch exchange rates (or use defaults if no URL is set)
-            const rates = await fetchRates(ratesUrl);
+            // Fetch exchange rates (or use the cached copy when the fetch fails)
+            const { rates, info } = await resolveRates(ratesSettings);
+
+            // Rates used for each cost: today's, or the snapshot closest to the cost date
+            let ratesOf = () => rates;
+            if (rateMode === "purchase") {
+                const lastDay = new Date(year, month, 0).getDate();
+                const snapshots = await fetchRatesHistory(
+                    ratesSettings.ratesUrl,
+                    toIsoDate({ year, month, day: 1 }),
+                    toIsoDate({ year, month, day: lastDay })
+                );
+                ratesOf = (c) => ratesForDate(snapshots, toIsoDate(c.Date));
+            }
 
             // Convert each record into the requested currency (React requirement for charts)
+            // The original sum/currency are kept so the item can be edited later
             const convertedCosts = rawCosts.map((c) => ({
                 ...c,
-                sum: Number(convert(c.sum, c.currency, currency, rates).toFixed(2)),
-                currency
+                sum: Number(convert(c.sum, c.currency, currency, ratesOf(c)).toFixed(2)),
+                currency,
+                original: { sum: c.sum, currency: c.currency }
             }));
 
+            // Tag filter (no tags → every cost)
+            const shownCosts = convertedCosts.filter((c) =>
+                matchesTags(c.tags, tagFilter.tags, tagFilter.match)
+            );
+
             // Calculate total cost in the requested currency
             let total = 0;
-            for (const c of convertedCosts) {
+            for (const c of shownCosts) {
                 total += c.sum;
             }
 
@@ -278,106 +1262,553 @@ async function getReport(year, month, currency) {
             resolve({
                 year,
                 month,
-                costs: convertedCosts,
-                total: { currency, total: Number(total.toFixed(2)) }
+                costs: shownCosts,
+                total: { currency, total: Number(total.toFixed(2)) },
+                budgets: compareBudgets(budgets, convertedCosts, currency, rates),
+                ratesInfo: { ...info, rateMode },
+                filter: { tags: tagFilter.tags, tagMatch: tagFilter.match }
             });
         }
     });
 }
 
 /*
- * setRatesUrl(url)
- * Saves the exchange-rates URL in the database settings.
+ * getRangeReport(fromDate, toDate, currency, options)
+ * Like getReport(), but for any date range (inclusive, Date or "YYYY-MM-DD"):
+ * { from, to, costs, total, byMonth, byCategory, ratesInfo, filter }
+ * byMonth:    [{ year, month, total }] for every month of the range (empty months = 0)
+ * byCategory: [{ name, value }] sorted by value, largest first
+ * options: rateMode, tags, tagMatch – as in getReport(). Costs are sorted by date.
  */
-async function setRatesUrl(url) {
+async function getRangeReport(fromDate, toDate, currency, options = {}) {
     return new Promise((resolve, reject) => {
-        // Validate DB is open before writing settings
+        // Validate DB is open, the dates and the options before reading data
+        let from;
+        let to;
+        let rateMode;
+        let tagFilter;
         try {
             requireOpenDb();
+            if (!fromDate || !toDate) {
+                throw new Error("Both the start and the end date are required.");
+            }
+            from = toDateParts(fromDate);
+            to = toDateParts(toDate);
+            if (toIsoDate(from) > toIsoDate(to)) {
+                throw new Error("The start date must not be after the end date.");
+            }
+            rateMode = readRateMode(options);
+            tagFilter = readTagFilter(options);
         } catch (e) {
             reject(e);
             return;
         }
 
-        // Open a readwrite transaction on the "settings" object store
-        const tx = _db.transaction(["settings"], "readwrite");
-        const store = tx.objectStore("settings");
+        const fromIso = toIsoDate(from);
+        const toIso = toIsoDate(to);
 
-        // Store the URL under the key "ratesUrl"
-        const request = store.put({ key: "ratesUrl", value: url });
+        // Open a readonly transaction on "costs" and "settings"
+        const tx = _db.transaction(["costs", "settings"], "readonly");
+        const settingsStore = tx.objectStore("settings");
 
-        // Resolve true when saved successfully
-        request.onsuccess = function () {
-            resolve(true);
+        // The "ledgerYearMonth" index reads whole months; the first/last month are cut by day below
+        const req = tx
+            .objectStore("costs")
+            .index("ledgerYearMonth")
+            .getAll(
+                IDBKeyRange.bound(
+                    [_ledgerId, from.year, from.month],
+                    [_ledgerId, to.year, to.month]
+                )
+            );
+
+        req.onsuccess = function () {
+            const rawCosts = req.result
+                .map((r) => ({ ...r, iso: toIsoDate(r) }))
+                .filter((r) => r.iso >= fromIso && r.iso <= toIso)
+                .filter((r) => matchesTags(r.tags, tagFilter.tags, tagFilter.match))
+                .sort((a, b) => a.iso.localeCompare(b.iso) || a.id - b.id);
+
+            build(rawCosts).catch(reject);
         };
 
-        // Reject if saving fails
-        request.onerror = function () {
-            reject(request.error);
+        req.onerror = function () {
+            reject(req.error);
         };
-    });
-}
 
-/*
- * getPieChartData(year, month, currency)
- * Returns:
- * [{ name: <category>, value: <sumInSelectedCurrency> }, ...]
- */
-async function getPieChartData(year, month, currency) {
-    // Use getReport() because it already returns converted costs in React
-    const report = await getReport(year, month, currency);
+        // Loads exchange rates and builds the report with its subtotals
+        async function build(rawCosts) {
+            const ratesSettings = await readRatesSettings(settingsStore);
+            const { rates, info } = await resolveRates(ratesSettings);
 
-    // Aggregate sums by category
-    const map = new Map();
-    for (const c of report.costs) {
-        map.set(c.category, (map.get(c.category) || 0) + c.sum);
-    }
+            // Rates used for each cost: today's, or the snapshot closest to the cost date
+            let ratesOf = () => rates;
+            if (rateMode === "purchase") {
+                const snapshots = await fetchRatesHistory(ratesSettings.ratesUrl, fromIso, toIso);
+                ratesOf = (r) => ratesForDate(snapshots, r.iso);
+            }
 
-    // Convert Map into the shape expected by Recharts
-    return Array.from(map.entries()).map(([name, value]) => ({
-        name,
-        value: Number(value.toFixed(2))
-    }));
+            const costs = rawCosts.map((r) => ({
+                id: r.id,
+                sum: Number(convert(r.sum, r.currency, currency, ratesOf(r)).toFixed(2)),
+                currency,
+                category: r.category,
+                description: r.description,
+                tags: r.tags || [],
+                Date: { day: r.day, month: r.month, year: r.year },
+                original: { sum: r.sum, currency: r.currency }
+            }));
+
+            // One subtotal per month of the range, in calendar order
+            const byMonth = [];
+            let y = from.year;
+            let m = from.month;
+            while (y < to.year || (y === to.year && m <= to.month)) {
+                byMonth.push({ year: y, month: m, total: 0 });
+                if (m === 12) {
+                    m = 1;
+                    y++;
+                } else {
+                    m++;
+                }
+            }
+
+            // Totals: overall, per month and per category
+            let total = 0;
+            const byCategory = new Map();
+            for (const c of costs) {
+                total += c.sum;
+                byMonth.find((b) => b.year === c.Date.year && b.month === c.Date.month).total += c.sum;
+                byCategory.set(c.category, (byCategory.get(c.category) || 0) + c.sum);
+            }
+
+            resolve({
+                from: fromIso,
+                to: toIso,
+                costs,
+                total: { currency, total: Number(total.toFixed(2)) },
+                byMonth: byMonth.map((b) => ({ ...b, total: Number(b.total.toFixed(2)) })),
+                byCategory: Array.from(byCategory.entries())
+                    .map(([name, value]) => ({ name, value: Number(value.toFixed(2)) }))
+                    .sort((a, b) => b.value - a.value),
+                ratesInfo: { ...info, rateMode },
+                filter: { tags: tagFilter.tags, tagMatch: tagFilter.match }
+            });
+        }
+    });
 }
 
 /*
- * getBarChartData(year, currency)
- * Returns:
- * [{ month: 1..12, total: <sumInSelectedCurrency> }, ...]
- *
- * Single DB scan + single rates fetch
+ * getReportByTag(tag, range, currency)
+ * Returns a Promise for every cost with a tag, across months and categories:
+ * { tag, range: { from, to }, costs, total: { currency, total }, byCategory, ratesInfo }
+ * range: { from?, to? } as "YYYY-MM-DD" (inclusive, both optional).
+ * Costs are converted with the current rates and sorted by date;
+ * byCategory is [{ name, value }] for the same costs.
  */
-async function getBarChartData(year, currency) {
+async function getReportByTag(tag, range = {}, currency) {
     return new Promise((resolve, reject) => {
-        // Validate DB is open before reading data
+        // Validate DB is open and the input before reading data
+        const [wanted] = normalizeTags([tag]);
+        let from = null;
+        let to = null;
         try {
             requireOpenDb();
+            if (!wanted) {
+                throw new Error("Tag is required.");
+            }
+            from = range.from ? toIsoDate(toDateParts(range.from)) : null;
+            to = range.to ? toIsoDate(toDateParts(range.to)) : null;
+            if (from && to && from > to) {
+                throw new Error("The start date must not be after the end date.");
+            }
         } catch (e) {
             reject(e);
             return;
         }
 
-        // Open a readonly transaction on both "costs" and "settings"
+        // Open a readonly transaction on "costs" and "settings"
         const tx = _db.transaction(["costs", "settings"], "readonly");
-        const costsStore = tx.objectStore("costs");
         const settingsStore = tx.objectStore("settings");
 
-        // Collect raw items per month (to convert after we load rates once)
-        const perMonth = Array.from({ length: 12 }, () => []);
+        // The multi-entry "tags" index finds the costs of one tag directly
+        const req = tx.objectStore("costs").index("tags").getAll(IDBKeyRange.only(wanted));
 
-        // Cursor is used to iterate over all records in the "costs" store
-        const cursorReq = costsStore.openCursor();
+        req.onsuccess = function () {
+            // Only costs of the active ledger inside the date range
+            const rawCosts = req.result
+                .filter((r) => r.ledgerId === _ledgerId)
+                .map((r) => ({ ...r, iso: toIsoDate(r) }))
+                .filter((r) => (!from || r.iso >= from) && (!to || r.iso <= to))
+                .sort((a, b) => a.iso.localeCompare(b.iso) || a.id - b.id);
 
-        // Cursor error handler
-        cursorReq.onerror = function () {
-            reject(cursorReq.error);
+            build(rawCosts).catch(reject);
         };
 
-        // Cursor success handler
+        req.onerror = function () {
+            reject(req.error);
+        };
+
+        // Loads exchange rates and builds the report
+        async function build(rawCosts) {
+            const { rates, info } = await resolveRates(await readRatesSettings(settingsStore));
+
+            const costs = rawCosts.map((r) => ({
+                id: r.id,
+                sum: Number(convert(r.sum, r.currency, currency, rates).toFixed(2)),
+                currency,
+                category: r.category,
+                description: r.description,
+                tags: r.tags,
+                Date: { day: r.day, month: r.month, year: r.year },
+                original: { sum: r.sum, currency: r.currency }
+            }));
+
+            // Totals: overall and per category
+            let total = 0;
+            const byCategory = new Map();
+            for (const c of costs) {
+                total += c.sum;
+                byCategory.set(c.category, (byCategory.get(c.category) || 0) + c.sum);
+            }
+
+            resolve({
+                tag: wanted,
+                range: { from, to },
+                costs,
+                total: { currency, total: Number(total.toFixed(2)) },
+                byCategory: Array.from(byCategory.entries()).map(([name, value]) => ({
+                    name,
+                    value: Number(value.toFixed(2))
+                })),
+                ratesInfo: info
+            });
+        }
+    });
+}
+
+/*
+ * listTags()
+ * Returns a Promise for every tag in use in the active ledger, sorted:
+ * ["vacation-2026", "work", ...]
+ */
+async function listTags() {
+    return new Promise((resolve, reject) => {
+        // Validate DB is open before reading data
+        try {
+            requireOpenDb();
+        } catch (e) {
+            reject(e);
+            return;
+        }
+
+        const tx = _db.transaction(["costs"], "readonly");
+
+        // The costs of the ledger, found through the "ledgerId" index
+        const req = tx.objectStore("costs").index("ledgerId").getAll(IDBKeyRange.only(_ledgerId));
+
+        req.onsuccess = function () {
+            const tags = new Set();
+            for (const cost of req.result) {
+                for (const tag of cost.tags || []) {
+                    tags.add(tag);
+                }
+            }
+            resolve(Array.from(tags).sort());
+        };
+
+        req.onerror = function () {
+            reject(req.error);
+        };
+    });
+}
+
+/*
+ * setRatesUrl(url)
+ * Saves the exchange-rates URL in the database settings.
+ */
+async function setRatesUrl(url) {
+    return new Promise((resolve, reject) => {
+        // Validate DB is open before writing settings
+        try {
+            requireOpenDb();
+        } catch (e) {
+            reject(e);
+            return;
+        }
+
+        // Open a readwrite transaction on the "settings" object store
+        const tx = _db.transaction(["settings"], "readwrite");
+        const store = tx.objectStore("settings");
+
+        // Store the URL under the key "ratesUrl" of the active ledger
+        const request = store.put({ key: [_ledgerId, "ratesUrl"], value: url });
+
+        // Resolve true when saved successfully
+        request.onsuccess = function () {
+            // The currency list belongs to the old source → load it again next time
+            _currenciesCache = null;
+            resolve(true);
+        };
+
+        // Reject if saving fails
+        request.onerror = function () {
+            reject(request.error);
+        };
+    });
+}
+
+/*
+ * getSupportedCurrencies()
+ * Returns a Promise for the currency codes of the active rates source
+ * (e.g. ["USD", "GBP", "EURO", "ILS"]). The list is cached per source and
+ * refreshed whenever rates are loaded; it is fetched only when not known yet.
+ */
+async function getSupportedCurrencies() {
+    // Validate DB is open before reading settings
+    requireOpenDb();
+
+    const tx = _db.transaction(["settings"], "readonly");
+    const ratesSettings = await readRatesSettings(tx.objectStore("settings"));
+    const sourceUrl = ratesSettings.ratesUrl || DEFAULT_RATES_URL;
+
+    // Reuse the list of the same source
+    if (!_currenciesCache || _currenciesCache.sourceUrl !== sourceUrl) {
+        // resolveRates() fills the cache (from a fresh fetch or the offline copy)
+        await resolveRates(ratesSettings);
+    }
+
+    return [..._currenciesCache.currencies];
+}
+
+/*
+ * setDefaultCurrency(currency)
+ * Saves the preferred currency used as the default of every currency picker.
+ * Returns a Promise that resolves to true.
+ */
+async function setDefaultCurrency(currency) {
+    // Only currencies of the active rates source can be chosen
+    const currencies = await getSupportedCurrencies();
+    if (!currencies.includes(currency)) {
+        throw new Error(`Currency "${currency}" is not supported by the current rates source.`);
+    }
+
+    return writeSetting("defaultCurrency", currency);
+}
+
+/*
+ * getDefaultCurrency()
+ * Returns a Promise for the preferred currency. Falls back to USD (or the first
+ * supported currency) when none was saved or the saved one is no longer supported.
+ */
+async function getDefaultCurrency() {
+    // Validate DB is open before reading settings
+    requireOpenDb();
+
+    const tx = _db.transaction(["settings"], "readonly");
+    const saved = await readSetting(tx.objectStore("settings"), "defaultCurrency");
+
+    // The supported list decides whether the saved value is still usable
+    let currencies;
+    try {
+        currencies = await getSupportedCurrencies();
+    } catch {
+        // Rates unavailable → trust the saved value (or USD) instead of failing the page
+        return saved || "USD";
+    }
+
+    if (saved && currencies.includes(saved)) {
+        return saved;
+    }
+    return currencies.includes("USD") ? "USD" : currencies[0];
+}
+
+/*
+ * getSavedDefaultCurrency()
+ * Returns a Promise for the saved preferred currency (USD when none was saved)
+ * without loading the rates, so it never waits for the rates server. Unlike
+ * getDefaultCurrency() it does not check that the currency is still supported.
+ */
+async function getSavedDefaultCurrency() {
+    // Validate DB is open before reading settings
+    requireOpenDb();
+
+    const tx = _db.transaction(["settings"], "readonly");
+    return (await readSetting(tx.objectStore("settings"), "defaultCurrency")) || "USD";
+}
+
+/*
+ * setRatesMaxAge(hours)
+ * Saves how old (in hours) cached exchange rates may be when the rates server
+ * can't be reached. Returns a Promise that resolves to true.
+ */
+async function setRatesMaxAge(hours) {
+    // Validate DB is open before writing settings
+    requireOpenDb();
+
+    // Max age must be a positive number of hours
+    const numHours = Number(hours);
+    if (!Number.isFinite(numHours) || numHours <= 0) {
+        throw new Error("Max age must be a positive number of hours.");
+    }
+
+    return writeSetting("ratesMaxAgeHours", numHours);
+}
+
+/*
+ * getRatesSettings()
+ * Returns a Promise for the current exchange-rates settings:
+ * { ratesUrl, maxAgeHours, cachedAt, cachedSourceUrl }
+ */
+async function getRatesSettings() {
+    // Validate DB is open before reading settings
+    requireOpenDb();
+
+    const tx = _db.transaction(["settings"], "readonly");
+    const { ratesUrl, cache, maxAgeHours } = await readRatesSettings(tx.objectStore("settings"));
+
+    return {
+        ratesUrl,
+        maxAgeHours,
+        cachedAt: cache ? cache.fetchedAt : null,
+        cachedSourceUrl: cache ? cache.sourceUrl : null
+    };
+}
+
+/*
+ * getRatesInfo()
+ * Returns where the most recently used exchange rates came from:
+ * { cached, fetchedAt, sourceUrl }, or null before any rates were loaded.
+ */
+function getRatesInfo() {
+    return _lastRatesInfo;
+}
+
+/*
+ * getPieChartData(year, month, currency, options)
+ * Returns:
+ * [{ name: <category>, value: <sumInSelectedCurrency>, color, icon, budget, usedPercent }, ...]
+ * color / icon come from the category record.
+ * budget / usedPercent are null for categories without a budget (and when
+ * filtering by tags). Categories with a budget but no spending this month are
+ * listed too, with value 0 (no slice). options.rateMode and options.tags / tagMatch
+ * work as in getReport().
+ */
+async function getPieChartData(year, month, currency, options = {}) {
+    // Use getReport() because it already returns converted costs in React
+    const report = await getReport(year, month, currency, options);
+
+    // Stored colour / icon of every category
+    const categories = await listCategories();
+    const categoryByName = new Map(categories.map((c) => [c.name, c]));
+
+    // Aggregate sums by category
+    const map = new Map();
+    for (const c of report.costs) {
+        map.set(c.category, (map.get(c.category) || 0) + c.sum);
+    }
+
+    // Budget versus actual per category (already in the selected currency)
+    // Budgets cover all spending, so they are left out of tag-filtered slices
+    const budgetByCategory = new Map(
+        report.filter.tags.length === 0 ? report.budgets.map((b) => [b.category, b]) : []
+    );
+
+    // Budgeted categories without spending still show their budget (0 spent)
+    for (const name of budgetByCategory.keys()) {
+        if (!map.has(name)) {
+            map.set(name, 0);
+        }
+    }
+
+    // Convert Map into the shape expected by Recharts
+    return Array.from(map.entries()).map(([name, value], i) => ({
+        name,
+        value: Number(value.toFixed(2)),
+        // Fallback colour for a category without a record (should not happen after v5)
+        color: categoryByName.get(name)?.color ?? categoryColor(i),
+        icon: categoryByName.get(name)?.icon ?? "",
+        budget: budgetByCategory.get(name)?.budget ?? null,
+        usedPercent: budgetByCategory.get(name)?.usedPercent ?? null
+    }));
+}
+
+/*
+ * getPieSliceCosts(year, month, category, currency, options)
+ * Returns the cost items behind one slice of getPieChartData() (same arguments + category):
+ * { category, costs, total: { currency, total }, ratesInfo }
+ * Costs have the shape of getReport() costs (converted sum + original { sum, currency }),
+ * sorted by day.
+ */
+async function getPieSliceCosts(year, month, category, currency, options = {}) {
+    // Same report (and so the same conversion) the pie chart was built from
+    const report = await getReport(year, month, currency, options);
+    const name = normalizeCategory(category);
+
+    const costs = report.costs
+        .filter((c) => c.category === name)
+        .sort((a, b) => a.Date.day - b.Date.day || a.id - b.id);
+
+    let total = 0;
+    for (const c of costs) {
+        total += c.sum;
+    }
+
+    return {
+        category: name,
+        costs,
+        total: { currency, total: Number(total.toFixed(2)) },
+        ratesInfo: report.ratesInfo
+    };
+}
+
+/*
+ * getBarChartData(year, currency, options)
+ * Returns:
+ * [{ month: 1..12, total: <sumInSelectedCurrency> }, ...]
+ * options.rateMode and options.tags / tagMatch work as in getReport().
+ * options.byCategory: also return each month's total per category
+ * ({ month, total, byCategory: { FOOD: <sum>, ... } }, only categories with costs).
+ *
+ * Single index range scan + single rates fetch
+ */
+async function getBarChartData(year, currency, options = {}) {
+    return new Promise((resolve, reject) => {
+        // Validate DB is open and the options before reading data
+        let rateMode;
+        let tagFilter;
+        try {
+            requireOpenDb();
+            rateMode = readRateMode(options);
+            tagFilter = readTagFilter(options);
+        } catch (e) {
+            reject(e);
+            return;
+        }
+
+        // Open a readonly transaction on both "costs" and "settings"
+        const tx = _db.transaction(["costs", "settings"], "readonly");
+        const costsStore = tx.objectStore("costs");
+        const settingsStore = tx.objectStore("settings");
+
+        // Collect raw items per month (to convert after we load rates once)
+        const perMonth = Array.from({ length: 12 }, () => []);
+
+        // Cursor over the "ledgerYear" index – visits only the requested year of the ledger
+        const cursorReq = costsStore
+            .index("ledgerYear")
+            .openCursor(IDBKeyRange.only([_ledgerId, year]));
+
+        // Cursor error handler
+        cursorReq.onerror = function () {
+            reject(cursorReq.error);
+        };
+
+        // Cursor success handler
         cursorReq.onsuccess = function (event) {
             const cursor = event.target.result;
 
-            // If cursor is null, we finished scanning all records
+            // If cursor is null, we finished reading the year's records
             if (!cursor) {
                 build().catch(reject);
                 return;
@@ -386,9 +1817,15 @@ async function getBarChartData(year, currency) {
             // Current record from the store
             const r = cursor.value;
 
-            // Keep only records from the requested year and valid month range
-            if (r.year === year && r.month >= 1 && r.month <= 12) {
-                perMonth[r.month - 1].push({ sum: r.sum, currency: r.currency });
+            // Keep only records with a valid month (the index already matched the year)
+            // that pass the tag filter
+            if (r.month >= 1 && r.month <= 12 && matchesTags(r.tags, tagFilter.tags, tagFilter.match)) {
+                perMonth[r.month - 1].push({
+                    sum: r.sum,
+                    currency: r.currency,
+                    category: r.category,
+                    date: toIsoDate(r)
+                });
             }
 
             // Continue to the next record
@@ -397,28 +1834,48 @@ async function getBarChartData(year, currency) {
 
         // Loads exchange rates once and computes totals for all 12 months
         async function build() {
-            // Read the exchange rates URL from the "settings" object store
-            const ratesUrl = await readRatesUrl(settingsStore);
+            // Read the rates settings from the "settings" object store
+            const ratesSettings = await readRatesSettings(settingsStore);
+
+            // Fetch exchange rates (or use the cached copy when the fetch fails)
+            const { rates } = await resolveRates(ratesSettings);
 
-            // Fetch exchange rates (or use defaults if no URL is set)
-            const rates = await fetchRates(ratesUrl);
+            // Rates used for each item: today's, or the snapshot closest to the item date
+            let ratesOf = () => rates;
+            if (rateMode === "purchase") {
+                const snapshots = await fetchRatesHistory(
+                    ratesSettings.ratesUrl,
+                    `${year}-01-01`,
+                    `${year}-12-31`
+                );
+                ratesOf = (item) => ratesForDate(snapshots, item.date);
+            }
 
             // Will hold the final bar chart data (one entry per month)
             const data = [];
 
             // Iterate over all 12 months (1 = January, 12 = December)
             for (let m = 1; m <= 12; m++) {
-                // Accumulates the total cost for the current month
+                // Accumulates the total cost for the current month (and per category)
                 let total = 0;
+                const byCategory = {};
 
                 // Iterate over all cost items that belong to the current month
                 for (const item of perMonth[m - 1]) {
                     // Convert each item to the selected currency and add to the monthly total
-                    total += convert(item.sum, item.currency, currency, rates);
+                    const sum = convert(item.sum, item.currency, currency, ratesOf(item));
+                    total += sum;
+                    byCategory[item.category] = (byCategory[item.category] || 0) + sum;
                 }
 
                 // Push the aggregated monthly result (rounded to 2 decimals)
-                data.push({ month: m, total: Number(total.toFixed(2)) });
+                const entry = { month: m, total: Number(total.toFixed(2)) };
+                if (options.byCategory) {
+                    entry.byCategory = Object.fromEntries(
+                        Object.entries(byCategory).map(([name, value]) => [name, Number(value.toFixed(2))])
+                    );
+                }
+                data.push(entry);
             }
 
             // Resolve the Promise with the full yearly bar chart data
@@ -426,3 +1883,2225 @@ async function getBarChartData(year, currency) {
         }
     });
 }
+
+/*
+ * getMultiYearBarChartData(years, currency, options)
+ * Returns one entry per month with the total of every requested year:
+ * [{ month: 1..12, 2024: <sum>, 2025: <sum> }, ...]
+ * years: array of years (duplicates ignored); options as in getBarChartData().
+ *
+ * Single index range scan (first..last year) + single rates fetch
+ */
+async function getMultiYearBarChartData(years, currency, options = {}) {
+    return new Promise((resolve, reject) => {
+        // Validate DB is open, the years and the options before reading data
+        let wanted;
+        let rateMode;
+        let tagFilter;
+        try {
+            requireOpenDb();
+            if (!Array.isArray(years) || years.length === 0) {
+                throw new Error("At least one year is required.");
+            }
+            wanted = [...new Set(years.map(Number))].sort((a, b) => a - b);
+            if (!wanted.every(Number.isInteger)) {
+                throw new Error("Years must be whole numbers.");
+            }
+            rateMode = readRateMode(options);
+            tagFilter = readTagFilter(options);
+        } catch (e) {
+            reject(e);
+            return;
+        }
+
+        const first = wanted[0];
+        const last = wanted[wanted.length - 1];
+
+        // Open a readonly transaction on both "costs" and "settings"
+        const tx = _db.transaction(["costs", "settings"], "readonly");
+        const costsStore = tx.objectStore("costs");
+        const settingsStore = tx.objectStore("settings");
+
+        // Raw items per year and month (converted after the rates are loaded once)
+        const perYear = new Map(wanted.map((y) => [y, Array.from({ length: 12 }, () => [])]));
+
+        // Cursor over the "ledgerYear" index – visits every year between the first and the last one
+        const cursorReq = costsStore
+            .index("ledgerYear")
+            .openCursor(IDBKeyRange.bound([_ledgerId, first], [_ledgerId, last]));
+
+        cursorReq.onerror = function () {
+            reject(cursorReq.error);
+        };
+
+        cursorReq.onsuccess = function (event) {
+            const cursor = event.target.result;
+
+            // If cursor is null, we finished reading the range
+            if (!cursor) {
+                build().catch(reject);
+                return;
+            }
+
+            // Keep records of the requested years (not the ones in between) that pass the tag filter
+            const r = cursor.value;
+            if (
+                perYear.has(r.year) &&
+                r.month >= 1 &&
+                r.month <= 12 &&
+                matchesTags(r.tags, tagFilter.tags, tagFilter.match)
+            ) {
+                perYear.get(r.year)[r.month - 1].push({
+                    sum: r.sum,
+                    currency: r.currency,
+                    date: toIsoDate(r)
+                });
+            }
+
+            cursor.continue();
+        };
+
+        // Loads exchange rates once and computes the totals of every year and month
+        async function build() {
+            const ratesSettings = await readRatesSettings(settingsStore);
+            const { rates } = await resolveRates(ratesSettings);
+
+            // Rates used for each item: today's, or the snapshot closest to the item date
+            let ratesOf = () => rates;
+            if (rateMode === "purchase") {
+                const snapshots = await fetchRatesHistory(
+                    ratesSettings.ratesUrl,
+                    `${first}-01-01`,
+                    `${last}-12-31`
+                );
+                ratesOf = (item) => ratesForDate(snapshots, item.date);
+            }
+
+            const data = [];
+            for (let m = 1; m <= 12; m++) {
+                const entry = { month: m };
+                for (const y of wanted) {
+                    let total = 0;
+                    for (const item of perYear.get(y)[m - 1]) {
+                        total += convert(item.sum, item.currency, currency, ratesOf(item));
+                    }
+                    entry[y] = Number(total.toFixed(2));
+                }
+                data.push(entry);
+            }
+
+            resolve(data);
+        }
+    });
+}
+
+/*
+ * getDailySeriesData(year, month, currency, options)
+ * Returns cumulative spending per day of a month, next to the previous month:
+ * { year, month, days: [{ day, amount, cumulative, previous }], total, previousTotal, ratesInfo }
+ * amount:     spent on that day (by the stored "day" field)
+ * cumulative: spent from the 1st up to and including that day
+ * previous:   cumulative of the previous month on the same day (null past its last day)
+ * options.rateMode and options.tags / tagMatch work as in getReport().
+ *
+ * Single index range scan (previous + requested month) + single rates fetch
+ */
+async function getDailySeriesData(year, month, currency, options = {}) {
+    return new Promise((resolve, reject) => {
+        // Validate DB is open, the month and the options before reading data
+        let rateMode;
+        let tagFilter;
+        try {
+            requireOpenDb();
+            if (!Number.isInteger(year) || !Number.isInteger(month) || month < 1 || month > 12) {
+                throw new Error("A valid year and month (1-12) are required.");
+            }
+            rateMode = readRateMode(options);
+            tagFilter = readTagFilter(options);
+        } catch (e) {
+            reject(e);
+            return;
+        }
+
+        // The month before (January → December of the year before)
+        const prevYear = month === 1 ? year - 1 : year;
+        const prevMonth = month === 1 ? 12 : month - 1;
+        const lastDay = new Date(year, month, 0).getDate();
+        const prevLastDay = new Date(prevYear, prevMonth, 0).getDate();
+
+        // Open a readonly transaction on both "costs" and "settings"
+        const tx = _db.transaction(["costs", "settings"], "readonly");
+        const costsStore = tx.objectStore("costs");
+        const settingsStore = tx.objectStore("settings");
+
+        // Raw items of both months (converted after the rates are loaded once)
+        const items = [];
+
+        // Cursor over the "ledgerYearMonth" index – the two months are neighbours in key order
+        const cursorReq = costsStore
+            .index("ledgerYearMonth")
+            .openCursor(
+                IDBKeyRange.bound([_ledgerId, prevYear, prevMonth], [_ledgerId, year, month])
+            );
+
+        cursorReq.onerror = function () {
+            reject(cursorReq.error);
+        };
+
+        cursorReq.onsuccess = function (event) {
+            const cursor = event.target.result;
+
+            // If cursor is null, we finished reading both months
+            if (!cursor) {
+                build().catch(reject);
+                return;
+            }
+
+            // Keep records with a valid day that pass the tag filter
+            const r = cursor.value;
+            if (r.day >= 1 && r.day <= 31 && matchesTags(r.tags, tagFilter.tags, tagFilter.match)) {
+                items.push({
+                    current: r.month === month,
+                    day: r.day,
+                    sum: r.sum,
+                    currency: r.currency,
+                    date: toIsoDate(r)
+                });
+            }
+
+            cursor.continue();
+        };
+
+        // Loads exchange rates once and builds both cumulative series
+        async function build() {
+            const ratesSettings = await readRatesSettings(settingsStore);
+            const { rates, info } = await resolveRates(ratesSettings);
+
+            // Rates used for each item: today's, or the snapshot closest to the item date
+            let ratesOf = () => rates;
+            if (rateMode === "purchase") {
+                const snapshots = await fetchRatesHistory(
+                    ratesSettings.ratesUrl,
+                    toIsoDate({ year: prevYear, month: prevMonth, day: 1 }),
+                    toIsoDate({ year, month, day: lastDay })
+                );
+                ratesOf = (item) => ratesForDate(snapshots, item.date);
+            }
+
+            // Daily amounts of both months (index 0 = day 1)
+            const daily = Array(lastDay).fill(0);
+            const prevDaily = Array(prevLastDay).fill(0);
+            for (const item of items) {
+                const sum = convert(item.sum, item.currency, currency, ratesOf(item));
+                const target = item.current ? daily : prevDaily;
+                // A day past the end of the month (bad data) counts on the last day
+                target[Math.min(item.day, target.length) - 1] += sum;
+            }
+
+            // Running totals
+            let cumulative = 0;
+            let previous = 0;
+            const days = daily.map((amount, i) => {
+                cumulative += amount;
+                if (i < prevLastDay) {
+                    previous += prevDaily[i];
+                }
+                return {
+                    day: i + 1,
+                    amount: Number(amount.toFixed(2)),
+                    cumulative: Number(cumulative.toFixed(2)),
+                    previous: i < prevLastDay ? Number(previous.toFixed(2)) : null
+                };
+            });
+
+            let previousTotal = 0;
+            for (const amount of prevDaily) {
+                previousTotal += amount;
+            }
+
+            resolve({
+                year,
+                month,
+                days,
+                total: { currency, total: Number(cumulative.toFixed(2)) },
+                previousTotal: Number(previousTotal.toFixed(2)),
+                ratesInfo: { ...info, rateMode }
+            });
+        }
+    });
+}
+
+
+// ------------------------------- Categories -------------------------------
+// Categories (name, colour, icon) are shared by all ledgers: they have no ledgerId,
+// and a rename / merge / delete rewrites the costs and budgets of every ledger.
+
+/*
+ * listCategories()
+ * Returns a Promise for all categories sorted by name: [{ name, color, icon }, ...]
+ */
+async function listCategories() {
+    // Validate DB is open before reading
+    requireOpenDb();
+
+    const tx = _db.transaction(["categories"], "readonly");
+    const categories = await readAll(tx.objectStore("categories"));
+    return categories.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Validate the colour / icon of a category (throws on bad input)
+function checkCategoryStyle({ color, icon }) {
+    if (color !== undefined && !isCategoryColor(color)) {
+        throw new Error('Colour must look like "#1a2b3c".');
+    }
+    if (icon !== undefined && (typeof icon !== "string" || icon.length > 8)) {
+        throw new Error("Icon must be a short text (e.g. an emoji).");
+    }
+}
+
+/*
+ * addCategory({ name, color?, icon? })
+ * Creates a category. The name is stored in its canonical spelling; without
+ * a colour the next default colour is used. Returns a Promise for the record.
+ */
+async function addCategory({ name, color, icon = "" }) {
+    return new Promise((resolve, reject) => {
+        // Validate DB is open and the input before writing
+        const category = normalizeCategory(name);
+        try {
+            requireOpenDb();
+            if (!category) {
+                throw new Error("Category name is required.");
+            }
+            checkCategoryStyle({ color, icon });
+        } catch (e) {
+            reject(e);
+            return;
+        }
+
+        const tx = _db.transaction(["categories"], "readwrite");
+        const store = tx.objectStore("categories");
+        const req = store.getAll();
+
+        req.onsuccess = function () {
+            // Names are unique (different spellings are the same category)
+            if (req.result.some((c) => c.name === category)) {
+                reject(new Error(`Category "${category}" already exists.`));
+                return;
+            }
+
+            const record = { name: category, color: color || categoryColor(req.result.length), icon };
+            const addReq = store.add(record);
+            addReq.onsuccess = () => resolve(record);
+            addReq.onerror = () => reject(addReq.error);
+        };
+
+        req.onerror = function () {
+            reject(req.error);
+        };
+    });
+}
+
+/*
+ * updateCategory(name, { color?, icon? })
+ * Changes the colour and/or icon of a category. Returns a Promise for the record.
+ */
+async function updateCategory(name, patch) {
+    return new Promise((resolve, reject) => {
+        // Validate DB is open and the patch before writing
+        try {
+            requireOpenDb();
+            checkCategoryStyle(patch);
+        } catch (e) {
+            reject(e);
+            return;
+        }
+
+        const category = normalizeCategory(name);
+        const tx = _db.transaction(["categories"], "readwrite");
+        const store = tx.objectStore("categories");
+        const getReq = store.get(category);
+
+        getReq.onsuccess = function () {
+            if (!getReq.result) {
+                reject(new Error(`Category "${category}" not found.`));
+                return;
+            }
+
+            // Only colour and icon can change here (renaming rewrites costs)
+            const record = { ...getReq.result };
+            if (patch.color !== undefined) {
+                record.color = patch.color;
+            }
+            if (patch.icon !== undefined) {
+                record.icon = patch.icon;
+            }
+
+            const putReq = store.put(record);
+            putReq.onsuccess = () => resolve(record);
+            putReq.onerror = () => reject(putReq.error);
+        };
+
+        getReq.onerror = function () {
+            reject(getReq.error);
+        };
+    });
+}
+
+/*
+ * moveCategory(from, to, merge)
+ * Shared part of renameCategory / mergeCategories: in ONE transaction every
+ * cost, recurring rule and budget of "from" is moved to "to", and the "from"
+ * record is renamed (rename) or dropped (merge). When both categories have a
+ * budget, the budget of "to" is kept.
+ * Resolves with { name: to, costs: <number of cost items moved> }.
+ */
+function moveCategory(from, to, merge) {
+    return new Promise((resolve, reject) => {
+        // Validate DB is open before writing
+        try {
+            requireOpenDb();
+        } catch (e) {
+            reject(e);
+            return;
+        }
+
+        if (!to) {
+            reject(new Error("The new category name is required."));
+            return;
+        }
+        if (from === to) {
+            reject(new Error("Choose a different category."));
+            return;
+        }
+
+        const tx = _db.transaction(
+            ["costs", "recurring", "budgets", "categories", "outbox"],
+            "readwrite"
+        );
+        const categoriesStore = tx.objectStore("categories");
+        const budgetsStore = tx.objectStore("budgets");
+        let moved = 0;
+
+        // Check both records before changing anything
+        const fromReq = categoriesStore.get(from);
+        const toReq = categoriesStore.get(to);
+
+        toReq.onsuccess = function () {
+            const source = fromReq.result;
+            const target = toReq.result;
+
+            if (!source) {
+                reject(new Error(`Category "${from}" not found.`));
+                tx.abort();
+                return;
+            }
+            if (merge && !target) {
+                reject(new Error(`Category "${to}" not found.`));
+                tx.abort();
+                return;
+            }
+            if (!merge && target) {
+                reject(new Error(`Category "${to}" already exists – merge the categories instead.`));
+                tx.abort();
+                return;
+            }
+
+            // Category records: rename keeps colour and icon, merge keeps the target's
+            categoriesStore.delete(from);
+            if (!merge) {
+                categoriesStore.put({ ...source, name: to });
+            }
+
+            // Costs of the category, found through the "category" index
+            const costsStore = tx.objectStore("costs");
+            const costsReq = costsStore.index("category").getAll(IDBKeyRange.only(from));
+            costsReq.onsuccess = function () {
+                const outboxStore = tx.objectStore("outbox");
+                for (const cost of costsReq.result) {
+                    const record = withSyncFields({ ...cost, category: to });
+                    costsStore.put(record);
+                    queueChange(outboxStore, record);
+                }
+                moved = costsReq.result.length;
+            };
+
+            // Recurring rules (few records – no index needed)
+            const recurringStore = tx.objectStore("recurring");
+            const recurringReq = recurringStore.getAll();
+            recurringReq.onsuccess = function () {
+                for (const rule of recurringReq.result) {
+                    if (rule.category === from) {
+                        recurringStore.put({ ...rule, category: to });
+                    }
+                }
+            };
+
+            // Budgets (categories are shared by all ledgers): moved in every ledger
+            // unless that ledger already has a budget for the target
+            const budgetsReq = budgetsStore.getAll();
+            budgetsReq.onsuccess = function () {
+                const withTarget = new Set(
+                    budgetsReq.result.filter((b) => b.category === to).map((b) => b.ledgerId)
+                );
+                for (const budget of budgetsReq.result) {
+                    if (budget.category === from) {
+                        budgetsStore.delete([budget.ledgerId, from]);
+                        if (!withTarget.has(budget.ledgerId)) {
+                            budgetsStore.put({ ...budget, category: to });
+                        }
+                    }
+                }
+            };
+        };
+
+        // Resolve only after all writes were committed
+        tx.oncomplete = function () {
+            resolve({ name: to, costs: moved });
+        };
+
+        // Any failed write aborts the whole transaction (no half-renamed category)
+        tx.onerror = function () {
+            reject(tx.error);
+        };
+    });
+}
+
+/*
+ * renameCategory(from, to)
+ * Renames a category and rewrites its costs, recurring rules and budget.
+ * Fails when "to" already exists (use mergeCategories for that).
+ * Returns a Promise for { name, costs }.
+ */
+async function renameCategory(from, to) {
+    return moveCategory(normalizeCategory(from), normalizeCategory(to), false);
+}
+
+/*
+ * mergeCategories(from, into)
+ * Moves everything of "from" into the existing category "into" and removes "from".
+ * Returns a Promise for { name, costs }.
+ */
+async function mergeCategories(from, into) {
+    return moveCategory(normalizeCategory(from), normalizeCategory(into), true);
+}
+
+/*
+ * deleteCategory(name)
+ * Removes an unused category (and its budget). A category that still has
+ * costs or recurring rules must be merged into another one instead.
+ * Returns a Promise that resolves to true.
+ */
+async function deleteCategory(name) {
+    return new Promise((resolve, reject) => {
+        // Validate DB is open before writing
+        try {
+            requireOpenDb();
+        } catch (e) {
+            reject(e);
+            return;
+        }
+
+        const category = normalizeCategory(name);
+        const tx = _db.transaction(["costs", "recurring", "budgets", "categories"], "readwrite");
+
+        // Count the records that still use the category
+        const costsReq = tx.objectStore("costs").index("category").count(IDBKeyRange.only(category));
+        const recurringReq = tx.objectStore("recurring").getAll();
+
+        recurringReq.onsuccess = function () {
+            const rules = recurringReq.result.filter((r) => r.category === category).length;
+
+            if (costsReq.result > 0 || rules > 0) {
+                reject(
+                    new Error(
+                        `Category "${category}" is used by ${costsReq.result} cost item(s) and ` +
+                            `${rules} recurring rule(s) – merge it into another category instead.`
+                    )
+                );
+                tx.abort();
+                return;
+            }
+
+            // The budgets of the category in every ledger go with it
+            const budgetsStore = tx.objectStore("budgets");
+            const budgetsReq = budgetsStore.getAll();
+            budgetsReq.onsuccess = function () {
+                for (const budget of budgetsReq.result) {
+                    if (budget.category === category) {
+                        budgetsStore.delete([budget.ledgerId, category]);
+                    }
+                }
+            };
+            tx.objectStore("categories").delete(category);
+        };
+
+        tx.oncomplete = function () {
+            resolve(true);
+        };
+
+        tx.onerror = function () {
+            reject(tx.error);
+        };
+    });
+}
+
+// -------------------------------- Budgets --------------------------------
+
+/*
+ * setBudget(category, amount, currency)
+ * Saves (or replaces) the monthly budget of a category in the active ledger.
+ * The currency is checked like a cost's (checkCurrency), since every report of
+ * the month converts the budget.
+ * Returns a Promise for the stored budget.
+ */
+async function setBudget(category, amount, currency) {
+    // Validate the currency before anything is written
+    await checkCurrency(currency);
+
+    return new Promise((resolve, reject) => {
+        // Validate DB is open before writing
+        try {
+            requireOpenDb();
+        } catch (e) {
+            reject(e);
+            return;
+        }
+
+        // Ledger and category are the key of the budget record (canonical spelling)
+        category = normalizeCategory(category);
+        if (!category) {
+            reject(new Error("Category is required."));
+            return;
+        }
+
+        // Budget must be a positive number
+        const numAmount = Number(amount);
+        if (!Number.isFinite(numAmount) || numAmount <= 0) {
+            reject(new Error("Budget must be a positive number."));
+            return;
+        }
+
+        const record = { ledgerId: _ledgerId, category, amount: numAmount, currency };
+
+        // Open a readwrite transaction on the "budgets" and "categories" object stores
+        const tx = _db.transaction(["budgets", "categories"], "readwrite");
+        ensureCategories(tx.objectStore("categories"), [category]);
+        const request = tx.objectStore("budgets").put(record);
+
+        // Resolve with the stored budget
+        request.onsuccess = function () {
+            resolve(record);
+        };
+
+        // Reject if saving fails
+        request.onerror = function () {
+            reject(request.error);
+        };
+    });
+}
+
+/*
+ * deleteBudget(category)
+ * Removes the budget of a category. Returns a Promise that resolves to true.
+ */
+async function deleteBudget(category) {
+    return new Promise((resolve, reject) => {
+        // Validate DB is open before writing
+        try {
+            requireOpenDb();
+        } catch (e) {
+            reject(e);
+            return;
+        }
+
+        // Open a readwrite transaction on the "budgets" object store
+        const tx = _db.transaction(["budgets"], "readwrite");
+        const request = tx.objectStore("budgets").delete([_ledgerId, normalizeCategory(category)]);
+
+        // Resolve true when deleted successfully
+        request.onsuccess = function () {
+            resolve(true);
+        };
+
+        // Reject if deleting fails
+        request.onerror = function () {
+            reject(request.error);
+        };
+    });
+}
+
+/*
+ * listBudgets()
+ * Returns a Promise for all budgets of the active ledger:
+ * [{ ledgerId, category, amount, currency }, ...]
+ */
+async function listBudgets() {
+    // Validate DB is open before reading
+    requireOpenDb();
+
+    const tx = _db.transaction(["budgets"], "readonly");
+    return readLedgerBudgets(tx.objectStore("budgets"));
+}
+
+/*
+ * getBudgetStatus(category, year, month)
+ * Returns a Promise for budget versus actual of one category in the budget's
+ * own currency ({ category, currency, budget, actual, remaining, usedPercent, over }),
+ * or null when the category has no budget.
+ */
+async function getBudgetStatus(category, year, month) {
+    category = normalizeCategory(category);
+
+    // Find the budget of this category
+    const budgets = await listBudgets();
+    const budget = budgets.find((b) => b.category === category);
+
+    // No budget → nothing to compare
+    if (!budget) {
+        return null;
+    }
+
+    // Build the month's report in the budget currency and pick this category
+    const report = await getReport(year, month, budget.currency);
+    return report.budgets.find((b) => b.category === category) || null;
+}
+
+// ---------------------------- Recurring costs ----------------------------
+
+// Validate a recurring rule and return the record to store (throws on bad input)
+function toRecurringRecord(rule) {
+    // Sum must be a positive number
+    const sum = Number(rule.sum);
+    if (!Number.isFinite(sum) || sum <= 0) {
+        throw new Error("Sum must be a positive number.");
+    }
+
+    // Frequency must be one of the supported schedules
+    if (!FREQUENCIES.includes(rule.frequency)) {
+        throw new Error(`Frequency must be one of: ${FREQUENCIES.join(", ")}`);
+    }
+
+    // Start date defaults to today; end date is optional
+    const startDate = toIsoDate(toDateParts(rule.startDate));
+    const endDate = rule.endDate ? toIsoDate(toDateParts(rule.endDate)) : null;
+
+    // An end date before the start date would never produce a cost
+    if (endDate && endDate < startDate) {
+        throw new Error("End date must not be before the start date.");
+    }
+
+    // One spelling per category, as for single costs
+    const category = normalizeCategory(rule.category);
+    if (!category) {
+        throw new Error("Category is required.");
+    }
+
+    return {
+        sum,
+        currency: rule.currency,
+        category,
+        description: rule.description,
+        tags: normalizeTags(rule.tags),
+        frequency: rule.frequency,
+        startDate,
+        endDate,
+        paused: false,
+        // Date ("YYYY-MM-DD") of the last occurrence already added to "costs"
+        lastGenerated: null,
+        ledgerId: _ledgerId
+    };
+}
+
+/*
+ * generateDueRecurring()
+ * Adds a cost item for every occurrence that came due since the last run
+ * (rules of every ledger – each cost goes into the ledger of its rule).
+ * Everything happens in ONE readwrite transaction: the costs and the rule's
+ * "lastGenerated" marker are written together, so no occurrence is added twice.
+ * Resolves with the number of cost items created.
+ */
+function generateDueRecurring() {
+    return new Promise((resolve, reject) => {
+        // Database opened with an old version (no "recurring" store) → nothing to do
+        if (!_db.objectStoreNames.contains("recurring")) {
+            resolve(0);
+            return;
+        }
+
+        // One transaction for the rules, the costs and their outbox entries
+        const tx = _db.transaction(["recurring", "costs", "outbox"], "readwrite");
+        const recurringStore = tx.objectStore("recurring");
+        const costsStore = tx.objectStore("costs");
+        const outboxStore = tx.objectStore("outbox");
+
+        // Occurrences up to (and including) today are due
+        const todayIso = toIsoDate(toDateParts());
+        let created = 0;
+
+        // Load all rules
+        const req = recurringStore.getAll();
+
+        req.onsuccess = function () {
+            for (const rule of req.result) {
+                // Paused rules don't produce costs
+                if (rule.paused) {
+                    continue;
+                }
+
+                const due = dueOccurrences(rule, todayIso);
+                if (due.length === 0) {
+                    continue;
+                }
+
+                // Add one cost item per due occurrence (linked back to its rule)
+                for (const iso of due) {
+                    const date = fromIsoDate(iso);
+                    const record = withSyncFields({
+                        sum: rule.sum,
+                        currency: rule.currency,
+                        category: rule.category,
+                        description: rule.description,
+                        tags: rule.tags || [],
+                        year: date.year,
+                        month: date.month,
+                        day: date.day,
+                        ledgerId: rule.ledgerId ?? DEFAULT_LEDGER_ID,
+                        recurringId: rule.id
+                    });
+                    costsStore.add(record);
+                    queueChange(outboxStore, record);
+                    created++;
+                }
+
+                // Remember the last generated occurrence
+                recurringStore.put({ ...rule, lastGenerated: due[due.length - 1] });
+            }
+        };
+
+        // Reading the rules failed
+        req.onerror = function () {
+            reject(req.error);
+        };
+
+        // Resolve only after all writes were committed
+        tx.oncomplete = function () {
+            resolve(created);
+        };
+
+        // Any failed write aborts the whole transaction
+        tx.onerror = function () {
+            reject(tx.error);
+        };
+    });
+}
+
+/*
+ * addRecurring(rule)
+ * Adds a recurring cost rule:
+ * { sum, currency, category, description, tags?, frequency, startDate, endDate? }
+ * The currency is checked like a cost's (checkCurrency) – every occurrence
+ * becomes a cost in it. Occurrences that are already due are added to "costs"
+ * right away.
+ * Returns a Promise for the stored rule (including its id).
+ */
+async function addRecurring(rule) {
+    // Validate the currency before anything is written
+    await checkCurrency(rule.currency);
+
+    return new Promise((resolve, reject) => {
+        // Validate DB is open before we start a transaction
+        try {
+            requireOpenDb();
+        } catch (e) {
+            reject(e);
+            return;
+        }
+
+        // Validate the rule before writing anything
+        let record;
+        try {
+            record = toRecurringRecord(rule);
+        } catch (e) {
+            reject(e);
+            return;
+        }
+
+        // Create a readwrite transaction on the "recurring" and "categories" object stores
+        // (the costs it generates use the category created here)
+        const tx = _db.transaction(["recurring", "categories"], "readwrite");
+        ensureCategories(tx.objectStore("categories"), [record.category]);
+        const request = tx.objectStore("recurring").add(record);
+
+        // Keep the generated id for the result
+        request.onsuccess = function () {
+            record.id = request.result;
+        };
+
+        // If the add fails, reject with the IndexedDB error
+        request.onerror = function () {
+            reject(request.error);
+        };
+
+        // Once the rule is committed, create any occurrences that are already due
+        tx.oncomplete = function () {
+            generateDueRecurring()
+                .then(() => resolve(record))
+                .catch(reject);
+        };
+    });
+}
+
+/*
+ * listRecurring()
+ * Returns a Promise for the recurring rules of the active ledger, each with its next due date
+ * ("nextDate", null when the rule has ended).
+ */
+async function listRecurring() {
+    return new Promise((resolve, reject) => {
+        // Validate DB is open before reading data
+        try {
+            requireOpenDb();
+        } catch (e) {
+            reject(e);
+            return;
+        }
+
+        // Open a readonly transaction on the "recurring" object store
+        const tx = _db.transaction(["recurring"], "readonly");
+        const request = tx.objectStore("recurring").getAll();
+
+        // Attach the next due date to every rule
+        request.onsuccess = function () {
+            const todayIso = toIsoDate(toDateParts());
+            resolve(
+                request.result
+                    .filter((rule) => rule.ledgerId === _ledgerId)
+                    .map((rule) => ({
+                        ...rule,
+                        nextDate: nextOccurrence(rule, todayIso)
+                    }))
+            );
+        };
+
+        // If reading fails, reject with the IndexedDB error
+        request.onerror = function () {
+            reject(request.error);
+        };
+    });
+}
+
+/*
+ * pauseRecurring(id, paused = true)
+ * Pauses (or resumes) a recurring rule and returns a Promise for the updated rule.
+ * Occurrences that fall inside a pause are skipped, not added on resume.
+ */
+async function pauseRecurring(id, paused = true) {
+    return new Promise((resolve, reject) => {
+        // Validate DB is open before we start a transaction
+        try {
+            requireOpenDb();
+        } catch (e) {
+            reject(e);
+            return;
+        }
+
+        // Create a readwrite transaction on the "recurring" object store
+        const tx = _db.transaction(["recurring"], "readwrite");
+        const store = tx.objectStore("recurring");
+
+        // Load the existing rule first
+        const getReq = store.get(id);
+
+        getReq.onsuccess = function () {
+            const existing = getReq.result;
+
+            // Reject if there is no rule with this id (in the active ledger)
+            if (!existing || existing.ledgerId !== _ledgerId) {
+                reject(new Error(`Recurring rule ${id} not found`));
+                return;
+            }
+
+            const record = { ...existing, paused };
+
+            // On resume, mark everything before today as handled
+            // (so the occurrences missed while paused are not created)
+            if (existing.paused && !paused) {
+                const now = new Date();
+                const yesterday = toIsoDate(
+                    toDateParts(new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1))
+                );
+                if (!record.lastGenerated || record.lastGenerated < yesterday) {
+                    record.lastGenerated = yesterday;
+                }
+            }
+
+            // Write the updated rule back
+            const putReq = store.put(record);
+
+            putReq.onsuccess = function () {
+                resolve(record);
+            };
+
+            putReq.onerror = function () {
+                reject(putReq.error);
+            };
+        };
+
+        // If reading the rule fails, reject with the IndexedDB error
+        getReq.onerror = function () {
+            reject(getReq.error);
+        };
+    });
+}
+
+/*
+ * deleteRecurring(id)
+ * Deletes a recurring rule and returns a Promise that resolves to true.
+ * Cost items already created from the rule are kept.
+ */
+async function deleteRecurring(id) {
+    return new Promise((resolve, reject) => {
+        // Validate DB is open before we start a transaction
+        try {
+            requireOpenDb();
+        } catch (e) {
+            reject(e);
+            return;
+        }
+
+        // Create a readwrite transaction on the "recurring" object store
+        const tx = _db.transaction(["recurring"], "readwrite");
+        const store = tx.objectStore("recurring");
+
+        // Check the rule exists so a wrong id is reported instead of ignored
+        const getReq = store.get(id);
+
+        getReq.onsuccess = function () {
+            // Reject if there is no rule with this id (in the active ledger)
+            if (!getReq.result || getReq.result.ledgerId !== _ledgerId) {
+                reject(new Error(`Recurring rule ${id} not found`));
+                return;
+            }
+
+            // Delete the rule from the object store
+            const deleteReq = store.delete(id);
+
+            deleteReq.onsuccess = function () {
+                resolve(true);
+            };
+
+            deleteReq.onerror = function () {
+                reject(deleteReq.error);
+            };
+        };
+
+        // If reading the rule fails, reject with the IndexedDB error
+        getReq.onerror = function () {
+            reject(getReq.error);
+        };
+    });
+}
+
+
+// -------------------------------- Ledgers --------------------------------
+
+// Settings key of the active ledger (the only setting shared by all ledgers)
+const ACTIVE_LEDGER_KEY = "activeLedgerId";
+
+// Ledger names are trimmed and must not be empty (throws on bad input)
+function toLedgerName(name) {
+    const trimmed = String(name ?? "").trim();
+    if (!trimmed) {
+        throw new Error("Ledger name is required.");
+    }
+    return trimmed;
+}
+
+// Reject a name that another ledger already uses (case-insensitive)
+function checkLedgerNameFree(ledgers, name, ownId) {
+    const taken = ledgers.some(
+        (l) => l.id !== ownId && l.name.toLowerCase() === name.toLowerCase()
+    );
+    if (taken) {
+        throw new Error(`A ledger named "${name}" already exists.`);
+    }
+}
+
+/*
+ * loadActiveLedger()
+ * Restores the active ledger saved in the settings. Falls back to the first
+ * ledger that isn't archived when the saved one is missing or archived.
+ * Resolves with the id of the active ledger.
+ */
+function loadActiveLedger() {
+    return new Promise((resolve, reject) => {
+        // Database opened with an old version (no "ledgers" store) → default ledger
+        if (!_db.objectStoreNames.contains("ledgers")) {
+            _ledgerId = DEFAULT_LEDGER_ID;
+            resolve(_ledgerId);
+            return;
+        }
+
+        const tx = _db.transaction(["ledgers", "settings"], "readonly");
+        const ledgersReq = tx.objectStore("ledgers").getAll();
+        const savedReq = tx.objectStore("settings").get(ACTIVE_LEDGER_KEY);
+
+        savedReq.onsuccess = function () {
+            const open = ledgersReq.result.filter((l) => !l.archived);
+            const savedId = savedReq.result ? savedReq.result.value : null;
+
+            _ledgerId = open.some((l) => l.id === savedId)
+                ? savedId
+                : open.length > 0
+                  ? open[0].id
+                  : DEFAULT_LEDGER_ID;
+            resolve(_ledgerId);
+        };
+
+        tx.onerror = function () {
+            reject(tx.error);
+        };
+    });
+}
+
+/*
+ * listLedgers()
+ * Returns a Promise for every ledger (archived ones too), in creation order:
+ * [{ id, name, archived }, ...]
+ */
+async function listLedgers() {
+    // Validate DB is open before reading
+    requireOpenDb();
+
+    const tx = _db.transaction(["ledgers"], "readonly");
+    return readAll(tx.objectStore("ledgers"));
+}
+
+/*
+ * addLedger(name)
+ * Creates an empty ledger (names are unique). It does not become active.
+ * Returns a Promise for the new ledger: { id, name, archived }.
+ */
+async function addLedger(name) {
+    return new Promise((resolve, reject) => {
+        // Validate DB is open and the name before writing
+        let ledgerName;
+        try {
+            requireOpenDb();
+            ledgerName = toLedgerName(name);
+        } catch (e) {
+            reject(e);
+            return;
+        }
+
+        const tx = _db.transaction(["ledgers"], "readwrite");
+        const store = tx.objectStore("ledgers");
+        const req = store.getAll();
+
+        req.onsuccess = function () {
+            try {
+                checkLedgerNameFree(req.result, ledgerName, null);
+            } catch (e) {
+                reject(e);
+                return;
+            }
+
+            const record = { name: ledgerName, archived: false };
+            const addReq = store.add(record);
+            addReq.onsuccess = () => resolve({ ...record, id: addReq.result });
+            addReq.onerror = () => reject(addReq.error);
+        };
+
+        req.onerror = function () {
+            reject(req.error);
+        };
+    });
+}
+
+// Load a ledger in a readwrite transaction, change it and write it back
+function updateLedger(id, change) {
+    return new Promise((resolve, reject) => {
+        // Validate DB is open before writing
+        try {
+            requireOpenDb();
+        } catch (e) {
+            reject(e);
+            return;
+        }
+
+        const tx = _db.transaction(["ledgers"], "readwrite");
+        const store = tx.objectStore("ledgers");
+        const req = store.getAll();
+
+        req.onsuccess = function () {
+            const existing = req.result.find((l) => l.id === id);
+            if (!existing) {
+                reject(new Error(`Ledger ${id} not found`));
+                return;
+            }
+
+            // change() throws to refuse the update
+            let record;
+            try {
+                record = change(existing, req.result);
+            } catch (e) {
+                reject(e);
+                return;
+            }
+
+            const putReq = store.put(record);
+            putReq.onsuccess = () => resolve(record);
+            putReq.onerror = () => reject(putReq.error);
+        };
+
+        req.onerror = function () {
+            reject(req.error);
+        };
+    });
+}
+
+/*
+ * renameLedger(id, name)
+ * Renames a ledger (names are unique). Returns a Promise for the updated ledger.
+ */
+async function renameLedger(id, name) {
+    const ledgerName = toLedgerName(name);
+
+    return updateLedger(id, (ledger, ledgers) => {
+        checkLedgerNameFree(ledgers, ledgerName, id);
+        return { ...ledger, name: ledgerName };
+    });
+}
+
+/*
+ * archiveLedger(id, archived = true)
+ * Archives (or restores) a ledger. Its data is kept, but it can't be switched to
+ * while archived. The active ledger can't be archived.
+ * Returns a Promise for the updated ledger.
+ */
+async function archiveLedger(id, archived = true) {
+    if (archived && id === _ledgerId) {
+        throw new Error("Switch to another ledger before archiving this one.");
+    }
+
+    return updateLedger(id, (ledger) => ({ ...ledger, archived: Boolean(archived) }));
+}
+
+/*
+ * setActiveLedger(id)
+ * Makes a ledger the active one: from now on every cost, budget, recurring rule,
+ * setting and report belongs to it. The choice is remembered across sessions.
+ * Returns a Promise for the ledger.
+ */
+async function setActiveLedger(id) {
+    return new Promise((resolve, reject) => {
+        // Validate DB is open before writing
+        try {
+            requireOpenDb();
+        } catch (e) {
+            reject(e);
+            return;
+        }
+
+        const tx = _db.transaction(["ledgers", "settings"], "readwrite");
+        const getReq = tx.objectStore("ledgers").get(id);
+        let ledger = null;
+
+        getReq.onsuccess = function () {
+            ledger = getReq.result;
+            if (!ledger) {
+                reject(new Error(`Ledger ${id} not found`));
+                tx.abort();
+                return;
+            }
+            if (ledger.archived) {
+                reject(new Error(`Ledger "${ledger.name}" is archived – restore it first.`));
+                tx.abort();
+                return;
+            }
+
+            // The only setting without a ledger in its key
+            tx.objectStore("settings").put({ key: ACTIVE_LEDGER_KEY, value: id });
+        };
+
+        // Switch only after the choice was saved
+        tx.oncomplete = function () {
+            _ledgerId = id;
+            // Rates info of the previous ledger doesn't describe this one
+            _lastRatesInfo = null;
+            resolve(ledger);
+        };
+
+        tx.onerror = function () {
+            reject(tx.error);
+        };
+    });
+}
+
+/*
+ * getActiveLedger()
+ * Returns a Promise for the active ledger: { id, name, archived } (null when its
+ * record is missing).
+ */
+async function getActiveLedger() {
+    const ledgers = await listLedgers();
+    return ledgers.find((l) => l.id === _ledgerId) || null;
+}
+
+// ------------------------------ Server sync ------------------------------
+
+// Settings key of this device's id (shared by all ledgers, like the active ledger)
+const DEVICE_ID_KEY = "deviceId";
+
+// Most changes sent in one push (the server accepts up to 500)
+const SYNC_BATCH = 500;
+
+// The sync that is running: { ledgerId, promise } (a second call for the same
+// ledger waits for it instead of sending twice)
+let _runningSync = null;
+
+/*
+ * loadDeviceId()
+ * Reads this device's id from the settings, or creates it on the first run.
+ * Resolves with the id.
+ */
+function loadDeviceId() {
+    return new Promise((resolve, reject) => {
+        const tx = _db.transaction(["settings"], "readwrite");
+        const store = tx.objectStore("settings");
+        const req = store.get(DEVICE_ID_KEY);
+
+        req.onsuccess = function () {
+            if (req.result) {
+                _deviceId = req.result.value;
+            } else {
+                _deviceId = crypto.randomUUID();
+                store.put({ key: DEVICE_ID_KEY, value: _deviceId });
+            }
+        };
+
+        tx.oncomplete = () => resolve(_deviceId);
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+// Read the sync settings of a ledger (the active one by default):
+// { url, token, space, cursor, lastSyncAt }
+async function readSyncSettings(ledgerId = _ledgerId) {
+    const tx = _db.transaction(["settings"], "readonly");
+    const store = tx.objectStore("settings");
+    const [url, token, space, cursor, lastSyncAt] = await Promise.all([
+        readSetting(store, "syncUrl", ledgerId),
+        readSetting(store, "syncToken", ledgerId),
+        readSetting(store, "syncSpace", ledgerId),
+        readSetting(store, "syncCursor", ledgerId),
+        readSetting(store, "lastSyncAt", ledgerId)
+    ]);
+    return { url, token, space, cursor, lastSyncAt };
+}
+
+/*
+ * syncSpaceOwner(url, space)
+ * Returns the name of another ledger of this device that already syncs with the
+ * same server and space (null when there is none) – two ledgers sharing a space
+ * would pull each other's costs.
+ */
+function syncSpaceOwner(url, space) {
+    return new Promise((resolve, reject) => {
+        const tx = _db.transaction(["settings", "ledgers"], "readonly");
+        const settingsReq = tx.objectStore("settings").getAll();
+        const ledgersReq = tx.objectStore("ledgers").getAll();
+
+        ledgersReq.onsuccess = function () {
+            // Sync url + space of every other ledger
+            const other = new Map();
+            for (const { key, value } of settingsReq.result) {
+                if (Array.isArray(key) && key[0] !== _ledgerId) {
+                    other.set(key[0], { ...other.get(key[0]), [key[1]]: value });
+                }
+            }
+
+            for (const [ledgerId, s] of other) {
+                if (s.syncUrl === url && s.syncSpace === space) {
+                    const ledger = ledgersReq.result.find((l) => l.id === ledgerId);
+                    resolve(ledger ? ledger.name : String(ledgerId));
+                    return;
+                }
+            }
+            resolve(null);
+        };
+
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+// Outbox entries of a ledger (the active one by default), oldest first
+function readOutbox(ledgerId = _ledgerId) {
+    return new Promise((resolve, reject) => {
+        const tx = _db.transaction(["outbox"], "readonly");
+        const req = tx.objectStore("outbox").index("ledgerId").getAll(IDBKeyRange.only(ledgerId));
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+/*
+ * syncRequest(settings, path, init)
+ * Calls the sync server with the ledger's token and space and returns the JSON
+ * answer. Throws SyncError when the server can't be reached or answers with an error.
+ */
+async function syncRequest({ url, token, space }, path, init = {}) {
+    // "http://host/app" and "http://host/app/" both lead to "http://host/app/sync/..."
+    const base = url.endsWith("/") ? url : `${url}/`;
+    const requestUrl = new URL(path, base);
+    requestUrl.searchParams.set("space", space);
+
+    let response;
+    try {
+        response = await fetch(requestUrl, {
+            ...init,
+            cache: "no-store",
+            headers: { ...init.headers, Authorization: `Bearer ${token}` }
+        });
+    } catch {
+        throw new SyncError("The sync server could not be reached.");
+    }
+
+    const body = await response.json().catch(() => null);
+    if (!response.ok) {
+        const reason = body && body.error ? body.error : `HTTP ${response.status}`;
+        throw new SyncError(`Sync failed: ${reason}`, { status: response.status });
+    }
+    return body;
+}
+
+/*
+ * queueWholeLedger(ledgerId)
+ * First sync of a ledger: replaces its outbox with every cost of the ledger,
+ * so costs entered before sync was set up reach the server too.
+ */
+function queueWholeLedger(ledgerId) {
+    return new Promise((resolve, reject) => {
+        const tx = _db.transaction(["costs", "outbox"], "readwrite");
+        const outboxStore = tx.objectStore("outbox");
+
+        const oldReq = outboxStore.index("ledgerId").getAllKeys(IDBKeyRange.only(ledgerId));
+        oldReq.onsuccess = function () {
+            for (const seq of oldReq.result) {
+                outboxStore.delete(seq);
+            }
+        };
+
+        const costsReq = tx.objectStore("costs").index("ledgerId").getAll(IDBKeyRange.only(ledgerId));
+        costsReq.onsuccess = function () {
+            for (const cost of costsReq.result) {
+                queueChange(outboxStore, cost);
+            }
+        };
+
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+// Remove sent entries from the outbox (entries queued meanwhile stay)
+function removeFromOutbox(seqs) {
+    return new Promise((resolve, reject) => {
+        const tx = _db.transaction(["outbox"], "readwrite");
+        const store = tx.objectStore("outbox");
+        for (const seq of seqs) {
+            store.delete(seq);
+        }
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+/*
+ * applyPulledChanges(changes, ledgerId)
+ * Writes changes from the server into a ledger. A change is skipped when
+ * the local cost, or a change of it still waiting in the outbox, is newer
+ * (isNewer) – that local version wins on the server too once it is sent.
+ * Resolves with the number of costs added, changed or deleted.
+ */
+function applyPulledChanges(changes, ledgerId) {
+    return new Promise((resolve, reject) => {
+        const tx = _db.transaction(["costs", "outbox", "categories"], "readwrite");
+        const costsStore = tx.objectStore("costs");
+        const outboxStore = tx.objectStore("outbox");
+        let applied = 0;
+
+        // Pulled costs may bring categories this device doesn't know yet
+        ensureCategories(
+            tx.objectStore("categories"),
+            changes.filter((c) => !c.deleted).map((c) => normalizeCategory(c.record.category))
+        );
+
+        const costsReq = costsStore.index("ledgerId").getAll(IDBKeyRange.only(ledgerId));
+        const outboxReq = outboxStore.index("ledgerId").getAll(IDBKeyRange.only(ledgerId));
+
+        outboxReq.onsuccess = function () {
+            const localByUid = new Map(costsReq.result.map((c) => [c.uid, c]));
+
+            // Waiting outbox entries per cost
+            const pendingByUid = new Map();
+            for (const entry of outboxReq.result) {
+                pendingByUid.set(entry.uid, [...(pendingByUid.get(entry.uid) || []), entry]);
+            }
+
+            for (const change of changes) {
+                const pending = pendingByUid.get(change.uid) || [];
+                const local = localByUid.get(change.uid);
+
+                // A newer local version wins (it is still to be sent, or was just sent)
+                if (pending.some((entry) => isNewer(entry, change))) {
+                    continue;
+                }
+                if (local && !isNewer(change, { updatedAt: local.updatedAt, deviceId: local.updatedBy })) {
+                    continue;
+                }
+
+                // Older waiting changes of this cost would lose on the server anyway
+                for (const entry of pending) {
+                    outboxStore.delete(entry.seq);
+                }
+
+                if (change.deleted) {
+                    if (local) {
+                        costsStore.delete(local.id);
+                        applied++;
+                    }
+                    continue;
+                }
+
+                // Same local id when the cost exists, a new one otherwise
+                costsStore.put({
+                    ...local,
+                    ...change.record,
+                    category: normalizeCategory(change.record.category),
+                    tags: normalizeTags(change.record.tags),
+                    uid: change.uid,
+                    updatedAt: change.updatedAt,
+                    updatedBy: change.deviceId,
+                    ledgerId
+                });
+                applied++;
+            }
+        };
+
+        tx.oncomplete = () => resolve(applied);
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+/*
+ * setSyncSettings({ url, token, space })
+ * Saves the sync server URL (e.g. "https://host"), the token and the space of the
+ * active ledger. The space names the ledger on the server: devices that use the
+ * same space share its costs, so every ledger of a device needs its own space.
+ * A different server or space starts over: the next sync sends the whole ledger.
+ * Returns a Promise that resolves to true.
+ */
+async function setSyncSettings({ url, token, space }) {
+    // Validate DB is open before writing settings
+    requireOpenDb();
+
+    const trimmedUrl = String(url ?? "").trim();
+    const trimmedToken = String(token ?? "").trim();
+    const trimmedSpace = String(space ?? "").trim();
+    try {
+        new URL(trimmedUrl);
+    } catch {
+        throw new Error("Sync server URL must be a full URL (e.g. https://example.com).");
+    }
+    if (!trimmedToken) {
+        throw new Error("Sync token is required.");
+    }
+    if (!trimmedSpace || trimmedSpace.length > 100) {
+        throw new Error("Sync space is required (at most 100 characters).");
+    }
+
+    const owner = await syncSpaceOwner(trimmedUrl, trimmedSpace);
+    if (owner) {
+        throw new Error(`Ledger "${owner}" already syncs as "${trimmedSpace}" – choose another space.`);
+    }
+
+    const current = await readSyncSettings();
+    if (current.url !== trimmedUrl || current.space !== trimmedSpace) {
+        await writeSetting("syncCursor", null);
+    }
+    await writeSetting("syncUrl", trimmedUrl);
+    await writeSetting("syncSpace", trimmedSpace);
+    return writeSetting("syncToken", trimmedToken);
+}
+
+/*
+ * getSyncStatus()
+ * Returns a Promise for the sync state of the active ledger:
+ * { url, space, hasToken, lastSyncAt, pending } (pending = changes waiting in the outbox).
+ */
+async function getSyncStatus() {
+    // Validate DB is open before reading
+    requireOpenDb();
+
+    const [{ url, token, space, lastSyncAt }, outbox] = await Promise.all([
+        readSyncSettings(),
+        readOutbox()
+    ]);
+    return { url, space, hasToken: Boolean(token), lastSyncAt, pending: outbox.length };
+}
+
+/*
+ * syncNow()
+ * Syncs the active ledger (the one active when it is called) with the server: sends the outbox (push), then fetches
+ * every change made since the last sync (pull) and applies it. Conflicts are
+ * resolved by isNewer() – the same rule as on the server.
+ * Returns a Promise for { pushed, pulled, conflicts }.
+ */
+async function syncNow() {
+    // Validate DB is open before doing any work
+    requireOpenDb();
+
+    // One sync at a time: the same ledger waits for the running sync, another
+    // ledger starts after it
+    const ledgerId = _ledgerId;
+    if (_runningSync && _runningSync.ledgerId === ledgerId) {
+        return _runningSync.promise;
+    }
+
+    const previous = _runningSync ? _runningSync.promise.catch(() => {}) : Promise.resolve();
+    const promise = previous
+        .then(() => runSync(ledgerId))
+        .finally(() => {
+            if (_runningSync && _runningSync.promise === promise) {
+                _runningSync = null;
+            }
+        });
+    _runningSync = { ledgerId, promise };
+    return promise;
+}
+
+// The steps of syncNow() for one ledger – every read and write names the ledger,
+// so switching ledgers while waiting for the server can't mix their data
+async function runSync(ledgerId) {
+    const settings = await readSyncSettings(ledgerId);
+    if (!settings.url || !settings.token || !settings.space) {
+        throw new SyncError("Set the sync server URL, token and space in Settings first.");
+    }
+
+    // Never synced → send everything the ledger has
+    if (settings.cursor === null) {
+        await queueWholeLedger(ledgerId);
+    }
+
+    // Push: the outbox in batches, oldest change first
+    const outbox = await readOutbox(ledgerId);
+    let pushed = 0;
+    let pulled = 0;
+    let conflicts = 0;
+    for (let i = 0; i < outbox.length; i += SYNC_BATCH) {
+        const batch = outbox.slice(i, i + SYNC_BATCH);
+        const result = await syncRequest(settings, "sync/push", {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({
+                changes: batch.map(({ uid, deleted, record, updatedAt, deviceId }) => ({
+                    uid,
+                    deleted,
+                    record,
+                    updatedAt,
+                    deviceId
+                }))
+            })
+        });
+
+        pushed += result.accepted.length;
+        conflicts += result.rejected.length;
+        await removeFromOutbox(batch.map((entry) => entry.seq));
+
+        // A rejected change lost to a newer version, which may be older than the
+        // cursor (then the pull won't bring it) → take the winner right away
+        pulled += await applyPulledChanges(
+            result.rejected.map((r) => r.current),
+            ledgerId
+        );
+    }
+
+    // Pull: every change after the cursor (own changes come back too and are skipped)
+    let cursor = settings.cursor ?? 0;
+    let more = true;
+    while (more) {
+        const result = await syncRequest(settings, `sync/pull?since=${cursor}`);
+        pulled += await applyPulledChanges(result.changes, ledgerId);
+        cursor = result.cursor;
+        more = result.more;
+        await writeSetting("syncCursor", cursor, ledgerId);
+    }
+
+    await writeSetting("lastSyncAt", new Date().toISOString(), ledgerId);
+    return { pushed, pulled, conflicts };
+}
+
+// --------------------------- CSV export / import ---------------------------
+
+// Fields that must be mapped to a column before importing
+const REQUIRED_CSV_FIELDS = ["date", "sum", "currency", "category"];
+
+// Header names recognised automatically for each field (lower case)
+const CSV_HEADER_ALIASES = {
+    date: ["date", "day"],
+    sum: ["sum", "amount", "price", "cost"],
+    currency: ["currency", "cur"],
+    category: ["category", "type"],
+    tags: ["tags", "tag", "labels"],
+    description: ["description", "desc", "details", "note"]
+};
+
+// Read the active ledger's cost records matching { year?, month?, category? }
+// (uses the indexes when possible)
+function readCosts(filter) {
+    return new Promise((resolve, reject) => {
+        const tx = _db.transaction(["costs"], "readonly");
+        const store = tx.objectStore("costs");
+
+        // Pick the narrowest index for the requested period
+        let req;
+        if (filter.year && filter.month) {
+            req = store
+                .index("ledgerYearMonth")
+                .getAll(IDBKeyRange.only([_ledgerId, filter.year, filter.month]));
+        } else if (filter.year) {
+            req = store.index("ledgerYear").getAll(IDBKeyRange.only([_ledgerId, filter.year]));
+        } else {
+            req = store.index("ledgerId").getAll(IDBKeyRange.only(_ledgerId));
+        }
+
+        req.onsuccess = function () {
+            // Month without a year and category are filtered in memory
+            const records = req.result.filter(
+                (r) =>
+                    (!filter.month || r.month === filter.month) &&
+                    (!filter.category || r.category === normalizeCategory(filter.category))
+            );
+            resolve(records);
+        };
+
+        req.onerror = function () {
+            reject(req.error);
+        };
+    });
+}
+
+// Turn a date cell into a "YYYY-MM-DD" string according to the chosen format
+function normalizeCsvDate(value, dateFormat) {
+    const text = value.trim();
+
+    if (dateFormat === "YYYY-MM-DD") {
+        return text;
+    }
+
+    // DD/MM/YYYY or MM/DD/YYYY ("-" and "." separators are accepted too)
+    const match = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/.exec(text);
+    if (!match) {
+        return text;
+    }
+
+    const [day, month] = dateFormat === "DD/MM/YYYY" ? [match[1], match[2]] : [match[2], match[1]];
+    return `${match[3]}-${month.padStart(2, "0")}-${day.padStart(2, "0")}`;
+}
+
+/*
+ * exportCostsCsv(filter)
+ * filter: { year?, month?, category? } – all optional.
+ * Returns a Promise for CSV text of the active ledger's costs with the columns:
+ * date,sum,currency,category,description,tags (sorted by date; tags separated by ";").
+ */
+async function exportCostsCsv(filter = {}) {
+    // Validate DB is open before reading data
+    requireOpenDb();
+
+    const records = await readCosts(filter);
+
+    // Oldest first (ties keep insertion order)
+    records.sort(
+        (a, b) => a.year - b.year || a.month - b.month || a.day - b.day || a.id - b.id
+    );
+
+    const rows = records.map((r) => [
+        toIsoDate(r),
+        r.sum,
+        r.currency,
+        r.category,
+        r.description,
+        tagsToText(r.tags)
+    ]);
+
+    return toCsv([COST_CSV_FIELDS, ...rows]);
+}
+
+/*
+ * importCostsCsv(text, options)
+ * Validates the rows of a CSV file and (unless options.dryRun) adds the valid
+ * ones to the active ledger in a single transaction.
+ *
+ * options:
+ *   mapping    – { date, sum, currency, category, description } → column header
+ *                (fields left out are detected from the header names)
+ *   dateFormat – "YYYY-MM-DD" (default), "DD/MM/YYYY" or "MM/DD/YYYY"
+ *   dryRun     – true to only validate and preview (nothing is written)
+ *
+ * Returns a Promise for:
+ * { headers, mapping, missing, rows: [{ line, cost, errors }], valid, invalid, imported }
+ */
+async function importCostsCsv(text, options = {}) {
+    // Validate DB is open before doing any work
+    requireOpenDb();
+
+    const dateFormat = options.dateFormat || "YYYY-MM-DD";
+    if (!CSV_DATE_FORMATS.includes(dateFormat)) {
+        throw new Error(`Date format must be one of: ${CSV_DATE_FORMATS.join(", ")}`);
+    }
+
+    // First row is the header row
+    const [headers, ...dataRows] = parseCsv(text);
+    if (!headers) {
+        throw new Error("The CSV file is empty.");
+    }
+
+    // Resolve the column of every field (explicit mapping first, then header names)
+    const mapping = {};
+    for (const field of COST_CSV_FIELDS) {
+        const wanted = options.mapping?.[field];
+        const index = wanted
+            ? headers.indexOf(wanted)
+            : headers.findIndex((h) => CSV_HEADER_ALIASES[field].includes(h.trim().toLowerCase()));
+        mapping[field] = index >= 0 ? headers[index] : null;
+    }
+
+    // Nothing can be imported while a required field has no column
+    const missing = REQUIRED_CSV_FIELDS.filter((field) => !mapping[field]);
+    if (missing.length > 0) {
+        return { headers, mapping, missing, rows: [], valid: 0, invalid: 0, imported: 0 };
+    }
+
+    // Currencies are checked against the active exchange rates
+    const rates = await loadRates();
+
+    // Validate every row
+    const cell = (row, field) => (mapping[field] ? row[headers.indexOf(mapping[field])] ?? "" : "");
+    const rows = dataRows.map((row, i) => {
+        const errors = [];
+
+        const sum = Number(cell(row, "sum").trim());
+        if (!Number.isFinite(sum) || sum <= 0) {
+            errors.push(`Sum "${cell(row, "sum")}" is not a positive number`);
+        }
+
+        const currency = cell(row, "currency").trim().toUpperCase();
+        if (!Object.hasOwn(rates, currency)) {
+            errors.push(`Unknown currency "${cell(row, "currency")}"`);
+        }
+
+        const category = normalizeCategory(cell(row, "category"));
+        if (!category) {
+            errors.push("Category is empty");
+        }
+
+        // An empty date would silently become "today" in toDateParts → reject it here
+        let date = null;
+        if (!cell(row, "date").trim()) {
+            errors.push("Date is empty");
+        } else {
+            try {
+                date = toDateParts(normalizeCsvDate(cell(row, "date"), dateFormat));
+            } catch (e) {
+                errors.push(e.message);
+            }
+        }
+
+        return {
+            // Record number in the file (1 is the header row)
+            line: i + 2,
+            cost: {
+                sum,
+                currency,
+                category,
+                description: cell(row, "description").trim(),
+                tags: normalizeTags(cell(row, "tags")),
+                date: date ? toIsoDate(date) : null
+            },
+            errors
+        };
+    });
+
+    const validRows = rows.filter((r) => r.errors.length === 0);
+    const result = {
+        headers,
+        mapping,
+        missing,
+        rows,
+        valid: validRows.length,
+        invalid: rows.length - validRows.length,
+        imported: 0
+    };
+
+    // Dry run (or nothing valid) → report only
+    if (options.dryRun || validRows.length === 0) {
+        return result;
+    }
+
+    // Write all valid rows in ONE transaction (all or nothing)
+    await new Promise((resolve, reject) => {
+        const tx = _db.transaction(["costs", "categories", "outbox"], "readwrite");
+        const store = tx.objectStore("costs");
+        const outboxStore = tx.objectStore("outbox");
+
+        // New categories of the file get their records in the same transaction
+        ensureCategories(
+            tx.objectStore("categories"),
+            validRows.map((r) => r.cost.category)
+        );
+
+        for (const { cost } of validRows) {
+            const date = fromIsoDate(cost.date);
+            const record = withSyncFields({
+                sum: cost.sum,
+                currency: cost.currency,
+                category: cost.category,
+                description: cost.description,
+                tags: cost.tags,
+                year: date.year,
+                month: date.month,
+                day: date.day,
+                ledgerId: _ledgerId
+            });
+            store.add(record);
+            queueChange(outboxStore, record);
+        }
+
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+
+    result.imported = validRows.length;
+    return result;
+}
+
+
+// --------------------------- Backup / restore ---------------------------
+
+// Marks a JSON file as a backup of this app
+const BACKUP_FORMAT = "cost-manager-backup";
+
+// Stores added by each schema version (older backups get them as empty stores)
+const STORES_ADDED_IN_VERSION = {
+    1: ["costs", "settings"],
+    3: ["recurring"],
+    4: ["budgets"],
+    5: ["categories"],
+    7: ["ledgers"]
+};
+
+// Stores whose keys are generated (autoIncrement) – merge must not overwrite them
+// (ledgers are matched by id instead, so merged costs land in the ledger of the same id)
+const AUTO_KEY_STORES = ["costs", "recurring"];
+
+// This device's sync state never goes into a backup: the outbox, the device id
+// and the per-ledger token (a secret), cursor and last sync time. Restoring them
+// on another device would give it the first device's identity and skip changes.
+const DEVICE_ONLY_STORES = ["outbox"];
+const DEVICE_ONLY_SETTINGS = ["syncToken", "syncCursor", "lastSyncAt"];
+
+// Check whether a settings key belongs to the sync state of this device
+function isDeviceSettingKey(key) {
+    return key === DEVICE_ID_KEY || (Array.isArray(key) && DEVICE_ONLY_SETTINGS.includes(key[1]));
+}
+
+// SHA-256 of a string as hex (used as the backup checksum)
+async function sha256Hex(text) {
+    const bytes = new TextEncoder().encode(text);
+    const hash = await crypto.subtle.digest("SHA-256", bytes);
+    return Array.from(new Uint8Array(hash))
+        .map((b) => b.toString(16).padStart(2, "0"))
+        .join("");
+}
+
+// Upgrade the contents of an older backup to the current schema version
+function migrateBackup(backup) {
+    const stores = { ...backup.stores };
+
+    // Every store introduced after the backup was made starts empty
+    for (const [version, names] of Object.entries(STORES_ADDED_IN_VERSION)) {
+        if (Number(version) > backup.schemaVersion) {
+            for (const name of names) {
+                stores[name] = stores[name] || [];
+            }
+        }
+    }
+
+    // Before version 5 categories were free text → same normalization as the upgrade
+    if (backup.schemaVersion < 5) {
+        const fix = (record) => ({ ...record, category: normalizeCategory(record.category) });
+        stores.costs = (stores.costs || []).map(fix);
+        stores.recurring = (stores.recurring || []).map(fix);
+
+        // Budgets that collapse into one category keep the first one
+        const seen = new Set();
+        stores.budgets = (stores.budgets || []).map(fix).filter((b) => {
+            const first = !seen.has(b.category);
+            seen.add(b.category);
+            return first;
+        });
+
+        stores.categories = categoriesFromNames(
+            [...stores.costs, ...stores.recurring, ...stores.budgets].map((r) => r.category)
+        );
+    }
+
+    // Before version 7 there was one set of data → it becomes the default ledger
+    if (backup.schemaVersion < 7) {
+        const intoLedger = (record) => ({ ...record, ledgerId: DEFAULT_LEDGER_ID });
+        stores.costs = (stores.costs || []).map(intoLedger);
+        stores.recurring = (stores.recurring || []).map(intoLedger);
+        stores.budgets = (stores.budgets || []).map(intoLedger);
+        stores.settings = (stores.settings || []).map((s) => ({
+            ...s,
+            key: [DEFAULT_LEDGER_ID, s.key]
+        }));
+        stores.ledgers = [{ id: DEFAULT_LEDGER_ID, name: "Personal", archived: false }];
+    }
+
+    // Before version 8 costs had no sync id → same as the upgrade
+    if (backup.schemaVersion < 8) {
+        stores.costs = (stores.costs || []).map((c) => ({ ...withSyncFields(c), updatedBy: "" }));
+    }
+
+    return { ...backup, schemaVersion: _db.version, stores };
+}
+
+/*
+ * exportBackup()
+ * Dumps the object stores of the database into JSON text (without this device's
+ * sync state – see DEVICE_ONLY_STORES / DEVICE_ONLY_SETTINGS):
+ * { format, schemaVersion, exportedAt, stores: { <name>: [records] }, checksum }
+ * The checksum is the SHA-256 of JSON.stringify(stores).
+ */
+async function exportBackup() {
+    // Validate DB is open before reading data
+    requireOpenDb();
+
+    // Read all stores in one transaction (a consistent snapshot)
+    const names = Array.from(_db.objectStoreNames).filter((name) => !DEVICE_ONLY_STORES.includes(name));
+    const tx = _db.transaction(names, "readonly");
+    const contents = await Promise.all(names.map((name) => readAll(tx.objectStore(name))));
+
+    const stores = {};
+    names.forEach((name, i) => {
+        stores[name] = contents[i];
+    });
+    stores.settings = stores.settings.filter((s) => !isDeviceSettingKey(s.key));
+
+    const backup = {
+        format: BACKUP_FORMAT,
+        schemaVersion: _db.version,
+        exportedAt: new Date().toISOString(),
+        stores,
+        checksum: await sha256Hex(JSON.stringify(stores))
+    };
+
+    return JSON.stringify(backup, null, 2);
+}
+
+/*
+ * restoreBackup(file, { mode })
+ * file: a File/Blob chosen by the user, or the JSON text itself.
+ * mode "replace" – every store is emptied and filled from the backup.
+ * mode "merge"   – existing records are kept; records from the backup are added.
+ *                  In stores with generated ids (costs, recurring) a different
+ *                  record with the same id is added under a new id, identical
+ *                  records are skipped. A cost whose sync id (uid) already
+ *                  exists here is skipped too (it is the same cost, maybe in
+ *                  another version – two costs with one uid would sync as one).
+ * This device's sync state is never taken from a backup (older backups may still
+ * contain it). "replace" keeps only the device id: the outbox is emptied, every
+ * ledger's sync cursor is reset (its next sync sends all restored costs and pulls
+ * everything from the server) and the sync token has to be entered again.
+ * "merge" keeps the sync state and queues every added cost in the outbox, so the
+ * next sync sends it like a cost added by hand.
+ * Returns a Promise for { mode, schemaVersion, restored: { <store>: count } }.
+ */
+async function restoreBackup(file, { mode = "replace" } = {}) {
+    // Validate DB is open before doing any work
+    requireOpenDb();
+
+    if (mode !== "replace" && mode !== "merge") {
+        throw new Error('Restore mode must be "replace" or "merge".');
+    }
+
+    // Read the file (or accept the JSON text directly)
+    const text = typeof file === "string" ? file : await file.text();
+
+    let backup;
+    try {
+        backup = JSON.parse(text);
+    } catch {
+        throw new Error("The backup file is not valid JSON.");
+    }
+
+    // Basic shape checks
+    if (!backup || backup.format !== BACKUP_FORMAT || typeof backup.stores !== "object") {
+        throw new Error("The file is not a Cost Manager backup.");
+    }
+    if (!Number.isInteger(backup.schemaVersion) || backup.schemaVersion < 1) {
+        throw new Error("The backup has no valid schema version.");
+    }
+    if (backup.schemaVersion > _db.version) {
+        throw new Error(
+            `The backup was made with a newer version of the app (schema ${backup.schemaVersion}).`
+        );
+    }
+
+    // The checksum proves the stores were not changed or truncated
+    if (backup.checksum !== (await sha256Hex(JSON.stringify(backup.stores)))) {
+        throw new Error("The backup checksum does not match (the file is damaged or was edited).");
+    }
+
+    // Bring older backups up to the current schema
+    const migrated = migrateBackup(backup);
+
+    // Leave out another device's sync state
+    for (const name of DEVICE_ONLY_STORES) {
+        delete migrated.stores[name];
+    }
+    if (Array.isArray(migrated.stores.settings)) {
+        migrated.stores.settings = migrated.stores.settings.filter((s) => !isDeviceSettingKey(s.key));
+    }
+
+    // Every store in the backup must exist in the database and hold an array
+    const names = Object.keys(migrated.stores);
+    for (const name of names) {
+        if (!_db.objectStoreNames.contains(name)) {
+            throw new Error(`The backup contains an unknown store "${name}".`);
+        }
+        if (!Array.isArray(migrated.stores[name])) {
+            throw new Error(`Store "${name}" in the backup is not a list of records.`);
+        }
+    }
+
+    // Write everything in ONE transaction (all or nothing)
+    const restored = await new Promise((resolve, reject) => {
+        const tx = _db.transaction([...names, ...DEVICE_ONLY_STORES], "readwrite");
+        const outboxStore = tx.objectStore("outbox");
+        const counts = {};
+
+        // Changes waiting for costs that are replaced now would never be valid again
+        if (mode === "replace") {
+            for (const name of DEVICE_ONLY_STORES) {
+                tx.objectStore(name).clear();
+            }
+        }
+
+        for (const name of names) {
+            const store = tx.objectStore(name);
+            const records = migrated.stores[name];
+            counts[name] = 0;
+
+            if (mode === "replace") {
+                // Empty the store, then put every record back with its own key
+                const putAll = () => {
+                    for (const record of records) {
+                        store.put(record);
+                        counts[name]++;
+                    }
+                };
+
+                if (name !== "settings") {
+                    store.clear();
+                    putAll();
+                    continue;
+                }
+
+                // Settings: the device id stays (the backup has none); everything else
+                // goes, which also resets every ledger's syncCursor and lastSyncAt
+                const keysReq = store.getAllKeys();
+                keysReq.onsuccess = function () {
+                    for (const key of keysReq.result) {
+                        if (key !== DEVICE_ID_KEY) {
+                            store.delete(key);
+                        }
+                    }
+                    putAll();
+                };
+                continue;
+            }
+
+            // Merge: look at each key before writing
+            for (const record of records) {
+                // Budgets have a compound key ([ledgerId, category])
+                const key = Array.isArray(store.keyPath)
+                    ? store.keyPath.map((part) => record[part])
+                    : record[store.keyPath];
+
+                // A cost that exists here under its uid is kept as it is
+                if (name === "costs" && record.uid) {
+                    const uidReq = store.index("uid").getKey(record.uid);
+                    uidReq.onsuccess = function () {
+                        if (uidReq.result === undefined) {
+                            mergeRecord(store, name, record, key);
+                        }
+                    };
+                } else {
+                    mergeRecord(store, name, record, key);
+                }
+            }
+        }
+
+        // A merged cost waits in the outbox like a new one (its own version is kept,
+        // so a newer version on the server still wins)
+        function queueMergedCost(name, record) {
+            if (name === "costs") {
+                queueChange(outboxStore, record);
+            }
+        }
+
+        // Add one backup record unless the store already has it
+        function mergeRecord(store, name, record, key) {
+            const getReq = store.get(key);
+
+            getReq.onsuccess = function () {
+                const existing = getReq.result;
+
+                if (!existing) {
+                    // New key → add as is
+                    store.put(record);
+                    counts[name]++;
+                    queueMergedCost(name, record);
+                } else if (
+                    AUTO_KEY_STORES.includes(name) &&
+                    JSON.stringify(existing) !== JSON.stringify(record)
+                ) {
+                    // Same generated id but a different record → add under a new id
+                    const copy = { ...record };
+                    delete copy[store.keyPath];
+                    store.add(copy);
+                    counts[name]++;
+                    queueMergedCost(name, copy);
+                }
+                // Otherwise the existing record wins (identical or keyed setting)
+            };
+        }
+
+        tx.oncomplete = () => resolve(counts);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error("Restore was aborted."));
+    });
+
+    // The active ledger and the device id may be gone (replace), and restored
+    // recurring rules may already have due occurrences
+    await loadActiveLedger();
+    await loadDeviceId();
+    await generateDueRecurring();
+
+    return { mode, schemaVersion: backup.schemaVersion, restored };
+}
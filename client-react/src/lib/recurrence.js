@@ -0,0 +1,99 @@
+// src/lib/recurrence.js (React / ES Modules)
+// Date math for recurring cost rules (monthly / weekly / yearly schedules).
+// Dates are handled as "YYYY-MM-DD" strings so they compare correctly as text.
+
+// Supported schedule frequencies
+export const FREQUENCIES = ["monthly", "weekly", "yearly"];
+
+// Format { year, month, day } as "YYYY-MM-DD"
+export function toIsoDate({ year, month, day }) {
+    const mm = String(month).padStart(2, "0");
+    const dd = String(day).padStart(2, "0");
+    return `${year}-${mm}-${dd}`;
+}
+
+// Parse an already validated "YYYY-MM-DD" string into { year, month, day }
+export function fromIsoDate(iso) {
+    const [year, month, day] = iso.split("-").map(Number);
+    return { year, month, day };
+}
+
+// Number of days in a month (month is 1..12)
+function daysInMonth(year, month) {
+    return new Date(year, month, 0).getDate();
+}
+
+/*
+ * nthOccurrence(start, frequency, n)
+ * Returns the date parts of the n-th occurrence (n = 0 is the start date).
+ * Monthly/yearly rules keep the start day, clamped to shorter months
+ * (a rule starting on the 31st runs on the 30th in April, 28th/29th in February).
+ */
+function nthOccurrence(start, frequency, n) {
+    if (frequency === "weekly") {
+        // Let Date handle month/year rollover for the added days
+        const d = new Date(start.year, start.month - 1, start.day + 7 * n);
+        return { year: d.getFullYear(), month: d.getMonth() + 1, day: d.getDate() };
+    }
+
+    // Monthly and yearly: move whole months, then clamp the day
+    const monthsToAdd = frequency === "yearly" ? 12 * n : n;
+    const index = start.month - 1 + monthsToAdd;
+    const year = start.year + Math.floor(index / 12);
+    const month = (index % 12) + 1;
+    const day = Math.min(start.day, daysInMonth(year, month));
+
+    return { year, month, day };
+}
+
+/*
+ * dueOccurrences(rule, todayIso)
+ * Returns the occurrence dates ("YYYY-MM-DD") of a rule that are due:
+ * after rule.lastGenerated and not later than today (or the rule's end date).
+ */
+export function dueOccurrences(rule, todayIso) {
+    const start = fromIsoDate(rule.startDate);
+
+    // Occurrences are generated up to today, but never past the end date
+    const limit = rule.endDate && rule.endDate < todayIso ? rule.endDate : todayIso;
+
+    const result = [];
+    for (let n = 0; ; n++) {
+        const iso = toIsoDate(nthOccurrence(start, rule.frequency, n));
+
+        // Stop at the first occurrence that is not due yet
+        if (iso > limit) {
+            break;
+        }
+
+        // Skip occurrences that were already turned into costs
+        if (!rule.lastGenerated || iso > rule.lastGenerated) {
+            result.push(iso);
+        }
+    }
+
+    return result;
+}
+
+/*
+ * nextOccurrence(rule, todayIso)
+ * Returns the first occurrence after today that has not been generated yet,
+ * or null when the rule has ended.
+ */
+export function nextOccurrence(rule, todayIso) {
+    const start = fromIsoDate(rule.startDate);
+
+    for (let n = 0; ; n++) {
+        const iso = toIsoDate(nthOccurrence(start, rule.frequency, n));
+
+        // Past the end date → the rule will not run again
+        if (rule.endDate && iso > rule.endDate) {
+            return null;
+        }
+
+        // First occurrence after today (and after what was already generated)
+        if (iso > todayIso && (!rule.lastGenerated || iso > rule.lastGenerated)) {
+            return iso;
+        }
+    }
+}
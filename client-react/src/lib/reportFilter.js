@@ -0,0 +1,78 @@
+// src/lib/reportFilter.js (React / ES Modules)
+// Narrowing and sorting the cost items of a loaded report (done in memory –
+// the report is already loaded and converted)
+
+// Filter + sort state of the Report page
+export const DEFAULT_REPORT_FILTER = {
+    // Text searched in description and category (case-insensitive)
+    search: "",
+    // Exact category ("" = all)
+    category: "",
+    // Original currency of the item ("" = all)
+    currency: "",
+    // Amount range in the report currency ("" = no bound)
+    minAmount: "",
+    maxAmount: "",
+    // "date" | "amount" | "category", "asc" | "desc"
+    sortBy: "date",
+    sortDir: "asc"
+};
+
+// Sort keys offered on the page
+export const REPORT_SORTS = [
+    { value: "date", label: "Date" },
+    { value: "amount", label: "Amount" },
+    { value: "category", label: "Category" }
+];
+
+// Compare two cost items by one sort key (ties fall back to the date, then the id)
+function compareBy(sortBy, a, b) {
+    let diff = 0;
+    if (sortBy === "amount") {
+        diff = a.sum - b.sum;
+    } else if (sortBy === "category") {
+        diff = a.category.localeCompare(b.category);
+    }
+    return (
+        diff ||
+        a.Date.year - b.Date.year ||
+        a.Date.month - b.Date.month ||
+        a.Date.day - b.Date.day ||
+        a.id - b.id
+    );
+}
+
+/*
+ * filterCosts(costs, filter)
+ * Returns the report items that match every active part of the filter,
+ * sorted as requested. Amount bounds are inclusive and in the report currency.
+ */
+export function filterCosts(costs, filter) {
+    const search = filter.search.trim().toLowerCase();
+    const min = filter.minAmount === "" ? -Infinity : Number(filter.minAmount);
+    const max = filter.maxAmount === "" ? Infinity : Number(filter.maxAmount);
+
+    const matching = costs.filter(
+        (c) =>
+            (!search ||
+                (c.description ?? "").toLowerCase().includes(search) ||
+                c.category.toLowerCase().includes(search)) &&
+            (!filter.category || c.category === filter.category) &&
+            (!filter.currency || c.original.currency === filter.currency) &&
+            // A bound that isn't a number is ignored rather than hiding everything
+            (Number.isNaN(min) || c.sum >= min) &&
+            (Number.isNaN(max) || c.sum <= max)
+    );
+
+    const direction = filter.sortDir === "desc" ? -1 : 1;
+    return matching.sort((a, b) => direction * compareBy(filter.sortBy, a, b));
+}
+
+// Sum of the (already converted) items, rounded like the report total
+export function totalOf(costs) {
+    let total = 0;
+    for (const c of costs) {
+        total += c.sum;
+    }
+    return Number(total.toFixed(2));
+}
@@ -0,0 +1,46 @@
+// src/lib/tags.js (React / ES Modules)
+// Tags on cost items ("vacation-2026", "work"): one spelling per tag, any number per cost
+
+// Canonical form of one tag: trimmed, lower case, inner spaces become "-"
+export function normalizeTag(tag) {
+    return String(tag ?? "")
+        .trim()
+        .toLowerCase()
+        .replace(/\s+/g, "-");
+}
+
+/*
+ * normalizeTags(tags)
+ * Accepts an array of tags or a text with tags separated by commas or semicolons
+ * ("work, vacation 2026" is read as "work" and "vacation-2026" – the same tags
+ * as the array ["work", "vacation 2026"]).
+ * Returns the unique, normalized, non-empty tags in their original order.
+ */
+export function normalizeTags(tags) {
+    if (tags === undefined || tags === null || tags === "") {
+        return [];
+    }
+
+    const list = Array.isArray(tags) ? tags : String(tags).split(/[,;]/);
+    return [...new Set(list.map(normalizeTag))].filter(Boolean);
+}
+
+// Tags as one CSV cell (separated by semicolons, so the cell needs no quotes)
+export function tagsToText(tags) {
+    return (tags || []).join(";");
+}
+
+/*
+ * matchesTags(costTags, wanted, match)
+ * True when a cost with costTags passes a tag filter.
+ * match "any": at least one wanted tag; "all": every wanted tag.
+ * An empty filter lets every cost pass.
+ */
+export function matchesTags(costTags, wanted, match = "any") {
+    if (!wanted || wanted.length === 0) {
+        return true;
+    }
+
+    const own = new Set(costTags || []);
+    return match === "all" ? wanted.every((t) => own.has(t)) : wanted.some((t) => own.has(t));
+}
@@ -1,8 +1,8 @@
 // AddCostPage.jsx
 // Responsible for rendering the "Add Cost" form and saving a new cost item into IndexedDB
 
-// React hooks for managing component state and side effects
-import { useEffect, useState } from "react";
+// React hook for managing component state
+import { useState } from "react";
 
 // Material UI components for layout and form UI
 import {
@@ -10,57 +10,52 @@ import {
     Paper,
     Stack,
     TextField,
-    MenuItem,
     Button,
     Typography,
     Alert
 } from "@mui/material";
 
-// IndexedDB API wrapper (our project DB layer)
-import { openCostsDB } from "../lib/idb";
+// The database shared by all pages (opened once in App.jsx)
+import useCostsDb from "../hooks/useCostsDb";
+
+// Readable messages for typed rates errors (budget check converts currencies)
+import { errorMessage } from "../lib/errors";
+
+// Currency dropdown built from the active rates source
+import CurrencySelect from "../components/CurrencySelect";
+
+// Category autocomplete over the stored categories
+import CategoryPicker from "../components/CategoryPicker";
+
+// Tags input (chips, with the tags already in use as suggestions)
+import TagsField from "../components/TagsField";
+
+// Returns today's date as "YYYY-MM-DD" (local time, the format of <input type="date">)
+function todayIso() {
+    const now = new Date();
+    const mm = String(now.getMonth() + 1).padStart(2, "0");
+    const dd = String(now.getDate()).padStart(2, "0");
+    return `${now.getFullYear()}-${mm}-${dd}`;
+}
 
 // AddCostPage component – allows the user to create a new cost item
 export default function AddCostPage() {
-    // Holds the opened DB API object (addCost, getReport, etc.)
-    const [db, setDb] = useState(null);
+    // The opened DB API object (addCost, getReport, etc.) and the preferred currency
+    const { db, defaultCurrency } = useCostsDb();
 
     // Controlled inputs for the form fields
     const [sum, setSum] = useState("");
-    const [currency, setCurrency] = useState("USD");
+    const [currency, setCurrency] = useState(defaultCurrency);
     const [category, setCategory] = useState("FOOD");
     const [description, setDescription] = useState("");
+    const [tags, setTags] = useState([]);
+    const [date, setDate] = useState(todayIso());
 
-    // Status message shown to the user (success / error)
+    // Status message shown to the user (success / warning / error)
     const [status, setStatus] = useState({ type: "", msg: "" });
 
-    // Open the database once when the component is mounted
-    useEffect(() => {
-        // "alive" prevents setting state after unmount (avoids React warnings)
-        let alive = true;
-
-        // Use an IIFE to allow async/await inside useEffect
-        (async () => {
-            try {
-                // Open (or create/upgrade) IndexedDB
-                const opened = await openCostsDB("costsdb", 1);
-
-                // Update state only if the component is still mounted
-                if (alive) {
-                    setDb(opened);
-                }
-            } catch (e) {
-                // Show an error message if DB failed to open
-                if (alive) {
-                    setStatus({ type: "error", msg: e.message });
-                }
-            }
-        })();
-
-        // Cleanup runs when the component unmounts
-        return () => {
-            alive = false;
-        };
-    }, []);
+    // Number of saved items (remounts the category picker so new categories appear)
+    const [savedCount, setSavedCount] = useState(0);
 
     // Handle form submit (validate inputs, then call db.addCost)
     async function handleSubmit(e) {
@@ -70,12 +65,6 @@ export default function AddCostPage() {
         // Clear previous status message
         setStatus({ type: "", msg: "" });
 
-        // Ensure DB is ready before trying to add a cost
-        if (!db) {
-            setStatus({ type: "error", msg: "DB not ready yet." });
-            return;
-        }
-
         // Convert the sum input from string to number
         const numSum = Number(sum);
 
@@ -85,24 +74,52 @@ export default function AddCostPage() {
             return;
         }
 
+        let added;
         try {
-            // Save the cost item into IndexedDB (date fields are added in idb.js)
-            await db.addCost({
+            // Save the cost item into IndexedDB (idb.js validates the date and splits it into fields)
+            added = await db.addCost({
                 sum: numSum,
                 currency,
                 category,
-                description
+                description,
+                tags,
+                date
             });
-
-            // Notify the user that the cost was saved successfully
-            setStatus({ type: "success", msg: "Cost item added successfully." });
-
-            // Clear only the fields we want to reset after submit
-            setSum("");
-            setDescription("");
         } catch (e2) {
             // Show any DB error to the user
-            setStatus({ type: "error", msg: e2.message });
+            setStatus({ type: "error", msg: errorMessage(e2) });
+            return;
+        }
+
+        // Notify the user that the cost was saved successfully (and on which date)
+        const { day, month, year } = added.Date;
+        setStatus({
+            type: "success",
+            msg: `Cost item added successfully (${day}/${month}/${year}).`
+        });
+        setSavedCount((n) => n + 1);
+
+        // Clear only the fields we want to reset after submit
+        // (tags are kept – a trip or project usually has several costs in a row)
+        setSum("");
+        setDescription("");
+
+        // Warn while the category is over its monthly budget (this cost included).
+        // A failed check (e.g. rates offline) must not hide that the cost was saved.
+        try {
+            const budget = await db.getBudgetStatus(added.category, year, month);
+            if (budget && budget.over) {
+                setStatus({
+                    type: "warning",
+                    msg:
+                        `Cost item added, but ${added.category} is over its budget for ` +
+                        `${month}/${year}: ${budget.actual.toFixed(2)} of ` +
+                        `${budget.budget.toFixed(2)} ${budget.currency} ` +
+                        `(${budget.usedPercent}%).`
+                });
+            }
+        } catch {
+            // Budget status unavailable → keep the success message
         }
     }
 
@@ -116,12 +133,9 @@ export default function AddCostPage() {
                     Add Cost
                 </Typography>
 
-                {/* Show success/error status message only when there's a message */}
+                {/* Show success/warning/error status message only when there's a message */}
                 {status.msg ? (
-                    <Alert
-                        severity={status.type === "error" ? "error" : "success"}
-                        sx={{ mb: 2 }}
-                    >
+                    <Alert severity={status.type} sx={{ mb: 2 }}>
                         {status.msg}
                     </Alert>
                 ) : null}
@@ -140,25 +154,16 @@ export default function AddCostPage() {
                             required
                         />
 
-                        {/* Currency select (supported currencies for the project) */}
-                        <TextField
-                            select
-                            label="Currency"
-                            value={currency}
-                            onChange={(event) => setCurrency(event.target.value)}
-                        >
-                            {["USD", "ILS", "GBP", "EURO"].map((cur) => (
-                                <MenuItem key={cur} value={cur}>
-                                    {cur}
-                                </MenuItem>
-                            ))}
-                        </TextField>
-
-                        {/* Category input (can be free text or aligned to your categories list) */}
-                        <TextField
-                            label="Category"
+                        {/* Currency select (currencies of the active rates source) */}
+                        <CurrencySelect db={db} value={currency} onChange={setCurrency} />
+
+                        {/* Category picker (stored categories, or a new name that is created on save) */}
+                        {/* key reloads the list after a save, so a new category shows up */}
+                        <CategoryPicker
+                            key={savedCount}
+                            db={db}
                             value={category}
-                            onChange={(event) => setCategory(event.target.value)}
+                            onChange={setCategory}
                             required
                         />
 
@@ -170,8 +175,21 @@ export default function AddCostPage() {
                             required
                         />
 
-                        {/* Submit button (disabled while DB is not ready) */}
-                        <Button type="submit" variant="contained" disabled={!db}>
+                        {/* Tags (optional, any number) – key reloads the suggestions after a save */}
+                        <TagsField key={savedCount} db={db} value={tags} onChange={setTags} />
+
+                        {/* Date picker (defaults to today, can be changed for older receipts) */}
+                        <TextField
+                            label="Date"
+                            type="date"
+                            value={date}
+                            onChange={(event) => setDate(event.target.value)}
+                            InputLabelProps={{ shrink: true }}
+                            required
+                        />
+
+                        {/* Submit button (always enabled – the page renders only after the DB opened) */}
+                        <Button type="submit" variant="contained">
                             Add
                         </Button>
                     </Stack>
@@ -1,8 +1,10 @@
 // BarChartPage.jsx
 // Responsible for rendering a yearly bar chart (12 months) with totals in a selected currency
+// Several years can be compared as grouped bars or lines (one series per year),
+// and a single year can be split into stacked bars per category
 
-// React hooks for component state, side effects, and request-cancellation pattern
-import { useEffect, useRef, useState } from "react";
+// React hook for the page state
+import { useState } from "react";
 
 // Material UI components for layout and form controls
 import {
@@ -10,16 +12,19 @@ import {
     Paper,
     Stack,
     TextField,
-    MenuItem,
     Button,
     Typography,
-    Alert
+    Alert,
+    Autocomplete,
+    MenuItem
 } from "@mui/material";
 
 // Recharts components for bar chart rendering
 import {
     BarChart,
     Bar,
+    LineChart,
+    Line,
     XAxis,
     YAxis,
     Tooltip,
@@ -30,11 +35,18 @@ import {
     LabelList
 } from "recharts";
 
-// IndexedDB API wrapper (our project DB layer)
-import { openCostsDB } from "../lib/idb";
+// The database shared by all pages, and chart loading with stale-request protection
+import useCostsDb from "../hooks/useCostsDb";
+import useChartData from "../hooks/useChartData";
 
-// Supported currencies for the project (as required)
-const currencies = ["USD", "ILS", "GBP", "EURO"];
+// Notice shown when cached (offline) exchange rates were used
+import RatesNotice from "../components/RatesNotice";
+
+// Currency dropdown built from the active rates source
+import CurrencySelect from "../components/CurrencySelect";
+
+// Tag filter (tags in use + any/all)
+import TagFilter from "../components/TagFilter";
 
 // Month labels for X axis tick formatting
 const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
@@ -68,104 +80,147 @@ function formatMoney(value, currency) {
     return `${num.toFixed(2)} ${currency}`;
 }
 
-// BarChartPage component – displays totals per month for a selected year and currency
+// Years offered in the picker: this year and the nine before it (other years can be typed)
+function recentYears(currentYear) {
+    return Array.from({ length: 10 }, (_, i) => String(currentYear - i));
+}
+
+// Percent change from "previous" to "value" ("+12.5%"), or null when there is nothing to compare
+function changeText(value, previous) {
+    if (previous === undefined || previous === 0) {
+        return null;
+    }
+    const pct = ((value - previous) / previous) * 100;
+    return `${pct >= 0 ? "+" : ""}${pct.toFixed(1)}%`;
+}
+
+/*
+ * ChangeTooltip
+ * Tooltip of one month: the total of every year, with the change from the previous
+ * month (December of the year before for January, when that year is shown) and
+ * from the same month of the previous shown year.
+ */
+function ChangeTooltip({ active, label, data, years, currency }) {
+    if (!active || label === undefined) {
+        return null;
+    }
+
+    const month = Number(label);
+    const entry = data[month - 1];
+    if (!entry) {
+        return null;
+    }
+
+    return (
+        <Paper sx={{ p: 1.5, textAlign: "left" }}>
+            <Typography variant="subtitle2">{MONTHS[month - 1]}</Typography>
+
+            {years.map((y, i) => {
+                const value = entry[y];
+                let previousMonth;
+                if (month > 1) {
+                    previousMonth = data[month - 2][y];
+                } else if (years.includes(y - 1)) {
+                    previousMonth = data[11][y - 1];
+                }
+                const mom = changeText(value, previousMonth);
+                const yoy = i > 0 ? changeText(value, entry[years[i - 1]]) : null;
+
+                return (
+                    <Typography key={y} variant="body2">
+                        <b>{y}</b>: {formatMoney(value, currency)}
+                        {mom && ` | vs previous month ${mom}`}
+                        {yoy && ` | vs ${years[i - 1]} ${yoy}`}
+                    </Typography>
+                );
+            })}
+        </Paper>
+    );
+}
+
+// BarChartPage component – displays totals per month for the selected years and currency
 export default function BarChartPage() {
     // Use current year as the default input
     const now = new Date();
 
-    // Holds the opened DB API object (getBarChartData, etc.)
-    const [db, setDb] = useState(null);
+    // The opened DB API object (getBarChartData, etc.) and the preferred currency
+    const { db, defaultCurrency } = useCostsDb();
 
-    // Controlled inputs for year and currency selection
-    const [year, setYear] = useState(now.getFullYear());
-    const [currency, setCurrency] = useState("USD");
+    // Controlled inputs for the years, currency and chart style ("bars" | "lines")
+    const [years, setYears] = useState([now.getFullYear()]);
+    const [currency, setCurrency] = useState(defaultCurrency);
+    const [chartStyle, setChartStyle] = useState("bars");
 
-    // Data shown in the chart (12 items: month + total)
-    const [data, setData] = useState([]);
+    // "total" bars, or bars "stacked" by category (one year, bar chart only)
+    const [view, setView] = useState("total");
+    const stacked = view === "stacked" && years.length === 1 && chartStyle === "bars";
 
-    // Status message shown to the user (error only here)
-    const [status, setStatus] = useState({ type: "", msg: "" });
+    // Categories hidden by clicking their legend item
+    const [hiddenCategories, setHiddenCategories] = useState([]);
 
-    // Request id guard – prevents “old responses” from overriding new state
-    const reqIdRef = useRef(0);
+    // Tag filter: only costs with these tags (any / all of them) are counted
+    const [tags, setTags] = useState([]);
+    const [tagMatch, setTagMatch] = useState("any");
 
-    // Open the database once when the component is mounted
-    useEffect(() => {
-        // "alive" prevents setting state after unmount (avoids React warnings)
-        let alive = true;
-
-        // Use an IIFE to allow async/await inside useEffect
-        (async () => {
-            try {
-                // Open (or create/upgrade) IndexedDB
-                const opened = await openCostsDB("costsdb", 1);
-
-                // Update state only if the component is still mounted
-                if (alive) {
-                    setDb(opened);
-                }
-            } catch (e) {
-                // Show an error message if DB failed to open
-                if (alive) {
-                    setStatus({ type: "error", msg: e.message });
-                }
-            }
-        })();
-
-        // Cleanup runs when the component unmounts
-        return () => {
-            alive = false;
-        };
-    }, []);
-
-    // Loads bar chart data for a given year + currency
-    async function loadBar(selectedYear, selectedCurrency) {
-        // Do nothing until DB is ready
-        if (!db) {
-            return;
-        }
-
-        // Increase request id to invalidate any previous pending request
-        const myReqId = ++reqIdRef.current;
-
-        // Clear previous status message
-        setStatus({ type: "", msg: "" });
-
-        try {
-            // Request chart data from DB layer (single scan + single rates fetch)
-            const res = await db.getBarChartData(Number(selectedYear), selectedCurrency);
-
-            // If a newer request was made, ignore this response
-            if (myReqId !== reqIdRef.current) {
-                return;
+    // Chart data, reloaded whenever years/currency/tag filter/view changes (like clicking "Show")
+    // rows: 12 items { month, <year>: total, ... } (+ byCategory when stacked)
+    const chart = useChartData(
+        async (opened) => {
+            // Nothing to load while no year is picked
+            if (years.length === 0) {
+                return null;
             }
 
-            // Update chart data (fallback to [] if null/undefined)
-            setData(res || []);
-        } catch (e) {
-            // If a newer request was made, ignore this error
-            if (myReqId !== reqIdRef.current) {
-                return;
+            let rows;
+            let categories = [];
+            if (stacked) {
+                // One year split by category
+                const [year] = years;
+                const [monthly, stored] = await Promise.all([
+                    opened.getBarChartData(year, currency, { tags, tagMatch, byCategory: true }),
+                    opened.listCategories()
+                ]);
+                rows = monthly.map((e) => ({ month: e.month, [year]: e.total, byCategory: e.byCategory }));
+
+                // Stack the categories that have costs this year, in the usual (name) order
+                const used = new Set(monthly.flatMap((e) => Object.keys(e.byCategory)));
+                categories = stored.filter((c) => used.has(c.name));
+            } else {
+                // Single scan + single rates fetch for all years
+                rows = await opened.getMultiYearBarChartData(years, currency, { tags, tagMatch });
             }
 
-            // Reset data and show error message
-            setData([]);
-            setStatus({ type: "error", msg: e.message });
-        }
+            return {
+                rows,
+                // Years of the data (series of the chart, oldest first)
+                years: [...new Set(years)].sort((a, b) => a - b),
+                // Categories of the stacked data ([{ name, color }], empty when not stacked)
+                categories,
+                // Where the exchange rates of the shown data came from (cached or fresh)
+                ratesInfo: opened.getRatesInfo()
+            };
+        },
+        [years, currency, tags, tagMatch, stacked]
+    );
+    const data = chart.data?.rows ?? [];
+    const shownYears = chart.data?.years ?? [];
+    const shownCategories = chart.data?.categories ?? [];
+
+    // Show / hide one category of the stacked view (legend click)
+    function toggleCategory(name) {
+        setHiddenCategories((hidden) =>
+            hidden.includes(name) ? hidden.filter((n) => n !== name) : [...hidden, name]
+        );
     }
 
-    // Auto-refresh the chart whenever DB/year/currency changes (like clicking "Show")
-    useEffect(() => {
-        // Wait until DB is ready
-        if (!db) {
-            return;
-        }
-
-        // Load chart data based on current selections
-        loadBar(year, currency);
-
-        // eslint-disable-next-line react-hooks/exhaustive-deps
-    }, [db, year, currency]);
+    // Tooltip with month-over-month and year-over-year change
+    const tooltip = (
+        <Tooltip
+            content={(props) => (
+                <ChangeTooltip {...props} data={data} years={shownYears} currency={currency} />
+            )}
+        />
+    );
 
     return (
         // Page container with top margin
@@ -177,100 +232,202 @@ export default function BarChartPage() {
                     Bar Chart by Month
                 </Typography>
 
+                {/* "Rates as of …" notice when cached rates were used */}
+                <RatesNotice info={chart.data?.ratesInfo} />
+
                 {/* Show error only when a message exists */}
-                {status.msg && (
+                {chart.error && (
                     <Alert severity="error" sx={{ mb: 2 }}>
-                        {status.msg}
+                        {chart.error}
                     </Alert>
                 )}
 
-                {/* Controls row: year, currency, and optional manual refresh */}
+                {/* Controls row: years, currency, chart style, and optional manual refresh */}
                 <Stack
                     direction={{ xs: "column", sm: "row" }}
                     spacing={2}
                     sx={{ mb: 2 }}
                 >
-                    {/* Year input */}
-                    <TextField
-                        label="Year"
-                        type="number"
-                        value={year}
-                        onChange={(event) => setYear(event.target.value)}
+                    {/* Years to show (pick from the list or type one and press Enter) */}
+                    <Autocomplete
+                        multiple
+                        freeSolo
+                        options={recentYears(now.getFullYear())}
+                        value={years.map(String)}
+                        // Typed text that isn't a year is dropped
+                        onChange={(event, values) =>
+                            setYears([...new Set(values.map(Number).filter(Number.isInteger))])
+                        }
+                        slotProps={{ chip: { size: "small" } }}
+                        renderInput={(params) => <TextField {...params} label="Years" />}
                         fullWidth
                     />
 
-                    {/* Currency dropdown (supported currencies only) */}
+                    {/* Currency dropdown (currencies of the active rates source) */}
+                    <CurrencySelect db={db} value={currency} onChange={setCurrency} fullWidth />
+
+                    {/* Grouped bars or one line per year */}
+                    <TextField
+                        select
+                        label="Chart"
+                        value={chartStyle}
+                        onChange={(event) => setChartStyle(event.target.value)}
+                        fullWidth
+                    >
+                        <MenuItem value="bars">Bars</MenuItem>
+                        <MenuItem value="lines">Lines</MenuItem>
+                    </TextField>
+
+                    {/* Totals or stacked categories (only for a single year shown as bars) */}
                     <TextField
                         select
-                        label="Currency"
-                        value={currency}
-                        onChange={(event) => setCurrency(event.target.value)}
+                        label="View"
+                        value={view}
+                        onChange={(event) => setView(event.target.value)}
+                        disabled={years.length !== 1 || chartStyle !== "bars"}
                         fullWidth
                     >
-                        {currencies.map((cur) => (
-                            <MenuItem key={cur} value={cur}>
-                                {cur}
-                            </MenuItem>
-                        ))}
+                        <MenuItem value="total">Totals</MenuItem>
+                        <MenuItem value="stacked">By category</MenuItem>
                     </TextField>
 
                     {/* Optional "Show" button (manual refresh) */}
                     <Button
                         variant="contained"
-                        onClick={() => loadBar(year, currency)}
-                        disabled={!db}
+                        onClick={chart.reload}
+                        disabled={years.length === 0}
                     >
                         Show
                     </Button>
                 </Stack>
 
+                {/* Tag filter (the chart refreshes when it changes) */}
+                <TagFilter
+                    db={db}
+                    tags={tags}
+                    onTagsChange={setTags}
+                    match={tagMatch}
+                    onMatchChange={setTagMatch}
+                />
+
                 {/* Chart container with fixed height */}
                 <div style={{ width: "100%", height: 380 }}>
                     <ResponsiveContainer>
-                        {/* Bar chart that shows 12 months totals */}
-                        <BarChart
-                            data={data}
-                            margin={{ top: 28, right: 20, left: 10, bottom: 5 }}
-                        >
-                            {/* Background grid for readability */}
-                            <CartesianGrid strokeDasharray="3 3" />
-
-                            {/* X axis shows month numbers but formatted into month names */}
-                            <XAxis
-                                dataKey="month"
-                                tickFormatter={(m) => MONTHS[Number(m) - 1] || m}
-                            />
-
-                            {/* Y axis shows totals (rounded for display) */}
-                            <YAxis tickFormatter={(v) => Number(v).toFixed(0)} />
-
-                            {/* Tooltip shows month name + formatted money */}
-                            <Tooltip
-                                labelFormatter={(m) => MONTHS[Number(m) - 1] || m}
-                                formatter={(value) => formatMoney(value, currency)}
-                            />
-
-                            {/* Legend is useful if you later add multiple series */}
-                            <Legend />
-
-                            {/* Single series: monthly total */}
-                            <Bar dataKey="total">
-                                {/* Color each bar (month) with a different color */}
-                                {data.map((_, index) => (
-                                    <Cell
-                                        key={`cell-${index}`}
-                                        fill={COLORS[index % COLORS.length]}
+                        {chartStyle === "lines" ? (
+                            // One line per year
+                            <LineChart data={data} margin={{ top: 28, right: 20, left: 10, bottom: 5 }}>
+                                <CartesianGrid strokeDasharray="3 3" />
+                                <XAxis
+                                    dataKey="month"
+                                    tickFormatter={(m) => MONTHS[Number(m) - 1] || m}
+                                />
+                                <YAxis tickFormatter={(v) => Number(v).toFixed(0)} />
+                                {tooltip}
+                                <Legend />
+                                {shownYears.map((y, index) => (
+                                    <Line
+                                        key={y}
+                                        type="monotone"
+                                        dataKey={String(y)}
+                                        name={String(y)}
+                                        stroke={COLORS[index % COLORS.length]}
                                     />
                                 ))}
-
-                                {/* Show the numeric value above each bar */}
-                                <LabelList
-                                    dataKey="total"
-                                    position="top"
-                                    formatter={(v) => formatMoney(v, currency)}
+                            </LineChart>
+                        ) : (
+                            // Bar chart that shows 12 months totals (grouped by month when comparing years)
+                            <BarChart
+                                data={data}
+                                margin={{ top: 28, right: 20, left: 10, bottom: 5 }}
+                            >
+                                {/* Background grid for readability */}
+                                <CartesianGrid strokeDasharray="3 3" />
+
+                                {/* X axis shows month numbers but formatted into month names */}
+                                <XAxis
+                                    dataKey="month"
+                                    tickFormatter={(m) => MONTHS[Number(m) - 1] || m}
                                 />
-                            </Bar>
-                        </BarChart>
+
+                                {/* Y axis shows totals (rounded for display) */}
+                                <YAxis tickFormatter={(v) => Number(v).toFixed(0)} />
+
+                                {/* Tooltip: category sums (stacked) or the change from the month / year before */}
+                                {shownCategories.length > 0 ? (
+                                    <Tooltip
+                                        labelFormatter={(m) => MONTHS[Number(m) - 1] || m}
+                                        formatter={(value) => formatMoney(value, currency)}
+                                    />
+                                ) : (
+                                    tooltip
+                                )}
+
+                                {/* Legend names each series; in the stacked view a click hides / shows a category */}
+                                {shownCategories.length > 0 ? (
+                                    <Legend
+                                        onClick={(entry) => toggleCategory(entry.value)}
+                                        formatter={(name, entry) => (
+                                            <span
+                                                style={{
+                                                    cursor: "pointer",
+                                                    color: hiddenCategories.includes(name)
+                                                        ? "#9e9e9e"
+                                                        : entry.color,
+                                                    textDecoration: hiddenCategories.includes(name)
+                                                        ? "line-through"
+                                                        : "none"
+                                                }}
+                                            >
+                                                {name}
+                                            </span>
+                                        )}
+                                    />
+                                ) : (
+                                    <Legend />
+                                )}
+
+                                {shownCategories.length > 0 ? (
+                                    // Stacked view: one segment per category, in the category's colour
+                                    shownCategories.map((category) => (
+                                        <Bar
+                                            key={category.name}
+                                            stackId="categories"
+                                            dataKey={(entry) => entry.byCategory[category.name] ?? 0}
+                                            name={category.name}
+                                            fill={category.color}
+                                            hide={hiddenCategories.includes(category.name)}
+                                        />
+                                    ))
+                                ) : shownYears.length === 1 ? (
+                                    // Single year: one series, every bar (month) with its own color
+                                    <Bar dataKey={String(shownYears[0])} name={String(shownYears[0])}>
+                                        {data.map((_, index) => (
+                                            <Cell
+                                                key={`cell-${index}`}
+                                                fill={COLORS[index % COLORS.length]}
+                                            />
+                                        ))}
+
+                                        {/* Show the numeric value above each bar */}
+                                        <LabelList
+                                            dataKey={String(shownYears[0])}
+                                            position="top"
+                                            formatter={(v) => formatMoney(v, currency)}
+                                        />
+                                    </Bar>
+                                ) : (
+                                    // Several years: one colored series per year
+                                    shownYears.map((y, index) => (
+                                        <Bar
+                                            key={y}
+                                            dataKey={String(y)}
+                                            name={String(y)}
+                                            fill={COLORS[index % COLORS.length]}
+                                        />
+                                    ))
+                                )}
+                            </BarChart>
+                        )}
                     </ResponsiveContainer>
                 </div>
             </Paper>
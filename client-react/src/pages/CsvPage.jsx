@@ -0,0 +1,281 @@
+// CsvPage.jsx
+// Responsible for exporting cost items to a CSV file and importing cost items from one
+// (column mapping, preview with per-row errors, dry run before writing)
+
+// React hook for managing component state
+import { useState } from "react";
+
+// Material UI components for layout, form controls and the preview table
+import {
+    Container,
+    Paper,
+    Stack,
+    TextField,
+    MenuItem,
+    Button,
+    Typography,
+    Alert,
+    Divider,
+    Table,
+    TableHead,
+    TableBody,
+    TableRow,
+    TableCell
+} from "@mui/material";
+
+// The database shared by all pages (opened once in App.jsx)
+import useCostsDb from "../hooks/useCostsDb";
+
+// Cost fields that can be mapped to CSV columns + supported date formats
+import { COST_CSV_FIELDS, CSV_DATE_FORMATS } from "../lib/csv";
+
+// Saves generated text as a file
+import { downloadFile } from "../lib/download";
+
+// CsvPage component – export and import of cost items as CSV
+export default function CsvPage() {
+    // The opened DB API object (exportCostsCsv, importCostsCsv, etc.)
+    const { db } = useCostsDb();
+
+    // Export filter (all optional)
+    const [exportYear, setExportYear] = useState("");
+    const [exportMonth, setExportMonth] = useState("");
+    const [exportCategory, setExportCategory] = useState("");
+
+    // Import state: file text, options and the last dry-run / import result
+    const [fileName, setFileName] = useState("");
+    const [csvText, setCsvText] = useState("");
+    const [dateFormat, setDateFormat] = useState("YYYY-MM-DD");
+    const [mapping, setMapping] = useState({});
+    const [preview, setPreview] = useState(null);
+
+    // Status message shown to the user (success / error)
+    const [status, setStatus] = useState({ type: "", msg: "" });
+
+    // Export the (filtered) cost items and download them as costs.csv
+    async function handleExport() {
+        setStatus({ type: "", msg: "" });
+
+        try {
+            const csv = await db.exportCostsCsv({
+                year: exportYear ? Number(exportYear) : undefined,
+                month: exportMonth ? Number(exportMonth) : undefined,
+                category: exportCategory.trim() || undefined
+            });
+            downloadFile("costs.csv", csv, "text/csv;charset=utf-8");
+        } catch (e) {
+            setStatus({ type: "error", msg: e.message });
+        }
+    }
+
+    // Read the chosen file (columns are detected on the first dry run)
+    async function handleFileChange(event) {
+        const file = event.target.files[0];
+
+        // Allow choosing the same file again later
+        event.target.value = "";
+
+        if (!file) {
+            return;
+        }
+
+        setFileName(file.name);
+        setCsvText(await file.text());
+        setMapping({});
+        setPreview(null);
+        setStatus({ type: "", msg: "" });
+    }
+
+    // Validate the file with the current options (dryRun = true → nothing is written)
+    async function runImport(dryRun) {
+        setStatus({ type: "", msg: "" });
+
+        try {
+            const result = await db.importCostsCsv(csvText, { mapping, dateFormat, dryRun });
+
+            // Keep the detected mapping so the selects show it
+            setMapping(result.mapping);
+            setPreview(result);
+
+            if (result.missing.length > 0) {
+                setStatus({
+                    type: "error",
+                    msg: `Choose a column for: ${result.missing.join(", ")}.`
+                });
+            } else if (!dryRun) {
+                setStatus({
+                    type: "success",
+                    msg: `Imported ${result.imported} cost items (${result.invalid} rows skipped).`
+                });
+                setCsvText("");
+                setFileName("");
+                setPreview(null);
+            }
+        } catch (e) {
+            setStatus({ type: "error", msg: e.message });
+        }
+    }
+
+    return (
+        // Page container with top margin
+        <Container sx={{ mt: 4 }}>
+            {/* Paper provides a card-like surface for both sections */}
+            <Paper sx={{ p: 3 }}>
+                {/* Page title */}
+                <Typography variant="h5" sx={{ mb: 2 }}>
+                    CSV Export / Import
+                </Typography>
+
+                {/* Show success/error status message only when it exists */}
+                {status.msg && (
+                    <Alert
+                        severity={status.type === "error" ? "error" : "success"}
+                        sx={{ mb: 2 }}
+                    >
+                        {status.msg}
+                    </Alert>
+                )}
+
+                {/* ----- Export ----- */}
+                <Typography variant="h6" sx={{ mb: 1 }}>
+                    Export
+                </Typography>
+
+                {/* Optional filter: year, month, category */}
+                <Stack direction={{ xs: "column", sm: "row" }} spacing={2} sx={{ mb: 2 }}>
+                    <TextField
+                        label="Year (optional)"
+                        type="number"
+                        value={exportYear}
+                        onChange={(event) => setExportYear(event.target.value)}
+                        fullWidth
+                    />
+                    <TextField
+                        label="Month (optional)"
+                        type="number"
+                        value={exportMonth}
+                        onChange={(event) => setExportMonth(event.target.value)}
+                        inputProps={{ min: 1, max: 12 }}
+                        fullWidth
+                    />
+                    <TextField
+                        label="Category (optional)"
+                        value={exportCategory}
+                        onChange={(event) => setExportCategory(event.target.value)}
+                        fullWidth
+                    />
+                    <Button variant="contained" onClick={handleExport}>
+                        Download CSV
+                    </Button>
+                </Stack>
+
+                {/* Visual separator between export and import */}
+                <Divider sx={{ my: 3 }} />
+
+                {/* ----- Import ----- */}
+                <Typography variant="h6" sx={{ mb: 1 }}>
+                    Import
+                </Typography>
+
+                {/* File picker + date format */}
+                <Stack direction={{ xs: "column", sm: "row" }} spacing={2} sx={{ mb: 2 }}>
+                    <Button variant="outlined" component="label">
+                        {fileName || "Choose CSV file"}
+                        <input type="file" accept=".csv,text/csv" hidden onChange={handleFileChange} />
+                    </Button>
+                    <TextField
+                        select
+                        label="Date format"
+                        value={dateFormat}
+                        onChange={(event) => setDateFormat(event.target.value)}
+                        sx={{ minWidth: 180 }}
+                    >
+                        {CSV_DATE_FORMATS.map((f) => (
+                            <MenuItem key={f} value={f}>
+                                {f}
+                            </MenuItem>
+                        ))}
+                    </TextField>
+                    <Button variant="contained" onClick={() => runImport(true)} disabled={!csvText}>
+                        Preview (dry run)
+                    </Button>
+                </Stack>
+
+                {/* Column mapping (shown after the first dry run detected the headers) */}
+                {preview && (
+                    <Stack direction={{ xs: "column", sm: "row" }} spacing={2} sx={{ mb: 2 }}>
+                        {COST_CSV_FIELDS.map((field) => (
+                            <TextField
+                                key={field}
+                                select
+                                label={field}
+                                value={mapping[field] || ""}
+                                onChange={(event) =>
+                                    setMapping({ ...mapping, [field]: event.target.value || null })
+                                }
+                                fullWidth
+                            >
+                                <MenuItem value="">(none)</MenuItem>
+                                {preview.headers.map((h) => (
+                                    <MenuItem key={h} value={h}>
+                                        {h}
+                                    </MenuItem>
+                                ))}
+                            </TextField>
+                        ))}
+                    </Stack>
+                )}
+
+                {/* Preview table with per-row validation errors */}
+                {preview && preview.rows.length > 0 && (
+                    <>
+                        <Typography variant="subtitle1" sx={{ mb: 1 }}>
+                            {preview.valid} valid rows, {preview.invalid} rows with errors
+                        </Typography>
+
+                        <Table size="small" sx={{ mb: 2 }}>
+                            <TableHead>
+                                <TableRow>
+                                    <TableCell>Row</TableCell>
+                                    <TableCell>Date</TableCell>
+                                    <TableCell>Sum</TableCell>
+                                    <TableCell>Currency</TableCell>
+                                    <TableCell>Category</TableCell>
+                                    <TableCell>Description</TableCell>
+                                    <TableCell>Tags</TableCell>
+                                    <TableCell>Errors</TableCell>
+                                </TableRow>
+                            </TableHead>
+                            <TableBody>
+                                {preview.rows.map((r) => (
+                                    <TableRow
+                                        key={r.line}
+                                        sx={r.errors.length > 0 ? { bgcolor: "#fdecea" } : undefined}
+                                    >
+                                        <TableCell>{r.line}</TableCell>
+                                        <TableCell>{r.cost.date ?? "—"}</TableCell>
+                                        <TableCell>{Number.isFinite(r.cost.sum) ? r.cost.sum : "—"}</TableCell>
+                                        <TableCell>{r.cost.currency}</TableCell>
+                                        <TableCell>{r.cost.category}</TableCell>
+                                        <TableCell>{r.cost.description}</TableCell>
+                                        <TableCell>{r.cost.tags.join(", ")}</TableCell>
+                                        <TableCell>{r.errors.join("; ")}</TableCell>
+                                    </TableRow>
+                                ))}
+                            </TableBody>
+                        </Table>
+
+                        {/* Write only the valid rows */}
+                        <Button
+                            variant="contained"
+                            onClick={() => runImport(false)}
+                            disabled={preview.valid === 0}
+                        >
+                            Import {preview.valid} valid rows
+                        </Button>
+                    </>
+                )}
+            </Paper>
+        </Container>
+    );
+}
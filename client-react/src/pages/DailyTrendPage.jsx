@@ -0,0 +1,244 @@
+// DailyTrendPage.jsx
+// Responsible for rendering how spending builds up day by day within a month (cumulative line),
+// next to the previous month and a straight-line pace to a monthly target
+
+// React hook for the page state
+import { useState } from "react";
+
+// Material UI components for layout and form controls
+import {
+    Container,
+    Paper,
+    Stack,
+    TextField,
+    Button,
+    Typography,
+    Alert
+} from "@mui/material";
+
+// Recharts components for line chart rendering
+import {
+    LineChart,
+    Line,
+    XAxis,
+    YAxis,
+    Tooltip,
+    Legend,
+    ResponsiveContainer,
+    CartesianGrid
+} from "recharts";
+
+// The database shared by all pages, and chart loading with stale-request protection
+import useCostsDb from "../hooks/useCostsDb";
+import useChartData from "../hooks/useChartData";
+
+// Notice shown when cached (offline) exchange rates were used
+import RatesNotice from "../components/RatesNotice";
+
+// Currency dropdown built from the active rates source
+import CurrencySelect from "../components/CurrencySelect";
+
+// Tag filter (tags in use + any/all)
+import TagFilter from "../components/TagFilter";
+
+// Formats numbers as "123.45 USD" (used for the tooltip and the totals)
+function formatMoney(value, currency) {
+    const num = Number(value);
+
+    // If value is not a number, return it as-is with currency suffix
+    if (Number.isNaN(num)) {
+        return `${value} ${currency}`;
+    }
+
+    // Always format to 2 decimals for financial display
+    return `${num.toFixed(2)} ${currency}`;
+}
+
+/*
+ * chartRows(series, target, today)
+ * Adds the pace line (target spread evenly over the month) to the loaded days,
+ * and stops this month's line at today when the month is still running.
+ */
+function chartRows(series, target, today) {
+    const lastDay = series.days.length;
+    const isCurrentMonth =
+        series.year === today.getFullYear() && series.month === today.getMonth() + 1;
+
+    return series.days.map((d) => ({
+        ...d,
+        cumulative: isCurrentMonth && d.day > today.getDate() ? null : d.cumulative,
+        pace: target > 0 ? Number(((target * d.day) / lastDay).toFixed(2)) : null
+    }));
+}
+
+// DailyTrendPage component – cumulative daily spending for a selected month/year/currency
+export default function DailyTrendPage() {
+    // Use current date as default selections
+    const now = new Date();
+
+    // The opened DB API object (getDailySeriesData, etc.) and the preferred currency
+    const { db, defaultCurrency } = useCostsDb();
+
+    // Controlled inputs for year, month, currency and the monthly target ("" = no pace line)
+    const [year, setYear] = useState(now.getFullYear());
+    const [month, setMonth] = useState(now.getMonth() + 1);
+    const [currency, setCurrency] = useState(defaultCurrency);
+    const [target, setTarget] = useState("");
+
+    // Tag filter: only costs with these tags (any / all of them) are counted
+    const [tags, setTags] = useState([]);
+    const [tagMatch, setTagMatch] = useState("any");
+
+    // Daily series, reloaded whenever year/month/currency/tag filter changes (like clicking "Show")
+    // (already converted to the selected currency; null until the first load finished)
+    const { data: series, error, reload } = useChartData(
+        (opened) =>
+            opened.getDailySeriesData(Number(year), Number(month), currency, { tags, tagMatch }),
+        [year, month, currency, tags, tagMatch]
+    );
+
+    // Rows of the chart (the pace line follows the target input without reloading)
+    const rows = series ? chartRows(series, Number(target), now) : [];
+    const shownCurrency = series?.total.currency ?? currency;
+
+    return (
+        // Page container with top margin
+        <Container sx={{ mt: 4 }}>
+            {/* Paper provides a card-like surface for the chart and controls */}
+            <Paper sx={{ p: 3 }}>
+                {/* Page title */}
+                <Typography variant="h5" sx={{ mb: 2 }}>
+                    Daily Spending Trend
+                </Typography>
+
+                {/* "Rates as of …" notice when cached rates were used */}
+                <RatesNotice info={series?.ratesInfo} />
+
+                {/* Show error only when a message exists */}
+                {error && (
+                    <Alert severity="error" sx={{ mb: 2 }}>
+                        {error}
+                    </Alert>
+                )}
+
+                {/* Controls row: year, month, currency, target, and optional manual refresh */}
+                <Stack
+                    direction={{ xs: "column", sm: "row" }}
+                    spacing={2}
+                    sx={{ mb: 2 }}
+                >
+                    {/* Year input */}
+                    <TextField
+                        label="Year"
+                        type="number"
+                        value={year}
+                        onChange={(event) => setYear(event.target.value)}
+                        fullWidth
+                    />
+
+                    {/* Month input (1..12) */}
+                    <TextField
+                        label="Month"
+                        type="number"
+                        value={month}
+                        onChange={(event) => setMonth(event.target.value)}
+                        inputProps={{ min: 1, max: 12 }}
+                        fullWidth
+                    />
+
+                    {/* Currency dropdown (currencies of the active rates source) */}
+                    <CurrencySelect db={db} value={currency} onChange={setCurrency} fullWidth />
+
+                    {/* Monthly target in the selected currency (draws the pace line) */}
+                    <TextField
+                        label="Target"
+                        type="number"
+                        value={target}
+                        onChange={(event) => setTarget(event.target.value)}
+                        inputProps={{ min: 0 }}
+                        helperText="Empty = no pace line"
+                        fullWidth
+                    />
+
+                    {/* Optional "Show" button (manual refresh) */}
+                    <Button variant="contained" onClick={reload}>
+                        Show
+                    </Button>
+                </Stack>
+
+                {/* Tag filter (the chart refreshes when it changes) */}
+                <TagFilter
+                    db={db}
+                    tags={tags}
+                    onTagsChange={setTags}
+                    match={tagMatch}
+                    onMatchChange={setTagMatch}
+                />
+
+                {/* Month totals: this month vs the previous one */}
+                {series && (
+                    <Typography variant="subtitle1" sx={{ mb: 1 }}>
+                        Total: {formatMoney(series.total.total, shownCurrency)} | Previous month:{" "}
+                        {formatMoney(series.previousTotal, shownCurrency)}
+                    </Typography>
+                )}
+
+                {/* Chart container with fixed height */}
+                <div style={{ width: "100%", height: 380 }}>
+                    <ResponsiveContainer>
+                        <LineChart data={rows} margin={{ top: 20, right: 20, left: 10, bottom: 5 }}>
+                            {/* Background grid for readability */}
+                            <CartesianGrid strokeDasharray="3 3" />
+
+                            {/* X axis: day of the month */}
+                            <XAxis dataKey="day" />
+
+                            {/* Y axis shows totals (rounded for display) */}
+                            <YAxis tickFormatter={(v) => Number(v).toFixed(0)} />
+
+                            {/* Tooltip shows the day + formatted money of every line */}
+                            <Tooltip
+                                labelFormatter={(day) => `Day ${day}`}
+                                formatter={(value) => formatMoney(value, shownCurrency)}
+                            />
+
+                            <Legend />
+
+                            {/* This month (stops at today while the month is running) */}
+                            <Line
+                                type="monotone"
+                                dataKey="cumulative"
+                                name="This month"
+                                stroke="#0088FE"
+                                strokeWidth={2}
+                                dot={false}
+                            />
+
+                            {/* Previous month on the same day */}
+                            <Line
+                                type="monotone"
+                                dataKey="previous"
+                                name="Previous month"
+                                stroke="#9e9e9e"
+                                strokeDasharray="5 5"
+                                dot={false}
+                            />
+
+                            {/* Straight-line pace to the target */}
+                            {Number(target) > 0 && (
+                                <Line
+                                    type="linear"
+                                    dataKey="pace"
+                                    name="Target pace"
+                                    stroke="#FF8042"
+                                    strokeDasharray="3 3"
+                                    dot={false}
+                                />
+                            )}
+                        </LineChart>
+                    </ResponsiveContainer>
+                </div>
+            </Paper>
+        </Container>
+    );
+}
@@ -1,8 +1,9 @@
 // PieChartPage.jsx
 // Responsible for rendering a monthly pie chart (by category) in a selected currency
+// Clicking a slice lists the cost items of that category (each one can be edited)
 
-// React hooks for state, side effects, and request-cancellation pattern
-import { useEffect, useRef, useState } from "react";
+// React hook for the page state
+import { useState } from "react";
 
 // Material UI components for layout and form controls
 import {
@@ -10,10 +11,11 @@ import {
     Paper,
     Stack,
     TextField,
-    MenuItem,
     Button,
     Typography,
-    Alert
+    Alert,
+    LinearProgress,
+    Divider
 } from "@mui/material";
 
 // Recharts components for pie chart rendering
@@ -26,27 +28,24 @@ import {
     ResponsiveContainer
 } from "recharts";
 
-// IndexedDB API wrapper (our project DB layer)
-import { openCostsDB } from "../lib/idb";
-
-// Supported currencies for the project
-const currencies = ["USD", "ILS", "GBP", "EURO"];
-
-// Pie slice colors (cycled if there are more categories than colors)
-const COLORS = [
-    "#0088FE",
-    "#00C49F",
-    "#FFBB28",
-    "#FF8042",
-    "#A78BFA",
-    "#F472B6",
-    "#34D399",
-    "#F87171",
-    "#60A5FA",
-    "#F59E0B",
-    "#10B981",
-    "#EF4444"
-];
+// The database shared by all pages, and chart loading with stale-request protection
+import useCostsDb from "../hooks/useCostsDb";
+import useChartData from "../hooks/useChartData";
+
+// Readable messages for typed rates errors (invalid payload, unknown currency)
+import { errorMessage } from "../lib/errors";
+
+// Notice shown when cached (offline) exchange rates were used
+import RatesNotice from "../components/RatesNotice";
+
+// Currency dropdown built from the active rates source
+import CurrencySelect from "../components/CurrencySelect";
+
+// Tag filter (tags in use + any/all)
+import TagFilter from "../components/TagFilter";
+
+// Dialog for editing a cost item of the selected slice
+import EditCostDialog from "../components/EditCostDialog";
 
 // Formats numbers as "123.45 USD" (used for labels + tooltip)
 function formatMoney(value, currency) {
@@ -66,104 +65,81 @@ export default function PieChartPage() {
     // Use current date as default selections
     const now = new Date();
 
-    // Holds the opened DB API object (getPieChartData, etc.)
-    const [db, setDb] = useState(null);
+    // The opened DB API object (getPieChartData, etc.) and the preferred currency
+    const { db, defaultCurrency } = useCostsDb();
 
     // Controlled inputs for year, month, and currency selection
     const [year, setYear] = useState(now.getFullYear());
     const [month, setMonth] = useState(now.getMonth() + 1);
-    const [currency, setCurrency] = useState("USD");
-
-    // Data shown in the pie (entries: { name: category, value: sum })
-    const [data, setData] = useState([]);
+    const [currency, setCurrency] = useState(defaultCurrency);
 
-    // Status message shown to the user (error only here)
+    // Status message shown to the user (slice / edit errors)
     const [status, setStatus] = useState({ type: "", msg: "" });
 
-    // Request id guard – prevents “old responses” from overriding new state
-    const reqIdRef = useRef(0);
-
-    // Open the database once when the component is mounted
-    useEffect(() => {
-        // "alive" prevents setting state after unmount (avoids React warnings)
-        let alive = true;
-
-        // Use an IIFE to allow async/await inside useEffect
-        (async () => {
-            try {
-                // Open (or create/upgrade) IndexedDB
-                const opened = await openCostsDB("costsdb", 1);
-
-                // Update state only if the component is still mounted
-                if (alive) {
-                    setDb(opened);
-                }
-            } catch (e) {
-                // Show an error message if DB failed to open
-                if (alive) {
-                    setStatus({ type: "error", msg: e.message });
-                }
-            }
-        })();
-
-        // Cleanup runs when the component unmounts
-        return () => {
-            alive = false;
-        };
-    }, []);
-
-    // Loads pie chart data for a given year + month + currency
-    async function loadPie(selectedYear, selectedMonth, selectedCurrency) {
-        // Do nothing until DB is ready
-        if (!db) {
-            return;
-        }
+    // Tag filter: only costs with these tags (any / all of them) are counted
+    const [tags, setTags] = useState([]);
+    const [tagMatch, setTagMatch] = useState("any");
+
+    // Items of the clicked slice ({ category, costs, total, inputs }, null when no slice is open)
+    const [slice, setSlice] = useState(null);
+
+    // Cost item of the slice being edited (null when none)
+    const [editing, setEditing] = useState(null);
+
+    // Pie data, reloaded whenever year/month/currency/tag filter changes (like clicking "Show")
+    const pie = useChartData(
+        async (opened) => ({
+            // Entries: { name: category, value: sum } – already converted to selected currency
+            entries: await opened.getPieChartData(Number(year), Number(month), currency, {
+                tags,
+                tagMatch
+            }),
+            // Where the exchange rates of the shown data came from (cached or fresh)
+            ratesInfo: opened.getRatesInfo()
+        }),
+        [year, month, currency, tags, tagMatch]
+    );
+    const data = pie.data?.entries ?? [];
 
-        // Increase request id to invalidate any previous pending request
-        const myReqId = ++reqIdRef.current;
+    // Only categories with spending get a slice (budget-only entries have value 0)
+    const slices = data.filter((entry) => entry.value > 0);
 
-        // Clear previous status message
+    // The slice list belongs to the inputs it was loaded with – new inputs hide it
+    const inputs = JSON.stringify([year, month, currency, tags, tagMatch]);
+    const shownSlice = slice?.inputs === inputs ? slice : null;
+
+    // Load the cost items behind one slice (same month, currency and tag filter as the pie)
+    async function openSlice(category) {
         setStatus({ type: "", msg: "" });
 
         try {
-            // Request pie data from DB layer (already converted to selected currency)
-            const res = await db.getPieChartData(
-                Number(selectedYear),
-                Number(selectedMonth),
-                selectedCurrency
-            );
-
-            // If a newer request was made, ignore this response
-            if (myReqId !== reqIdRef.current) {
-                return;
-            }
-
-            // Update chart data (fallback to [] if null/undefined)
-            setData(res || []);
+            const res = await db.getPieSliceCosts(Number(year), Number(month), category, currency, {
+                tags,
+                tagMatch
+            });
+            setSlice({ ...res, inputs });
         } catch (e) {
-            // If a newer request was made, ignore this error
-            if (myReqId !== reqIdRef.current) {
-                return;
-            }
-
-            // Reset data and show error message
-            setData([]);
-            setStatus({ type: "error", msg: e.message });
+            setStatus({ type: "error", msg: errorMessage(e) });
         }
     }
 
-    // Auto-refresh the chart whenever DB/year/month/currency changes (like clicking "Show")
-    useEffect(() => {
-        // Wait until DB is ready
-        if (!db) {
+    // Save changes made in the edit dialog, then refresh the pie and the open slice
+    async function handleSaveEdit(patch) {
+        const id = editing.id;
+        const category = shownSlice.category;
+        setEditing(null);
+
+        try {
+            // Update the stored (original currency) cost item
+            await db.updateCost(id, patch);
+        } catch (e) {
+            setStatus({ type: "error", msg: errorMessage(e) });
             return;
         }
 
-        // Load chart data based on current selections
-        loadPie(year, month, currency);
-
-        // eslint-disable-next-line react-hooks/exhaustive-deps
-    }, [db, year, month, currency]);
+        await pie.reload();
+        await openSlice(category);
+    }
 
     return (
         // Page container with top margin
@@ -175,10 +151,13 @@ export default function PieChartPage() {
                     Pie Chart by Category
                 </Typography>
 
-                {/* Show error only when a message exists */}
-                {status.msg && (
+                {/* "Rates as of …" notice when cached rates were used */}
+                <RatesNotice info={pie.data?.ratesInfo} />
+
+                {/* Show errors only when a message exists (loading the pie / a slice / saving) */}
+                {(pie.error || status.msg) && (
                     <Alert severity="error" sx={{ mb: 2 }}>
-                        {status.msg}
+                        {pie.error || status.msg}
                     </Alert>
                 )}
 
@@ -207,33 +186,26 @@ export default function PieChartPage() {
                         fullWidth
                     />
 
-                    {/* Currency dropdown (supported currencies only) */}
-                    <TextField
-                        select
-                        label="Currency"
-                        value={currency}
-                        onChange={(event) => setCurrency(event.target.value)}
-                        fullWidth
-                    >
-                        {currencies.map((cur) => (
-                            <MenuItem key={cur} value={cur}>
-                                {cur}
-                            </MenuItem>
-                        ))}
-                    </TextField>
+                    {/* Currency dropdown (currencies of the active rates source) */}
+                    <CurrencySelect db={db} value={currency} onChange={setCurrency} fullWidth />
 
                     {/* Optional "Show" button (manual refresh) */}
-                    <Button
-                        variant="contained"
-                        onClick={() => loadPie(year, month, currency)}
-                        disabled={!db}
-                    >
+                    <Button variant="contained" onClick={pie.reload}>
                         Show
                     </Button>
                 </Stack>
 
+                {/* Tag filter (the chart refreshes when it changes) */}
+                <TagFilter
+                    db={db}
+                    tags={tags}
+                    onTagsChange={setTags}
+                    match={tagMatch}
+                    onMatchChange={setTagMatch}
+                />
+
                 {/* If there is no data, show a simple message instead of an empty chart */}
-                {data.length === 0 ? (
+                {slices.length === 0 ? (
                     <Typography>No data for this month.</Typography>
                 ) : (
                     <div style={{ width: "100%", height: 380 }}>
@@ -241,20 +213,20 @@ export default function PieChartPage() {
                             <PieChart>
                                 {/* Pie chart by category (value is already in selected currency) */}
                                 <Pie
-                                    data={data}
+                                    data={slices}
                                     dataKey="value"
                                     nameKey="name"
                                     outerRadius={125}
                                     labelLine={false}
                                     // Show the money value directly on each slice
                                     label={({ value }) => formatMoney(value, currency)}
+                                    // Clicking a slice lists its cost items below the chart
+                                    onClick={(entry) => openSlice(entry.name)}
+                                    style={{ cursor: "pointer" }}
                                 >
-                                    {/* Color each slice */}
-                                    {data.map((_, index) => (
-                                        <Cell
-                                            key={`cell-${index}`}
-                                            fill={COLORS[index % COLORS.length]}
-                                        />
+                                    {/* Color each slice with its category's stored colour */}
+                                    {slices.map((entry) => (
+                                        <Cell key={`cell-${entry.name}`} fill={entry.color} />
                                     ))}
                                 </Pie>
 
@@ -274,7 +246,92 @@ export default function PieChartPage() {
                         </ResponsiveContainer>
                     </div>
                 )}
+
+                {/* Cost items of the clicked slice: original and converted amounts */}
+                {shownSlice && (
+                    <Paper variant="outlined" sx={{ mt: 3, p: 2, textAlign: "left" }}>
+                        <Stack direction="row" sx={{ alignItems: "center", justifyContent: "space-between" }}>
+                            <Typography variant="h6">
+                                {shownSlice.category}:{" "}
+                                {formatMoney(shownSlice.total.total, shownSlice.total.currency)}
+                            </Typography>
+                            <Button size="small" onClick={() => setSlice(null)}>
+                                Close
+                            </Button>
+                        </Stack>
+
+                        <Divider sx={{ my: 1 }} />
+
+                        {shownSlice.costs.length === 0 ? (
+                            <Typography>No cost items left in this category.</Typography>
+                        ) : (
+                            <Stack spacing={1}>
+                                {shownSlice.costs.map((costItem) => (
+                                    <Stack
+                                        key={costItem.id}
+                                        direction="row"
+                                        spacing={2}
+                                        sx={{ alignItems: "center", justifyContent: "space-between" }}
+                                    >
+                                        {/* Day + description */}
+                                        <Typography variant="body2" sx={{ flex: 1 }}>
+                                            Day {costItem.Date.day} — {costItem.description}
+                                        </Typography>
+
+                                        {/* Original amount → converted amount */}
+                                        <Typography variant="body2">
+                                            {formatMoney(costItem.original.sum, costItem.original.currency)}
+                                            {costItem.original.currency !== costItem.currency &&
+                                                ` → ${formatMoney(costItem.sum, costItem.currency)}`}
+                                        </Typography>
+
+                                        <Button size="small" onClick={() => setEditing(costItem)}>
+                                            Edit
+                                        </Button>
+                                    </Stack>
+                                ))}
+                            </Stack>
+                        )}
+                    </Paper>
+                )}
+
+                {/* Budget usage for every category that has a budget */}
+                {data.some((entry) => entry.budget !== null) && (
+                    <Stack spacing={1.5} sx={{ mt: 3, textAlign: "left" }}>
+                        <Typography variant="h6">Budgets</Typography>
+
+                        {data
+                            .filter((entry) => entry.budget !== null)
+                            .map((entry) => (
+                                <div key={entry.name}>
+                                    {/* Category: spent / budget (percent used) */}
+                                    <Typography variant="body2">
+                                        <b>{entry.name}</b>: {formatMoney(entry.value, currency)} of{" "}
+                                        {formatMoney(entry.budget, currency)} ({entry.usedPercent}%)
+                                    </Typography>
+
+                                    {/* Progress bar turns red when the budget is exceeded */}
+                                    <LinearProgress
+                                        variant="determinate"
+                                        value={Math.min(entry.usedPercent ?? 0, 100)}
+                                        color={entry.value > entry.budget ? "error" : "primary"}
+                                    />
+                                </div>
+                            ))}
+                    </Stack>
+                )}
             </Paper>
+
+            {/* Edit dialog (key resets the form for every item) */}
+            {editing && (
+                <EditCostDialog
+                    key={editing.id}
+                    db={db}
+                    cost={editing}
+                    onSave={handleSaveEdit}
+                    onCancel={() => setEditing(null)}
+                />
+            )}
         </Container>
     );
 }
@@ -0,0 +1,303 @@
+// RecurringPage.jsx
+// Responsible for managing recurring cost rules (rent, subscriptions, ...):
+// adding a rule, pausing/resuming it and deleting it
+
+// React hooks for managing component state and side effects
+import { useEffect, useState } from "react";
+
+// Material UI components for layout and form UI
+import {
+    Container,
+    Paper,
+    Stack,
+    TextField,
+    MenuItem,
+    Button,
+    Typography,
+    Alert,
+    Divider,
+    Chip
+} from "@mui/material";
+
+// The database shared by all pages (opened once in App.jsx)
+import useCostsDb from "../hooks/useCostsDb";
+
+// Supported schedule frequencies
+import { FREQUENCIES } from "../lib/recurrence";
+
+// Dialog for confirming deletion of a rule
+import ConfirmDialog from "../components/ConfirmDialog";
+
+// Currency dropdown built from the active rates source
+import CurrencySelect from "../components/CurrencySelect";
+
+// Category autocomplete over the stored categories
+import CategoryPicker from "../components/CategoryPicker";
+
+// RecurringPage component – lists recurring rules and allows adding new ones
+export default function RecurringPage() {
+    // The opened DB API object (addRecurring, listRecurring, etc.) and the preferred currency
+    const { db, defaultCurrency } = useCostsDb();
+
+    // All recurring rules (loaded from the DB)
+    const [rules, setRules] = useState([]);
+
+    // Controlled inputs for the "new rule" form
+    const [sum, setSum] = useState("");
+    const [currency, setCurrency] = useState(defaultCurrency);
+    const [category, setCategory] = useState("");
+    const [description, setDescription] = useState("");
+    const [frequency, setFrequency] = useState("monthly");
+    const [startDate, setStartDate] = useState("");
+    const [endDate, setEndDate] = useState("");
+
+    // Rule waiting for delete confirmation (null when none)
+    const [deleting, setDeleting] = useState(null);
+
+    // Status message shown to the user (success / error)
+    const [status, setStatus] = useState({ type: "", msg: "" });
+
+    // Load the rules once when the component is mounted
+    // (occurrences that came due were generated when the database was opened)
+    useEffect(() => {
+        // "alive" prevents setting state after unmount (avoids React warnings)
+        let alive = true;
+
+        db.listRecurring()
+            .then((list) => {
+                if (alive) {
+                    setRules(list);
+                }
+            })
+            .catch((e) => {
+                if (alive) {
+                    setStatus({ type: "error", msg: e.message });
+                }
+            });
+
+        // Cleanup runs when the component unmounts
+        return () => {
+            alive = false;
+        };
+    }, [db]);
+
+    // Reload the rules list after a change
+    async function reloadRules() {
+        setRules(await db.listRecurring());
+    }
+
+    // Handle form submit (validate inputs, then call db.addRecurring)
+    async function handleSubmit(e) {
+        // Prevent the browser from reloading the page on submit
+        e.preventDefault();
+
+        // Clear previous status message
+        setStatus({ type: "", msg: "" });
+
+        try {
+            // Save the rule (idb.js validates it and creates occurrences that are already due)
+            await db.addRecurring({
+                sum: Number(sum),
+                currency,
+                category,
+                description,
+                frequency,
+                startDate: startDate || undefined,
+                endDate: endDate || undefined
+            });
+
+            // Notify the user and reset the form
+            setStatus({ type: "success", msg: "Recurring cost added." });
+            setSum("");
+            setDescription("");
+            setEndDate("");
+
+            await reloadRules();
+        } catch (e2) {
+            // Show validation / DB errors to the user
+            setStatus({ type: "error", msg: e2.message });
+        }
+    }
+
+    // Pause or resume a rule
+    async function handleTogglePause(rule) {
+        setStatus({ type: "", msg: "" });
+
+        try {
+            await db.pauseRecurring(rule.id, !rule.paused);
+            await reloadRules();
+        } catch (e) {
+            setStatus({ type: "error", msg: e.message });
+        }
+    }
+
+    // Delete the rule after the user confirmed it
+    async function handleConfirmDelete() {
+        const id = deleting.id;
+        setDeleting(null);
+
+        try {
+            await db.deleteRecurring(id);
+            setStatus({ type: "success", msg: "Recurring cost deleted." });
+            await reloadRules();
+        } catch (e) {
+            setStatus({ type: "error", msg: e.message });
+        }
+    }
+
+    return (
+        // Page container with top margin
+        <Container sx={{ mt: 4 }}>
+            {/* Paper provides a card-like surface for the form and the list */}
+            <Paper sx={{ p: 3 }}>
+                {/* Page title */}
+                <Typography variant="h5" sx={{ mb: 2 }}>
+                    Recurring Costs
+                </Typography>
+
+                {/* Show success/error status message only when it exists */}
+                {status.msg && (
+                    <Alert
+                        severity={status.type === "error" ? "error" : "success"}
+                        sx={{ mb: 2 }}
+                    >
+                        {status.msg}
+                    </Alert>
+                )}
+
+                {/* New rule form */}
+                <form onSubmit={handleSubmit}>
+                    <Stack spacing={2}>
+                        {/* Sum + currency */}
+                        <Stack direction={{ xs: "column", sm: "row" }} spacing={2}>
+                            <TextField
+                                label="Sum"
+                                value={sum}
+                                onChange={(event) => setSum(event.target.value)}
+                                type="number"
+                                inputProps={{ step: "0.01" }}
+                                required
+                                fullWidth
+                            />
+                            <CurrencySelect db={db} value={currency} onChange={setCurrency} fullWidth />
+                        </Stack>
+
+                        {/* Category + description */}
+                        <Stack direction={{ xs: "column", sm: "row" }} spacing={2}>
+                            <CategoryPicker
+                                db={db}
+                                value={category}
+                                onChange={setCategory}
+                                required
+                                fullWidth
+                            />
+                            <TextField
+                                label="Description"
+                                value={description}
+                                onChange={(event) => setDescription(event.target.value)}
+                                required
+                                fullWidth
+                            />
+                        </Stack>
+
+                        {/* Schedule: frequency, start date (default today), optional end date */}
+                        <Stack direction={{ xs: "column", sm: "row" }} spacing={2}>
+                            <TextField
+                                select
+                                label="Frequency"
+                                value={frequency}
+                                onChange={(event) => setFrequency(event.target.value)}
+                                fullWidth
+                            >
+                                {FREQUENCIES.map((f) => (
+                                    <MenuItem key={f} value={f}>
+                                        {f}
+                                    </MenuItem>
+                                ))}
+                            </TextField>
+                            <TextField
+                                label="Start date"
+                                type="date"
+                                value={startDate}
+                                onChange={(event) => setStartDate(event.target.value)}
+                                InputLabelProps={{ shrink: true }}
+                                helperText="Empty = today"
+                                fullWidth
+                            />
+                            <TextField
+                                label="End date"
+                                type="date"
+                                value={endDate}
+                                onChange={(event) => setEndDate(event.target.value)}
+                                InputLabelProps={{ shrink: true }}
+                                helperText="Optional"
+                                fullWidth
+                            />
+                        </Stack>
+
+                        {/* Submit button */}
+                        <Button type="submit" variant="contained">
+                            Add Recurring Cost
+                        </Button>
+                    </Stack>
+                </form>
+
+                {/* Visual separator between the form and the list */}
+                <Divider sx={{ my: 2 }} />
+
+                {/* List of existing rules */}
+                <Stack spacing={1}>
+                    {rules.length === 0 ? (
+                        <Typography>No recurring costs yet.</Typography>
+                    ) : (
+                        rules.map((rule) => (
+                            // One “card” per rule
+                            <Paper key={rule.id} variant="outlined" sx={{ p: 1.5 }}>
+                                {/* Main line: category + description + state */}
+                                <Typography>
+                                    <b>{rule.category}</b> — {rule.description}{" "}
+                                    {rule.paused && <Chip size="small" label="paused" />}
+                                </Typography>
+
+                                {/* Secondary line: sum, schedule and next due date */}
+                                <Typography variant="body2">
+                                    {rule.sum} {rule.currency} | {rule.frequency} from{" "}
+                                    {rule.startDate}
+                                    {rule.endDate ? ` until ${rule.endDate}` : ""} | Next:{" "}
+                                    {rule.paused ? "—" : rule.nextDate ?? "ended"}
+                                </Typography>
+
+                                {/* Actions: pause/resume or delete this rule */}
+                                <Stack direction="row" spacing={1} sx={{ mt: 1, justifyContent: "center" }}>
+                                    <Button size="small" onClick={() => handleTogglePause(rule)}>
+                                        {rule.paused ? "Resume" : "Pause"}
+                                    </Button>
+                                    <Button
+                                        size="small"
+                                        color="error"
+                                        onClick={() => setDeleting(rule)}
+                                    >
+                                        Delete
+                                    </Button>
+                                </Stack>
+                            </Paper>
+                        ))
+                    )}
+                </Stack>
+            </Paper>
+
+            {/* Delete confirmation dialog */}
+            <ConfirmDialog
+                open={Boolean(deleting)}
+                title="Delete recurring cost?"
+                message={
+                    deleting
+                        ? `"${deleting.description}" will stop repeating. Costs already added are kept.`
+                        : ""
+                }
+                onConfirm={handleConfirmDelete}
+                onCancel={() => setDeleting(null)}
+            />
+        </Container>
+    );
+}
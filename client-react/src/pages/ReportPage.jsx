@@ -1,8 +1,10 @@
 // ReportPage.jsx
-// Responsible for fetching and displaying a detailed monthly report (list of costs + total)
+// Responsible for fetching and displaying a detailed report (list of costs + total)
+// for one month or for any date range (with monthly and category subtotals)
+// Each cost item can also be edited or deleted from here
 
-// React hooks for component state and side effects
-import { useEffect, useState } from "react";
+// React hook for component state
+import { useState } from "react";
 
 // Material UI components for layout and UI elements
 import {
@@ -14,19 +16,55 @@ import {
     Button,
     Typography,
     Alert,
-    Divider
+    Divider,
+    Chip
 } from "@mui/material";
 
-// IndexedDB API wrapper (our project DB layer)
-import { openCostsDB } from "../lib/idb";
+// The database shared by all pages, and report loading with stale-request protection
+import useCostsDb from "../hooks/useCostsDb";
+import useReport from "../hooks/useReport";
 
-// Supported currencies for the project
-const currencies = ["USD", "ILS", "GBP", "EURO"];
+// Readable messages for typed rates errors (invalid payload, unknown currency)
+import { errorMessage } from "../lib/errors";
 
-// ReportPage component – displays a monthly report in a selected currency
+// Dialogs for editing a cost item and confirming its deletion
+import EditCostDialog from "../components/EditCostDialog";
+import ConfirmDialog from "../components/ConfirmDialog";
+
+// Notice shown when cached (offline) exchange rates were used
+import RatesNotice from "../components/RatesNotice";
+
+// Currency dropdown built from the active rates source
+import CurrencySelect from "../components/CurrencySelect";
+
+// Tag filter (tags in use + any/all)
+import TagFilter from "../components/TagFilter";
+
+// Search / filter / sort of the loaded items
+import { DEFAULT_REPORT_FILTER, REPORT_SORTS, filterCosts, totalOf } from "../lib/reportFilter";
+
+// useState kept in sessionStorage (filters survive leaving the page)
+import usePersistentState from "../hooks/usePersistentState";
+
+// Preset ranges of the date-range picker ("this quarter", "last 90 days", ...)
+import { RANGE_PRESETS, presetRange } from "../lib/dateRanges";
+
+// "YYYY-MM-DD" of a { year, month, day } date
+import { toIsoDate } from "../lib/recurrence";
+
+// Month names for the monthly subtotals
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+// Default range picker state: a preset (recomputed when the report is fetched) or "custom"
+const DEFAULT_RANGE = { preset: "this-quarter", ...presetRange("this-quarter") };
+
+// ReportPage component – displays a monthly or date-range report in a selected currency
 export default function ReportPage() {
-    // Holds the opened DB API object (getReport, etc.)
-    const [db, setDb] = useState(null);
+    // The opened DB API object (getReport, etc.), the preferred currency and the active ledger
+    const { db, defaultCurrency, activeLedgerId } = useCostsDb();
+
+    // Saved filters belong to the ledger they were set in (the page remounts on a switch)
+    const keyOf = (name) => `reportPage.${activeLedgerId}.${name}`;
 
     // Status message shown to the user (success / error)
     const [status, setStatus] = useState({ type: "", msg: "" });
@@ -37,65 +75,111 @@ export default function ReportPage() {
     // Controlled inputs for year/month/currency
     const [year, setYear] = useState(now.getFullYear());
     const [month, setMonth] = useState(now.getMonth() + 1);
-    const [currency, setCurrency] = useState("USD");
+    const [currency, setCurrency] = useState(defaultCurrency);
 
-    // Holds the loaded report object (null until "Get Report" is clicked)
-    const [report, setReport] = useState(null);
+    // Report period: one "month" (year + month inputs) or a date "range"
+    const [period, setPeriod] = usePersistentState(keyOf("period"), "month");
+    const [range, setRange] = usePersistentState(keyOf("range"), DEFAULT_RANGE);
 
-    // Open the database once when the component is mounted
-    useEffect(() => {
-        // "alive" prevents setting state after unmount (avoids React warnings)
-        let alive = true;
+    // Which rate converts each cost: today's ("current") or the one of its date ("purchase")
+    const [rateMode, setRateMode] = useState("current");
 
-        // Use an IIFE to allow async/await inside useEffect
-        (async () => {
-            try {
-                // Open (or create/upgrade) IndexedDB
-                const opened = await openCostsDB("costsdb", 1);
+    // Tag filter: only costs with these tags (any / all of them) are listed
+    const [tags, setTags] = usePersistentState(keyOf("tags"), []);
+    const [tagMatch, setTagMatch] = usePersistentState(keyOf("tagMatch"), "any");
 
-                // Update state only if the component is still mounted
-                if (alive) {
-                    setDb(opened);
-                }
-            } catch (e) {
-                // Show an error message if DB failed to open
-                if (alive) {
-                    setStatus({ type: "error", msg: e.message });
-                }
-            }
-        })();
+    // Search / filter / sort of the loaded items (see lib/reportFilter.js)
+    const [filter, setFilter] = usePersistentState(keyOf("filter"), DEFAULT_REPORT_FILTER);
+
+    // The loaded report (null until "Get Report" is clicked), its load error and (re)loading
+    const { report, error: reportError, load: loadReport, reload: reloadReport } = useReport();
 
-        // Cleanup runs when the component unmounts
-        return () => {
-            alive = false;
-        };
-    }, []);
+    // Cost item currently being edited / waiting for delete confirmation (null when none)
+    const [editing, setEditing] = useState(null);
+    const [deleting, setDeleting] = useState(null);
 
     // Fetch report from DB layer based on current input values
     async function handleGetReport() {
-        // Clear previous status and previous report
+        // Clear previous status (the previous report is cleared by the hook)
         setStatus({ type: "", msg: "" });
-        setReport(null);
 
-        // Ensure DB is ready before requesting the report
-        if (!db) {
-            setStatus({ type: "error", msg: "DB not ready yet." });
-            return;
+        // Request the report in the selected currency
+        const options = { rateMode, tags, tagMatch };
+        let query;
+        if (period === "range") {
+            // A preset is resolved against today's date, so "last 90 days" stays current
+            const { from, to } = range.preset === "custom" ? range : presetRange(range.preset);
+            query = { from, to, currency, options };
+        } else {
+            query = { year: Number(year), month: Number(month), currency, options };
+        }
+
+        // Notify success (errors are shown from the hook; a newer request wins silently)
+        if (await loadReport(query)) {
+            setStatus({ type: "success", msg: "Report loaded." });
+        }
+    }
+
+    // Re-fetch the currently shown report (after an item was edited or deleted)
+    async function refreshReport(successMsg) {
+        // The hook reuses the query of the shown report, not the (possibly changed) inputs
+        if (await reloadReport()) {
+            setStatus({ type: "success", msg: successMsg });
         }
+    }
+
+    // Save changes made in the edit dialog
+    async function handleSaveEdit(patch) {
+        const id = editing.id;
+        setEditing(null);
 
         try {
-            // Request the report in the selected currency
-            const r = await db.getReport(Number(year), Number(month), currency);
+            // Update the stored (original currency) cost item
+            await db.updateCost(id, patch);
+        } catch (e) {
+            setStatus({ type: "error", msg: errorMessage(e) });
+            return;
+        }
 
-            // Save the report into state so UI can render it
-            setReport(r);
+        await refreshReport("Cost item updated.");
+    }
 
-            // Notify success
-            setStatus({ type: "success", msg: "Report loaded." });
+    // Pick a range preset (fills the date fields) or go back to "custom"
+    function handlePresetChange(preset) {
+        setRange((r) => (preset === "custom" ? { ...r, preset } : { preset, ...presetRange(preset) }));
+    }
+
+    // Editing a date by hand turns the range into a custom one
+    function handleRangeDateChange(field, value) {
+        setRange((r) => ({ ...r, preset: "custom", [field]: value }));
+    }
+
+    // Change one field of the search / filter / sort state
+    function updateFilter(field, value) {
+        setFilter((f) => ({ ...f, [field]: value }));
+    }
+
+    // Items after search / filters / sort, and the choices of the filter selects
+    const shownCosts = report ? filterCosts(report.costs, filter) : [];
+    const reportCategories = report ? [...new Set(report.costs.map((c) => c.category))].sort() : [];
+    const reportCurrencies = report
+        ? [...new Set(report.costs.map((c) => c.original.currency))].sort()
+        : [];
+
+    // Delete the item after the user confirmed it
+    async function handleConfirmDelete() {
+        const id = deleting.id;
+        setDeleting(null);
+
+        try {
+            // Remove the cost item from IndexedDB
+            await db.deleteCost(id);
         } catch (e) {
-            // Show any DB error to the user
-            setStatus({ type: "error", msg: e.message });
+            setStatus({ type: "error", msg: errorMessage(e) });
+            return;
         }
+
+        await refreshReport("Cost item deleted.");
     }
 
     return (
@@ -105,94 +189,306 @@ export default function ReportPage() {
             <Paper sx={{ p: 3 }}>
                 {/* Page title */}
                 <Typography variant="h5" sx={{ mb: 2 }}>
-                    Monthly Report
+                    Report
                 </Typography>
 
+                {/* "Rates as of …" notice when the report used cached rates */}
+                <RatesNotice info={report?.ratesInfo} />
+
                 {/* Show success/error status message only when it exists */}
-                {status.msg && (
+                {(reportError || status.msg) && (
                     <Alert
-                        severity={status.type === "error" ? "error" : "success"}
+                        severity={reportError || status.type === "error" ? "error" : "success"}
                         sx={{ mb: 2 }}
                     >
-                        {status.msg}
+                        {reportError || status.msg}
                     </Alert>
                 )}
 
-                {/* Controls row: year, month, currency, and fetch button */}
+                {/* Controls row: period, currency, and fetch button */}
                 <Stack
                     direction={{ xs: "column", sm: "row" }}
                     spacing={2}
                     sx={{ mb: 2 }}
                 >
-                    {/* Year input */}
+                    {/* Period: a single month or a date range */}
                     <TextField
-                        label="Year"
-                        type="number"
-                        value={year}
-                        onChange={(event) => setYear(event.target.value)}
+                        select
+                        label="Period"
+                        value={period}
+                        onChange={(event) => setPeriod(event.target.value)}
                         fullWidth
-                    />
+                    >
+                        <MenuItem value="month">Month</MenuItem>
+                        <MenuItem value="range">Date range</MenuItem>
+                    </TextField>
 
-                    {/* Month input (1..12) */}
-                    <TextField
-                        label="Month"
-                        type="number"
-                        value={month}
-                        onChange={(event) => setMonth(event.target.value)}
-                        inputProps={{ min: 1, max: 12 }}
-                        fullWidth
-                    />
+                    {period === "range" ? (
+                        <>
+                            {/* Preset ranges (or custom dates) */}
+                            <TextField
+                                select
+                                label="Range"
+                                value={range.preset}
+                                onChange={(event) => handlePresetChange(event.target.value)}
+                                fullWidth
+                            >
+                                {RANGE_PRESETS.map((option) => (
+                                    <MenuItem key={option.value} value={option.value}>
+                                        {option.label}
+                                    </MenuItem>
+                                ))}
+                                <MenuItem value="custom">Custom</MenuItem>
+                            </TextField>
+
+                            {/* Inclusive start and end dates */}
+                            <TextField
+                                label="From"
+                                type="date"
+                                value={range.from}
+                                onChange={(event) => handleRangeDateChange("from", event.target.value)}
+                                InputLabelProps={{ shrink: true }}
+                                fullWidth
+                            />
+                            <TextField
+                                label="To"
+                                type="date"
+                                value={range.to}
+                                onChange={(event) => handleRangeDateChange("to", event.target.value)}
+                                InputLabelProps={{ shrink: true }}
+                                fullWidth
+                            />
+                        </>
+                    ) : (
+                        <>
+                            {/* Year input */}
+                            <TextField
+                                label="Year"
+                                type="number"
+                                value={year}
+                                onChange={(event) => setYear(event.target.value)}
+                                fullWidth
+                            />
+
+                            {/* Month input (1..12) */}
+                            <TextField
+                                label="Month"
+                                type="number"
+                                value={month}
+                                onChange={(event) => setMonth(event.target.value)}
+                                inputProps={{ min: 1, max: 12 }}
+                                fullWidth
+                            />
+                        </>
+                    )}
+
+                    {/* Currency dropdown (currencies of the active rates source) */}
+                    <CurrencySelect db={db} value={currency} onChange={setCurrency} fullWidth />
 
-                    {/* Currency dropdown (supported currencies only) */}
+                    {/* Rate mode: today's rate or the rate at the purchase date */}
                     <TextField
                         select
-                        label="Currency"
-                        value={currency}
-                        onChange={(event) => setCurrency(event.target.value)}
+                        label="Rate"
+                        value={rateMode}
+                        onChange={(event) => setRateMode(event.target.value)}
                         fullWidth
                     >
-                        {currencies.map((cur) => (
-                            <MenuItem key={cur} value={cur}>
-                                {cur}
-                            </MenuItem>
-                        ))}
+                        <MenuItem value="current">Current rate</MenuItem>
+                        <MenuItem value="purchase">Rate at purchase date</MenuItem>
                     </TextField>
 
                     {/* Manual fetch button */}
-                    <Button variant="contained" onClick={handleGetReport} disabled={!db}>
+                    <Button variant="contained" onClick={handleGetReport}>
                         Get Report
                     </Button>
                 </Stack>
 
+                {/* Tag filter (applied with "Get Report") */}
+                <TagFilter
+                    db={db}
+                    tags={tags}
+                    onTagsChange={setTags}
+                    match={tagMatch}
+                    onMatchChange={setTagMatch}
+                />
+
                 {/* Visual separator between controls and report results */}
                 <Divider sx={{ my: 2 }} />
 
                 {/* Render report only after it was loaded */}
                 {report ? (
                     <div>
-                        {/* Report total (already in selected currency) */}
+                        {/* Search, filters and sort over the loaded items */}
+                        <Stack direction={{ xs: "column", md: "row" }} spacing={2} sx={{ mb: 2 }}>
+                            <TextField
+                                label="Search"
+                                placeholder="Description or category"
+                                value={filter.search}
+                                onChange={(event) => updateFilter("search", event.target.value)}
+                                fullWidth
+                            />
+                            <TextField
+                                select
+                                label="Category"
+                                value={filter.category}
+                                onChange={(event) => updateFilter("category", event.target.value)}
+                                sx={{ minWidth: 140 }}
+                            >
+                                <MenuItem value="">All</MenuItem>
+                                {/* Keep a remembered choice selectable even if this report lacks it */}
+                                {[...new Set([...reportCategories, filter.category])]
+                                    .filter(Boolean)
+                                    .map((cat) => (
+                                        <MenuItem key={cat} value={cat}>
+                                            {cat}
+                                        </MenuItem>
+                                    ))}
+                            </TextField>
+                            <TextField
+                                select
+                                label="Paid in"
+                                value={filter.currency}
+                                onChange={(event) => updateFilter("currency", event.target.value)}
+                                sx={{ minWidth: 120 }}
+                            >
+                                <MenuItem value="">All</MenuItem>
+                                {[...new Set([...reportCurrencies, filter.currency])]
+                                    .filter(Boolean)
+                                    .map((cur) => (
+                                        <MenuItem key={cur} value={cur}>
+                                            {cur}
+                                        </MenuItem>
+                                    ))}
+                            </TextField>
+                        </Stack>
+
+                        <Stack direction={{ xs: "column", md: "row" }} spacing={2} sx={{ mb: 2 }}>
+                            {/* Amount range in the report currency */}
+                            <TextField
+                                label={`Min (${report.total.currency})`}
+                                type="number"
+                                value={filter.minAmount}
+                                onChange={(event) => updateFilter("minAmount", event.target.value)}
+                                fullWidth
+                            />
+                            <TextField
+                                label={`Max (${report.total.currency})`}
+                                type="number"
+                                value={filter.maxAmount}
+                                onChange={(event) => updateFilter("maxAmount", event.target.value)}
+                                fullWidth
+                            />
+
+                            {/* Sort key and direction */}
+                            <TextField
+                                select
+                                label="Sort by"
+                                value={filter.sortBy}
+                                onChange={(event) => updateFilter("sortBy", event.target.value)}
+                                fullWidth
+                            >
+                                {REPORT_SORTS.map((option) => (
+                                    <MenuItem key={option.value} value={option.value}>
+                                        {option.label}
+                                    </MenuItem>
+                                ))}
+                            </TextField>
+                            <TextField
+                                select
+                                label="Order"
+                                value={filter.sortDir}
+                                onChange={(event) => updateFilter("sortDir", event.target.value)}
+                                fullWidth
+                            >
+                                <MenuItem value="asc">Ascending</MenuItem>
+                                <MenuItem value="desc">Descending</MenuItem>
+                            </TextField>
+
+                            <Button onClick={() => setFilter(DEFAULT_REPORT_FILTER)}>Clear</Button>
+                        </Stack>
+
+                        {/* Total of the shown items (already in selected currency) */}
                         <Typography variant="subtitle1" sx={{ mb: 1 }}>
-                            Total: {report.total.total.toFixed(2)} {report.total.currency}
+                            Total: {totalOf(shownCosts).toFixed(2)} {report.total.currency}
+                            {shownCosts.length !== report.costs.length &&
+                                ` (${shownCosts.length} of ${report.costs.length} items, ` +
+                                    `report total ${report.total.total.toFixed(2)})`}
                         </Typography>
 
-                        {/* List of costs for this month */}
+                        {/* Range reports: subtotals per month and per category (all loaded items) */}
+                        {report.byMonth && report.costs.length > 0 && (
+                            <Stack direction={{ xs: "column", md: "row" }} spacing={2} sx={{ mb: 2 }}>
+                                <Paper variant="outlined" sx={{ p: 1.5, flex: 1 }}>
+                                    <Typography variant="subtitle2">By month</Typography>
+                                    {report.byMonth.map((b) => (
+                                        <Typography key={`${b.year}-${b.month}`} variant="body2">
+                                            {MONTHS[b.month - 1]} {b.year}: {b.total.toFixed(2)}{" "}
+                                            {report.total.currency}
+                                        </Typography>
+                                    ))}
+                                </Paper>
+                                <Paper variant="outlined" sx={{ p: 1.5, flex: 1 }}>
+                                    <Typography variant="subtitle2">By category</Typography>
+                                    {report.byCategory.map((c) => (
+                                        <Typography key={c.name} variant="body2">
+                                            {c.name}: {c.value.toFixed(2)} {report.total.currency}
+                                        </Typography>
+                                    ))}
+                                </Paper>
+                            </Stack>
+                        )}
+
+                        {/* List of costs of the report period */}
                         <Stack spacing={1}>
                             {report.costs.length === 0 ? (
-                                <Typography>No costs found for this month.</Typography>
+                                <Typography>
+                                    No costs found for this {report.from ? "date range" : "month"}.
+                                </Typography>
+                            ) : shownCosts.length === 0 ? (
+                                <Typography>No costs match the filters.</Typography>
                             ) : (
-                                report.costs.map((costItem, idx) => (
+                                shownCosts.map((costItem) => (
                                     // One “card” per cost item
-                                    <Paper key={idx} variant="outlined" sx={{ p: 1.5 }}>
+                                    <Paper key={costItem.id} variant="outlined" sx={{ p: 1.5 }}>
                                         {/* Main line: category + description */}
                                         <Typography>
                                             <b>{costItem.category}</b> — {costItem.description}
                                         </Typography>
 
-                                        {/* Secondary line: sum + currency + day */}
+                                        {/* Secondary line: sum + currency + day (full date in range reports) */}
                                         <Typography variant="body2">
-                                            {costItem.sum} {costItem.currency} | Day:{" "}
-                                            {costItem.Date?.day ?? "?"}
+                                            {costItem.sum} {costItem.currency} |{" "}
+                                            {report.from
+                                                ? `Date: ${toIsoDate(costItem.Date)}`
+                                                : `Day: ${costItem.Date?.day ?? "?"}`}
                                         </Typography>
+
+                                        {/* Tags of the item (if any) */}
+                                        {costItem.tags.length > 0 && (
+                                            <Stack
+                                                direction="row"
+                                                spacing={0.5}
+                                                sx={{ mt: 0.5, justifyContent: "center", flexWrap: "wrap" }}
+                                            >
+                                                {costItem.tags.map((tag) => (
+                                                    <Chip key={tag} label={tag} size="small" />
+                                                ))}
+                                            </Stack>
+                                        )}
+
+                                        {/* Actions: edit or delete this cost item */}
+                                        <Stack direction="row" spacing={1} sx={{ mt: 1, justifyContent: "center" }}>
+                                            <Button size="small" onClick={() => setEditing(costItem)}>
+                                                Edit
+                                            </Button>
+                                            <Button
+                                                size="small"
+                                                color="error"
+                                                onClick={() => setDeleting(costItem)}
+                                            >
+                                                Delete
+                                            </Button>
+                                        </Stack>
                                     </Paper>
                                 ))
                             )}
@@ -200,6 +496,30 @@ export default function ReportPage() {
                     </div>
                 ) : null}
             </Paper>
+
+            {/* Edit dialog (key resets the form for every item) */}
+            {editing && (
+                <EditCostDialog
+                    key={editing.id}
+                    db={db}
+                    cost={editing}
+                    onSave={handleSaveEdit}
+                    onCancel={() => setEditing(null)}
+                />
+            )}
+
+            {/* Delete confirmation dialog */}
+            <ConfirmDialog
+                open={Boolean(deleting)}
+                title="Delete cost item?"
+                message={
+                    deleting
+                        ? `"${deleting.description}" (${deleting.category}) will be permanently removed.`
+                        : ""
+                }
+                onConfirm={handleConfirmDelete}
+                onCancel={() => setDeleting(null)}
+            />
         </Container>
     );
 }
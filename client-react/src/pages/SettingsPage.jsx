@@ -1,5 +1,8 @@
 // SettingsPage.jsx
-// Responsible for saving the exchange-rates URL into IndexedDB (settings store)
+// Responsible for saving the exchange-rates URL, the max age of cached rates and the
+// preferred currency of the active ledger into IndexedDB (settings store)
+// and for managing the ledgers, server sync, categories, monthly category budgets
+// and database backups
 
 // React hooks for component state and side effects
 import { useEffect, useState } from "react";
@@ -12,63 +15,80 @@ import {
     TextField,
     Button,
     Typography,
-    Alert
+    Alert,
+    Divider
 } from "@mui/material";
 
-// IndexedDB API wrapper (our project DB layer)
-import { openCostsDB } from "../lib/idb";
+// The database shared by all pages (opened once in App.jsx)
+import useCostsDb from "../hooks/useCostsDb";
+
+// Ledgers section (create, rename, archive, switch)
+import LedgerSettings from "../components/LedgerSettings";
+
+// Sync section (server URL + token, sync now)
+import SyncSettings from "../components/SyncSettings";
+
+// Categories section (colour / icon, rename, merge, delete)
+import CategorySettings from "../components/CategorySettings";
+
+// Budgets section (category → monthly budget)
+import BudgetSettings from "../components/BudgetSettings";
+
+// Backup & restore section (JSON file of all stores)
+import BackupSettings from "../components/BackupSettings";
+
+// Currency dropdown built from the active rates source
+import CurrencySelect from "../components/CurrencySelect";
 
 // SettingsPage component – lets the user configure the exchange rates URL
 export default function SettingsPage() {
-    // Holds the opened DB API object (setRatesUrl, etc.)
-    const [db, setDb] = useState(null);
+    // The opened DB API object (setRatesUrl, etc.), the saved preferred currency and its setter
+    const { db, defaultCurrency: savedCurrency, setDefaultCurrency: saveDefaultCurrency } =
+        useCostsDb();
 
     // Controlled input for the exchange rates URL
     const [ratesUrl, setRatesUrl] = useState("");
 
+    // Controlled input for the max age (hours) of cached rates + time of the cached copy
+    const [maxAgeHours, setMaxAgeHours] = useState("");
+    const [cachedAt, setCachedAt] = useState(null);
+
+    // Controlled input for the preferred (default) currency
+    const [defaultCurrency, setDefaultCurrency] = useState(savedCurrency);
+
     // Status message shown to the user (success / error)
     const [status, setStatus] = useState({ type: "", msg: "" });
 
-    // Open the database once when the component is mounted
+    // Load the saved rates settings once to prefill the form
     useEffect(() => {
         // "alive" prevents setting state after unmount (avoids React warnings)
         let alive = true;
 
-        // Use an IIFE to allow async/await inside useEffect
-        (async () => {
-            try {
-                // Open (or create/upgrade) IndexedDB
-                const opened = await openCostsDB("costsdb", 1);
-
-                // Update state only if the component is still mounted
+        db.getRatesSettings()
+            .then((saved) => {
                 if (alive) {
-                    setDb(opened);
+                    setRatesUrl(saved.ratesUrl || "");
+                    setMaxAgeHours(String(saved.maxAgeHours));
+                    setCachedAt(saved.cachedAt);
                 }
-            } catch (e) {
-                // Show an error message if DB failed to open
+            })
+            .catch((e) => {
                 if (alive) {
                     setStatus({ type: "error", msg: e.message });
                 }
-            }
-        })();
+            });
 
         // Cleanup runs when the component unmounts
         return () => {
             alive = false;
         };
-    }, []);
+    }, [db]);
 
     // Save the exchange rates URL into IndexedDB settings
     async function handleSave() {
         // Clear previous status message
         setStatus({ type: "", msg: "" });
 
-        // Ensure DB is ready before saving
-        if (!db) {
-            setStatus({ type: "error", msg: "DB not ready yet." });
-            return;
-        }
-
         // Trim whitespace from the input value
         const trimmedUrl = ratesUrl.trim();
 
@@ -90,6 +110,41 @@ export default function SettingsPage() {
         }
     }
 
+    // Save the max age of cached rates into IndexedDB settings
+    async function handleSaveMaxAge() {
+        // Clear previous status message
+        setStatus({ type: "", msg: "" });
+
+        try {
+            // Validation (positive number of hours) is done in idb.js
+            await db.setRatesMaxAge(maxAgeHours);
+
+            // Notify success
+            setStatus({ type: "success", msg: "Max age of cached rates saved." });
+        } catch (e) {
+            // Show any DB / validation error to the user
+            setStatus({ type: "error", msg: e.message });
+        }
+    }
+
+    // Save the preferred currency into IndexedDB settings
+    async function handleSaveDefaultCurrency() {
+        // Clear previous status message
+        setStatus({ type: "", msg: "" });
+
+        try {
+            // idb.js checks the currency is offered by the active rates source
+            // (saved through the provider, so pages opened afterwards start on it)
+            await saveDefaultCurrency(defaultCurrency);
+
+            // Notify success
+            setStatus({ type: "success", msg: "Default currency saved." });
+        } catch (e) {
+            // Show any DB / validation error to the user
+            setStatus({ type: "error", msg: e.message });
+        }
+    }
+
     return (
         // Page container with top margin
         <Container sx={{ mt: 4 }}>
@@ -121,11 +176,78 @@ export default function SettingsPage() {
                         fullWidth
                     />
 
-                    {/* Save button (disabled while DB is not ready) */}
-                    <Button variant="contained" onClick={handleSave} disabled={!db}>
+                    {/* Save button */}
+                    <Button variant="contained" onClick={handleSave}>
                         Save
                     </Button>
+
+                    {/* Max age of the cached rates used when the rates server can't be reached */}
+                    <Stack direction={{ xs: "column", sm: "row" }} spacing={2}>
+                        <TextField
+                            label="Max age of cached rates (hours)"
+                            type="number"
+                            value={maxAgeHours}
+                            onChange={(event) => setMaxAgeHours(event.target.value)}
+                            helperText={
+                                cachedAt
+                                    ? `Last rates saved: ${new Date(cachedAt).toLocaleString()}`
+                                    : "No rates saved yet"
+                            }
+                            fullWidth
+                        />
+                        <Button variant="outlined" onClick={handleSaveMaxAge}>
+                            Save
+                        </Button>
+                    </Stack>
+
+                    {/* Preferred currency (default of every currency picker) */}
+                    <Stack direction={{ xs: "column", sm: "row" }} spacing={2}>
+                        <CurrencySelect
+                            db={db}
+                            label="Default currency"
+                            value={defaultCurrency}
+                            onChange={setDefaultCurrency}
+                            fullWidth
+                        />
+                        <Button
+                            variant="outlined"
+                            onClick={handleSaveDefaultCurrency}
+                            disabled={!defaultCurrency}
+                        >
+                            Save
+                        </Button>
+                    </Stack>
                 </Stack>
+
+                {/* Visual separator between the rates URL and the ledgers */}
+                <Divider sx={{ my: 3 }} />
+
+                {/* Ledgers: personal, household, business, ... */}
+                <LedgerSettings />
+
+                {/* Visual separator between the ledgers and the sync section */}
+                <Divider sx={{ my: 3 }} />
+
+                {/* Server sync of the active ledger's costs */}
+                <SyncSettings db={db} />
+
+                {/* Visual separator between the sync section and the categories */}
+                <Divider sx={{ my: 3 }} />
+
+                {/* Categories: colours and icons used by the charts, rename / merge */}
+                <CategorySettings db={db} />
+
+                {/* Visual separator between the categories and the budgets */}
+                <Divider sx={{ my: 3 }} />
+
+                {/* Monthly budgets per category */}
+                <BudgetSettings db={db} />
+
+                {/* Visual separator between the budgets and the backup section */}
+                <Divider sx={{ my: 3 }} />
+
+                {/* Full database backup and restore */}
+                <BackupSettings db={db} />
             </Paper>
         </Container>
     );
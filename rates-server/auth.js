@@ -0,0 +1,91 @@
+// auth.js
+// Bearer-token authentication for the admin and sync endpoints
+
+// Constant-time comparison, so the token can't be guessed from response timing
+import { timingSafeEqual } from "crypto";
+
+/*
+ * Tokens come from the environment, as a list of named tokens and/or a single one:
+ *   RATES_ADMIN_TOKENS="alice:token1,bob:token2"  (named admins, shown in the change log)
+ *   RATES_ADMIN_TOKEN="token"                     (a single admin, logged as "admin")
+ *   SYNC_TOKENS="alice:token1,bob:token2"         (sync users – each has their own data)
+ *   SYNC_TOKEN="token"                            (a single sync user, "sync")
+ * With neither variable of a pair set, that API is disabled.
+ */
+function readTokens(listVar, singleVar, singleUser) {
+    const tokens = [];
+
+    for (const pair of (process.env[listVar] || "").split(",")) {
+        const separator = pair.indexOf(":");
+        if (separator > 0 && separator < pair.length - 1) {
+            tokens.push({
+                user: pair.slice(0, separator).trim(),
+                token: pair.slice(separator + 1).trim()
+            });
+        }
+    }
+
+    if (process.env[singleVar]) {
+        tokens.push({ user: singleUser, token: process.env[singleVar] });
+    }
+
+    return tokens;
+}
+
+// Compare two strings without leaking where they differ
+function sameToken(a, b) {
+    const bufA = Buffer.from(a);
+    const bufB = Buffer.from(b);
+    return bufA.length === bufB.length && timingSafeEqual(bufA, bufB);
+}
+
+/*
+ * requireAdmin
+ * Express middleware: accepts "Authorization: Bearer <token>" and stores the
+ * admin's name in req.adminUser. 503 when no tokens are configured, 401 otherwise.
+ */
+export function requireAdmin(req, res, next) {
+    const tokens = readTokens("RATES_ADMIN_TOKENS", "RATES_ADMIN_TOKEN", "admin");
+    const admin = checkBearer(req, res, tokens, "admin");
+
+    if (admin) {
+        req.adminUser = admin.user;
+        next();
+    }
+}
+
+/*
+ * requireSyncUser
+ * Express middleware for the /sync endpoints: like requireAdmin, but with the
+ * sync tokens. The user's name is stored in req.syncUser (it selects their data).
+ */
+export function requireSyncUser(req, res, next) {
+    const tokens = readTokens("SYNC_TOKENS", "SYNC_TOKEN", "sync");
+    const user = checkBearer(req, res, tokens, "sync");
+
+    if (user) {
+        req.syncUser = user.user;
+        next();
+    }
+}
+
+// Find the token of the request's "Authorization: Bearer <token>" header.
+// Answers 503 / 401 itself and returns null when the request must stop.
+function checkBearer(req, res, tokens, kind) {
+    const api = kind === "admin" ? "Admin" : "Sync";
+
+    if (tokens.length === 0) {
+        res.status(503).json({ error: `${api} API is disabled (no ${kind} token configured)` });
+        return null;
+    }
+
+    const match = /^Bearer (.+)$/.exec(req.get("Authorization") || "");
+    const found = match && tokens.find((t) => sameToken(t.token, match[1]));
+
+    if (!found) {
+        res.status(401).json({ error: `Missing or invalid ${kind} token` });
+        return null;
+    }
+
+    return found;
+}
@@ -0,0 +1,44 @@
+// currencies.js
+// Currency catalogue (display names, symbols, decimal places) and USD-based conversion
+
+/*
+ * Known currencies. Codes follow rates.json (the client uses "EURO", not "EUR").
+ * A code in rates.json that isn't listed here is still served, with the code
+ * itself as name / symbol and 2 decimal places.
+ */
+export const CURRENCY_INFO = {
+    USD: { name: "US Dollar", symbol: "$", decimals: 2 },
+    GBP: { name: "British Pound", symbol: "£", decimals: 2 },
+    EURO: { name: "Euro", symbol: "€", decimals: 2 },
+    ILS: { name: "Israeli New Shekel", symbol: "₪", decimals: 2 },
+    JPY: { name: "Japanese Yen", symbol: "¥", decimals: 0 },
+    CHF: { name: "Swiss Franc", symbol: "CHF", decimals: 2 },
+    CAD: { name: "Canadian Dollar", symbol: "CA$", decimals: 2 },
+    AUD: { name: "Australian Dollar", symbol: "A$", decimals: 2 }
+};
+
+// Catalogue entry of one code (with the fallback for unknown codes)
+export function currencyInfo(code) {
+    return { code, ...(CURRENCY_INFO[code] || { name: code, symbol: code, decimals: 2 }) };
+}
+
+// Catalogue of every currency that has a rate, in rates.json order
+export function listCurrencies(rates) {
+    return Object.keys(rates).map((code) => ({ ...currencyInfo(code), rate: rates[code] }));
+}
+
+/*
+ * convertAmount(amount, from, to, rates)
+ * Same cross-rate math as the client's convert(): amount → USD → target.
+ * Both codes must exist in rates (checked by the caller).
+ */
+export function convertAmount(amount, from, to, rates) {
+    const usd = amount / rates[from];
+    return usd * rates[to];
+}
+
+// Round to the decimal places of a currency (e.g. 0 for JPY)
+export function roundTo(value, code) {
+    const factor = 10 ** currencyInfo(code).decimals;
+    return Math.round(value * factor) / factor;
+}
@@ -0,0 +1,97 @@
+// history.js
+// Dated exchange-rate snapshots (rates-history.json): lookups by date and
+// a new snapshot every time the current rates change
+
+// Import file system (promise API) for reading/writing the history file
+import fs from "fs/promises";
+
+// Import path utilities for resolving file paths
+import path from "path";
+
+// Import helper to convert ES module URL to file path
+import { fileURLToPath } from "url";
+
+// Resolve __dirname equivalent (required in ES modules)
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// File holding all snapshots: { "YYYY-MM-DD": { "USD": 1, ... }, ... }
+// (RATES_DATA_DIR moves the rates files, e.g. for a test server)
+export const HISTORY_FILE = path.join(process.env.RATES_DATA_DIR || __dirname, "rates-history.json");
+
+// Check that a string is a real calendar date in "YYYY-MM-DD" format
+export function isIsoDate(value) {
+    if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return false;
+    }
+
+    // Reject dates that don't exist (e.g. 2025-02-30)
+    const d = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === value;
+}
+
+// Number of whole days between two "YYYY-MM-DD" dates
+function daysBetween(a, b) {
+    return Math.abs(Date.parse(`${a}T00:00:00Z`) - Date.parse(`${b}T00:00:00Z`)) / 86400000;
+}
+
+// Read all snapshots from disk (an empty history when the file doesn't exist yet)
+export async function readHistory() {
+    try {
+        return JSON.parse(await fs.readFile(HISTORY_FILE, "utf8"));
+    } catch (e) {
+        if (e.code === "ENOENT") {
+            return {};
+        }
+        throw e;
+    }
+}
+
+/*
+ * saveSnapshot(date, rates)
+ * Stores the rates as the snapshot of a date ("YYYY-MM-DD"). A later change on
+ * the same day replaces that day's snapshot. The file is written atomically
+ * (temp file, then rename), so readers never see a half-written history.
+ */
+export async function saveSnapshot(date, rates) {
+    const history = await readHistory();
+    history[date] = rates;
+
+    const tmp = `${HISTORY_FILE}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tmp, `${JSON.stringify(history, null, 2)}\n`);
+    await fs.rename(tmp, HISTORY_FILE);
+}
+
+/*
+ * closestSnapshot(history, date)
+ * Returns { date, rates } of the snapshot closest to the given date
+ * (on a tie the earlier snapshot wins), or null when there are no snapshots.
+ */
+export function closestSnapshot(history, date) {
+    let best = null;
+
+    // Dates are sorted, so on equal distance the earlier one is kept
+    for (const snapshotDate of Object.keys(history).sort()) {
+        if (!best || daysBetween(snapshotDate, date) < daysBetween(best, date)) {
+            best = snapshotDate;
+        }
+    }
+
+    return best ? { date: best, rates: history[best] } : null;
+}
+
+/*
+ * snapshotsInRange(history, from, to)
+ * Returns the sorted snapshots between from and to (inclusive) plus the closest
+ * snapshot on each side, so every date in the range can find its closest snapshot.
+ */
+export function snapshotsInRange(history, from, to) {
+    const dates = Object.keys(history).sort();
+
+    // Last snapshot before the range and first snapshot after it
+    const before = dates.filter((d) => d < from).pop();
+    const after = dates.find((d) => d > to);
+
+    return dates
+        .filter((d) => d === before || d === after || (d >= from && d <= to))
+        .map((d) => ({ date: d, rates: history[d] }));
+}
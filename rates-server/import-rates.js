@@ -0,0 +1,68 @@
+// import-rates.js
+// Command-line importer: writes a provider rates file (ECB XML, CSV, JSON) to rates.json
+//
+// Usage: node import-rates.js <file> [--format ecb|csv|json] [--base EUR] [--merge] [--dry-run]
+//   e.g. npm run import-rates -- samples/eurofxref-daily.xml --dry-run
+
+// Import file system (promise API) for reading the input file
+import fs from "fs/promises";
+
+// Import the OS user name (recorded in the change log)
+import os from "os";
+
+// Command-line argument parser built into Node
+import { parseArgs } from "util";
+
+// The same importer the /admin/import endpoint uses
+import { importRates } from "./importer.js";
+
+const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+        format: { type: "string" },
+        base: { type: "string" },
+        merge: { type: "boolean", default: false },
+        "dry-run": { type: "boolean", default: false }
+    }
+});
+
+if (positionals.length !== 1) {
+    console.error(
+        "Usage: node import-rates.js <file> [--format ecb|csv|json] [--base EUR] [--merge] [--dry-run]"
+    );
+    process.exit(1);
+}
+
+try {
+    const text = await fs.readFile(positionals[0], "utf8");
+    const result = await importRates(
+        text,
+        {
+            format: values.format,
+            base: values.base,
+            mode: values.merge ? "merge" : "replace",
+            dryRun: values["dry-run"]
+        },
+        `cli:${os.userInfo().username}`
+    );
+
+    // Summary: where the rates came from, the USD-based result, and what changed
+    console.log(
+        `Read ${result.format} rates (base ${result.sourceBase}` +
+            `${result.date ? `, ${result.date}` : ""}) rebased to USD:`
+    );
+    console.log(JSON.stringify(result.rates, null, 2));
+
+    if (values["dry-run"]) {
+        console.log("Dry run – rates.json was not changed.");
+    } else if (result.changes.length === 0) {
+        console.log("No rates changed.");
+    } else {
+        for (const c of result.changes) {
+            console.log(`${c.currency}: ${c.from ?? "—"} → ${c.to ?? "—"}`);
+        }
+    }
+} catch (e) {
+    console.error(`Import failed: ${e.message}`);
+    process.exit(1);
+}
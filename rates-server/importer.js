@@ -0,0 +1,244 @@
+// importer.js
+// Reads rates published in provider formats (ECB XML, CSV, JSON) with any base
+// currency and rebases them to the served format: { "USD": 1, ... }
+
+// Current rates: validation and the atomic, logged write
+import { ratesError, updateRates } from "./store.js";
+
+// Date check for the snapshot date given in a file
+import { isIsoDate } from "./history.js";
+
+/*
+ * ImportError
+ * The imported file (or an import option) is unusable – the caller's mistake,
+ * unlike a failed write of the rates files.
+ */
+export class ImportError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "ImportError";
+    }
+}
+
+// Supported input formats
+export const IMPORT_FORMATS = ["ecb", "csv", "json"];
+
+// Provider codes that the client knows under another name (rates.json uses "EURO")
+const CODE_ALIASES = { EUR: "EURO" };
+
+// Normalize a currency code from a provider file
+function normalizeCode(code) {
+    const upper = String(code).trim().toUpperCase();
+    return CODE_ALIASES[upper] || upper;
+}
+
+// Parse a rate from a provider file (string or number) – throws on anything else
+function parseRate(value, currency) {
+    const rate = typeof value === "number" ? value : Number(String(value).trim());
+    if (String(value).trim() === "" || !Number.isFinite(rate) || rate <= 0) {
+        throw new ImportError(`Invalid rate for ${currency}: ${JSON.stringify(value)}`);
+    }
+    return rate;
+}
+
+/*
+ * parseEcbXml(text)
+ * ECB daily reference rates (eurofxref-daily.xml): EUR-based
+ * <Cube time="YYYY-MM-DD"> with <Cube currency="USD" rate="1.0871"/> entries.
+ * Returns { base, date, rates }.
+ */
+export function parseEcbXml(text) {
+    const rates = {};
+
+    // Attributes may use single or double quotes and come in either order
+    for (const [tag] of text.matchAll(/<Cube\b[^>]*\bcurrency=[^>]*>/g)) {
+        const code = /\bcurrency=["']([^"']+)["']/.exec(tag);
+        if (!code) {
+            throw new ImportError(`Unreadable currency in ${tag}`);
+        }
+        const currency = code[1];
+        const rate = /\brate=["']([^"']*)["']/.exec(tag);
+        if (!rate) {
+            throw new ImportError(`Missing rate for ${currency}`);
+        }
+        rates[normalizeCode(currency)] = parseRate(rate[1], currency);
+    }
+
+    if (Object.keys(rates).length === 0) {
+        throw new ImportError("No <Cube currency=... rate=...> entries found");
+    }
+
+    const time = /<Cube\b[^>]*\btime=["']([^"']+)["']/.exec(text);
+    return { base: normalizeCode("EUR"), date: time ? time[1] : null, rates };
+}
+
+/*
+ * parseCsvRates(text, base)
+ * CSV with a header row holding "currency" and "rate" columns (any order,
+ * comma or semicolon separated). Rates are units per one "base".
+ * Returns { base, date, rates }.
+ */
+export function parseCsvRates(text, base = "USD") {
+    const lines = text
+        .split(/\r?\n/)
+        .map((line) => line.trim())
+        .filter(Boolean);
+
+    if (lines.length < 2) {
+        throw new ImportError("CSV needs a header row and at least one rate");
+    }
+
+    const separator = lines[0].includes(";") ? ";" : ",";
+    const header = lines[0].split(separator).map((h) => h.trim().toLowerCase());
+    const currencyCol = header.indexOf("currency");
+    const rateCol = header.indexOf("rate");
+
+    if (currencyCol === -1 || rateCol === -1) {
+        throw new ImportError('CSV header must contain "currency" and "rate" columns');
+    }
+
+    const rates = {};
+    lines.slice(1).forEach((line, i) => {
+        const cells = line.split(separator);
+        const currency = cells[currencyCol];
+        if (!currency || !currency.trim()) {
+            throw new ImportError(`Line ${i + 2}: missing currency`);
+        }
+        rates[normalizeCode(currency)] = parseRate(cells[rateCol] ?? "", currency.trim());
+    });
+
+    return { base: normalizeCode(base), date: null, rates };
+}
+
+/*
+ * parseJsonRates(text, base)
+ * Either a flat object { "USD": 1, ... } (units per one "base") or the common
+ * provider shape { "base": "EUR", "date": "YYYY-MM-DD", "rates": { ... } }.
+ * Returns { base, date, rates }.
+ */
+export function parseJsonRates(text, base = "USD") {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new ImportError("Invalid JSON");
+    }
+
+    if (!data || typeof data !== "object" || Array.isArray(data)) {
+        throw new ImportError("JSON rates must be an object");
+    }
+
+    const wrapped = data.rates && typeof data.rates === "object";
+    const source = wrapped ? data.rates : data;
+
+    const rates = {};
+    for (const [currency, value] of Object.entries(source)) {
+        rates[normalizeCode(currency)] = parseRate(value, currency);
+    }
+
+    return {
+        base: normalizeCode(wrapped && data.base ? data.base : base),
+        date: wrapped && data.date ? data.date : null,
+        rates
+    };
+}
+
+/*
+ * rebaseToUsd({ base, rates })
+ * Turns "units per one base" into "units per one USD" (the client's format).
+ * The base itself is added with its implied rate; USD must be known.
+ */
+export function rebaseToUsd({ base, rates }) {
+    // A base listed with another rate means the wrong base was given
+    if (Object.hasOwn(rates, base) && rates[base] !== 1) {
+        throw new ImportError(`The rates list ${base} at ${rates[base]}, so ${base} can't be their base`);
+    }
+
+    const all = { ...rates, [base]: 1 };
+
+    if (!Object.hasOwn(all, "USD")) {
+        throw new ImportError(`Cannot rebase to USD: the ${base}-based rates have no USD rate`);
+    }
+
+    const usdRate = all.USD;
+    const rebased = { USD: 1 };
+    for (const [currency, rate] of Object.entries(all)) {
+        if (currency !== "USD") {
+            // 8 significant digits – more than any provider publishes
+            rebased[currency] = Number((rate / usdRate).toPrecision(8));
+        }
+    }
+    return rebased;
+}
+
+// Guess the format from the content when it isn't given
+export function detectFormat(text) {
+    const start = text.trimStart();
+    if (start.startsWith("<")) {
+        return "ecb";
+    }
+    if (start.startsWith("{")) {
+        return "json";
+    }
+    return "csv";
+}
+
+/*
+ * parseRatesFile(text, { format, base })
+ * Parses any supported format and returns { format, sourceBase, date, rates }
+ * with rates rebased to USD and validated. Throws ImportError with a readable message.
+ */
+export function parseRatesFile(text, { format, base = "USD" } = {}) {
+    const kind = format || detectFormat(text);
+
+    let parsed;
+    if (kind === "ecb") {
+        parsed = parseEcbXml(text);
+    } else if (kind === "csv") {
+        parsed = parseCsvRates(text, base);
+    } else if (kind === "json") {
+        parsed = parseJsonRates(text, base);
+    } else {
+        throw new ImportError(`Unknown format "${kind}" (use ${IMPORT_FORMATS.join(", ")})`);
+    }
+
+    const rates = rebaseToUsd(parsed);
+    const error = ratesError(rates);
+    if (error) {
+        throw new ImportError(error);
+    }
+
+    // The file's date names the snapshot, so it must be a real date
+    if (parsed.date !== null && !isIsoDate(parsed.date)) {
+        throw new ImportError(`The file's date must be YYYY-MM-DD, got ${JSON.stringify(parsed.date)}`);
+    }
+
+    return { format: kind, sourceBase: parsed.base, date: parsed.date, rates };
+}
+
+/*
+ * importRates(text, options, user)
+ * Parses a provider file and writes it to rates.json (through the change log).
+ * options: { format, base, mode: "replace" | "merge", dryRun }
+ * "merge" keeps currencies that the file doesn't mention. The new rates are
+ * stored as the snapshot of the file's date (today's when the file has none).
+ * Returns { format, sourceBase, date, rates, changes }.
+ */
+export async function importRates(text, { format, base, mode = "replace", dryRun = false } = {}, user) {
+    if (mode !== "replace" && mode !== "merge") {
+        throw new ImportError('mode must be "replace" or "merge"');
+    }
+
+    const parsed = parseRatesFile(text, { format, base });
+
+    if (dryRun) {
+        return { ...parsed, changes: [] };
+    }
+
+    const { rates, changes } = await updateRates(
+        (current) => (mode === "merge" ? { ...current, ...parsed.rates } : parsed.rates),
+        user,
+        { snapshotDate: parsed.date }
+    );
+    return { ...parsed, rates, changes };
+}
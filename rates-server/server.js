@@ -1,5 +1,8 @@
 // server.js
 // Simple Express server used to serve the exchange rates JSON file
+// (plus dated rate snapshots for converting old costs at the rate of their date,
+// a token-protected admin API / page for changing the current rates,
+// and token-protected /sync endpoints that share cost items between devices)
 
 // Import Express framework for creating the HTTP server
 import express from "express";
@@ -13,6 +16,31 @@ import path from "path";
 // Import helper to convert ES module URL to file path
 import { fileURLToPath } from "url";
 
+// Dated rate snapshots (rates-history.json)
+import { readHistory, closestSnapshot, snapshotsInRange, isIsoDate } from "./history.js";
+
+// Current rates: validation, atomic writes, change log
+import {
+    readRates,
+    updateRates,
+    readChangeLog,
+    rateError,
+    ratesError,
+    RATES_FILE
+} from "./store.js";
+
+// Bearer-token checks for the admin and sync endpoints
+import { requireAdmin, requireSyncUser } from "./auth.js";
+
+// Synced cost items: push / pull since a cursor, last writer wins
+import { pushChanges, pullChanges, changeError, spaceError, MAX_SYNC_BATCH } from "./sync-store.js";
+
+// Currency catalogue and the client's USD-based conversion math
+import { listCurrencies, currencyInfo, convertAmount, roundTo } from "./currencies.js";
+
+// Importer for provider rate files (ECB XML, CSV, JSON)
+import { importRates, IMPORT_FORMATS, ImportError } from "./importer.js";
+
 // Create an Express application instance
 const app = express();
 
@@ -29,8 +57,278 @@ const __dirname = path.dirname(__filename);
 
 // Serve the exchange rates JSON file at /rates.json
 app.get("/rates.json", (req, res) => {
-    // Send the rates.json file from the current directory
-    res.sendFile(path.join(__dirname, "rates.json"));
+    // Send the current rates file
+    res.sendFile(RATES_FILE);
+});
+
+// Currency catalogue of the current rates: GET /currencies
+app.get("/currencies", async (req, res) => {
+    try {
+        res.json({ base: "USD", currencies: listCurrencies(await readRates()) });
+    } catch {
+        res.status(500).json({ error: "Failed to read rates" });
+    }
+});
+
+// Convert an amount with the current rates: GET /convert?from=ILS&to=GBP&amount=120
+app.get("/convert", async (req, res) => {
+    const { from, to, amount } = req.query;
+
+    // Plain decimal numbers only ("1e3", "12,5", "" and "abc" are rejected)
+    if (typeof amount !== "string" || !/^-?\d+(\.\d+)?$/.test(amount)) {
+        res.status(400).json({ error: "amount must be a decimal number (e.g. 120 or 99.90)" });
+        return;
+    }
+
+    let rates;
+    try {
+        rates = await readRates();
+    } catch {
+        res.status(500).json({ error: "Failed to read rates" });
+        return;
+    }
+
+    // Both codes must have a rate
+    for (const code of [from, to]) {
+        if (typeof code !== "string" || !Object.hasOwn(rates, code)) {
+            res.status(400).json({ error: `Unknown currency: ${code ?? "(missing)"}` });
+            return;
+        }
+    }
+
+    const value = Number(amount);
+    const result = convertAmount(value, from, to, rates);
+
+    res.json({
+        from,
+        to,
+        amount: value,
+        // Units of "to" per one unit of "from"
+        rate: convertAmount(1, from, to, rates),
+        // Rounded to the decimal places of the target currency
+        result: roundTo(result, to),
+        currency: currencyInfo(to)
+    });
+});
+
+// Serve the snapshots needed for a date range: GET /rates/range?from=YYYY-MM-DD&to=YYYY-MM-DD
+// (registered before /rates/:date so "range" is not taken as a date)
+app.get("/rates/range", async (req, res) => {
+    const { from, to } = req.query;
+
+    // Both bounds are required and must be real dates in the right order
+    if (!isIsoDate(from) || !isIsoDate(to) || from > to) {
+        res.status(400).json({ error: "from and to must be dates (YYYY-MM-DD) with from <= to" });
+        return;
+    }
+
+    try {
+        // Snapshots inside the range plus the closest one on each side
+        const history = await readHistory();
+        res.json({ from, to, snapshots: snapshotsInRange(history, from, to) });
+    } catch {
+        res.status(500).json({ error: "Failed to read rates history" });
+    }
+});
+
+// Serve the snapshot closest to a date: GET /rates/YYYY-MM-DD
+app.get("/rates/:date", async (req, res) => {
+    const { date } = req.params;
+
+    // The date must be a real calendar date
+    if (!isIsoDate(date)) {
+        res.status(400).json({ error: "date must be YYYY-MM-DD" });
+        return;
+    }
+
+    try {
+        const snapshot = closestSnapshot(await readHistory(), date);
+
+        // No snapshots stored at all
+        if (!snapshot) {
+            res.status(404).json({ error: "No rate snapshots available" });
+            return;
+        }
+
+        res.json({ requested: date, date: snapshot.date, rates: snapshot.rates });
+    } catch {
+        res.status(500).json({ error: "Failed to read rates history" });
+    }
+});
+
+// JSON body parser for the admin endpoints (rates objects are tiny)
+const jsonBody = express.json({ limit: "100kb" });
+
+// Replace all rates: PUT /rates with a body like { "USD": 1, "GBP": 0.6, ... }
+app.put("/rates", requireAdmin, jsonBody, async (req, res) => {
+    const error = ratesError(req.body);
+    if (error) {
+        res.status(400).json({ error });
+        return;
+    }
+
+    try {
+        const result = await updateRates(() => req.body, req.adminUser);
+        res.json(result);
+    } catch {
+        res.status(500).json({ error: "Failed to write rates" });
+    }
+});
+
+// Add or change one rate: PATCH /rates/GBP with a body like { "rate": 0.61 }
+app.patch("/rates/:currency", requireAdmin, jsonBody, async (req, res) => {
+    const { currency } = req.params;
+    const rate = req.body?.rate;
+
+    const error = rateError(currency, rate);
+    if (error) {
+        res.status(400).json({ error });
+        return;
+    }
+
+    try {
+        const result = await updateRates(
+            (current) => ({ ...current, [currency]: rate }),
+            req.adminUser
+        );
+        res.json(result);
+    } catch {
+        res.status(500).json({ error: "Failed to write rates" });
+    }
+});
+
+// Import a provider file as the new rates:
+// POST /admin/import?format=ecb|csv|json&base=EUR&mode=replace|merge&dryRun=1
+// (the raw file is the request body; format is detected when omitted)
+app.post(
+    "/admin/import",
+    requireAdmin,
+    express.text({ type: "*/*", limit: "1mb" }),
+    async (req, res) => {
+        const { format, base, mode, dryRun } = req.query;
+
+        if (format !== undefined && !IMPORT_FORMATS.includes(format)) {
+            res.status(400).json({ error: `format must be one of: ${IMPORT_FORMATS.join(", ")}` });
+            return;
+        }
+        if (typeof req.body !== "string" || req.body.trim() === "") {
+            res.status(400).json({ error: "Request body must be the rates file" });
+            return;
+        }
+
+        try {
+            const result = await importRates(
+                req.body,
+                { format, base, mode, dryRun: dryRun === "1" || dryRun === "true" },
+                req.adminUser
+            );
+            res.json(result);
+        } catch (e) {
+            // Parse / validation problems are the caller's; anything else is ours
+            if (e instanceof ImportError) {
+                res.status(400).json({ error: e.message });
+                return;
+            }
+            res.status(500).json({ error: "Failed to write rates" });
+        }
+    }
+);
+
+// Change log, newest first: GET /admin/changes?limit=50
+app.get("/admin/changes", requireAdmin, async (req, res) => {
+    const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 1000);
+
+    try {
+        res.json({ changes: await readChangeLog(limit) });
+    } catch {
+        res.status(500).json({ error: "Failed to read the change log" });
+    }
+});
+
+// Current rates as JSON for the admin page (never cached, unlike the static file)
+app.get("/admin/rates", requireAdmin, async (req, res) => {
+    try {
+        res.set("Cache-Control", "no-store").json(await readRates());
+    } catch {
+        res.status(500).json({ error: "Failed to read rates" });
+    }
+});
+
+// Admin page (the token is entered on the page, so the page itself is public)
+app.get("/admin", (req, res) => {
+    res.sendFile(path.join(__dirname, "admin.html"));
+});
+
+// Send a device's changes to a space (one synced ledger):
+// POST /sync/push?space=Household with a body like
+// { "changes": [{ "uid", "deleted", "record", "updatedAt", "deviceId" }, ...] }
+app.post("/sync/push", requireSyncUser, express.json({ limit: "2mb" }), async (req, res) => {
+    const { space } = req.query;
+    const changes = req.body?.changes;
+
+    const error = spaceError(space);
+    if (error) {
+        res.status(400).json({ error });
+        return;
+    }
+    if (!Array.isArray(changes)) {
+        res.status(400).json({ error: "Body must be { changes: [...] }" });
+        return;
+    }
+    if (changes.length > MAX_SYNC_BATCH) {
+        res.status(400).json({ error: `At most ${MAX_SYNC_BATCH} changes per push` });
+        return;
+    }
+
+    // One bad change rejects the whole push (nothing is stored)
+    for (const change of changes) {
+        const error = changeError(change);
+        if (error) {
+            res.status(400).json({ error });
+            return;
+        }
+    }
+
+    try {
+        res.json(await pushChanges(req.syncUser, space, changes));
+    } catch {
+        res.status(500).json({ error: "Failed to store the changes" });
+    }
+});
+
+// Fetch the changes of a space made after a cursor:
+// GET /sync/pull?space=Household&since=42 (0 = everything)
+app.get("/sync/pull", requireSyncUser, async (req, res) => {
+    const { space, since = "0" } = req.query;
+
+    const error = spaceError(space);
+    if (error) {
+        res.status(400).json({ error });
+        return;
+    }
+    if (typeof since !== "string" || !/^\d+$/.test(since)) {
+        res.status(400).json({ error: "since must be a whole number (a cursor from a previous sync)" });
+        return;
+    }
+
+    try {
+        res.set("Cache-Control", "no-store").json(await pullChanges(req.syncUser, space, Number(since)));
+    } catch {
+        res.status(500).json({ error: "Failed to read the changes" });
+    }
+});
+
+// Malformed / oversized JSON bodies get a JSON error instead of Express' HTML page
+app.use((err, req, res, next) => {
+    if (err.type === "entity.parse.failed") {
+        res.status(400).json({ error: "Request body must be valid JSON" });
+        return;
+    }
+    if (err.type === "entity.too.large") {
+        res.status(413).json({ error: "Request body is too large" });
+        return;
+    }
+    next(err);
 });
 
 // Use PORT from environment variables (Render/Heroku) or fallback to 3000
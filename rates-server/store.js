@@ -0,0 +1,146 @@
+// store.js
+// Current exchange rates (rates.json): validation, atomic writes, the change log
+// and a dated snapshot of every change (rates-history.json)
+
+// Import file system (promise API) for reading/writing the rates files
+import fs from "fs/promises";
+
+// Import path utilities for resolving file paths
+import path from "path";
+
+// Import helper to convert ES module URL to file path
+import { fileURLToPath } from "url";
+
+// Dated snapshots, so old costs can still be converted at the rate of their date
+import { saveSnapshot } from "./history.js";
+
+// Resolve __dirname equivalent (required in ES modules)
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Folder of the rates files (RATES_DATA_DIR moves them, e.g. for a test server)
+const DATA_DIR = process.env.RATES_DATA_DIR || __dirname;
+
+// File holding the current rates: { "USD": 1, "GBP": 0.6, ... }
+export const RATES_FILE = path.join(DATA_DIR, "rates.json");
+
+// Change log: one JSON object per line { at, user, currency, from, to }
+export const CHANGELOG_FILE = path.join(DATA_DIR, "rates-changelog.jsonl");
+
+// Currency codes are upper-case letters (e.g. "USD", "EURO")
+const CURRENCY_CODE = /^[A-Z]{3,5}$/;
+
+/*
+ * rateError(currency, rate)
+ * Returns an error message for one rate, or null when the rate is valid
+ * (same rules as the client: a finite positive number; USD, the base, stays 1).
+ */
+export function rateError(currency, rate) {
+    if (!CURRENCY_CODE.test(currency)) {
+        return `"${currency}" is not a currency code (3-5 upper-case letters)`;
+    }
+    if (typeof rate !== "number" || !Number.isFinite(rate) || rate <= 0) {
+        return `Rate for "${currency}" must be a positive number, got ${JSON.stringify(rate)}`;
+    }
+    if (currency === "USD" && rate !== 1) {
+        return "USD is the base currency, its rate must be 1";
+    }
+    return null;
+}
+
+/*
+ * ratesError(rates)
+ * Returns an error message for a whole rates object, or null when it is valid.
+ * USD is the base currency of the client conversion, so it must be present.
+ */
+export function ratesError(rates) {
+    if (!rates || typeof rates !== "object" || Array.isArray(rates)) {
+        return "Rates must be an object of currency → rate";
+    }
+    if (!Object.hasOwn(rates, "USD")) {
+        return "Rates must include USD";
+    }
+
+    for (const [currency, rate] of Object.entries(rates)) {
+        const error = rateError(currency, rate);
+        if (error) {
+            return error;
+        }
+    }
+    return null;
+}
+
+// Read the current rates from disk
+export async function readRates() {
+    return JSON.parse(await fs.readFile(RATES_FILE, "utf8"));
+}
+
+// Write a JSON file atomically: write a temp file next to it, then rename over it
+// (readers never see a half-written file)
+async function writeJsonAtomic(file, data) {
+    const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tmp, `${JSON.stringify(data, null, 2)}\n`);
+    await fs.rename(tmp, file);
+}
+
+// Writes run one after another, so two requests can't lose each other's changes
+let writeQueue = Promise.resolve();
+
+/*
+ * updateRates(change, user, { snapshotDate })
+ * change(current) returns the new rates object. The new rates are written
+ * atomically, every added / changed / removed currency is appended to the
+ * change log, and the new rates become the snapshot of snapshotDate
+ * ("YYYY-MM-DD", e.g. the date of an imported file) or of today's date.
+ * Returns { rates, changes }.
+ */
+export function updateRates(change, user, { snapshotDate = null } = {}) {
+    const run = writeQueue.then(async () => {
+        const current = await readRates();
+        const next = change(current);
+
+        // One log entry per currency whose rate differs (null = added / removed)
+        const at = new Date().toISOString();
+        const changes = [...new Set([...Object.keys(current), ...Object.keys(next)])]
+            .filter((currency) => current[currency] !== next[currency])
+            .map((currency) => ({
+                at,
+                user,
+                currency,
+                from: current[currency] ?? null,
+                to: next[currency] ?? null
+            }));
+
+        if (changes.length > 0) {
+            await writeJsonAtomic(RATES_FILE, next);
+            await fs.appendFile(
+                CHANGELOG_FILE,
+                changes.map((entry) => `${JSON.stringify(entry)}\n`).join("")
+            );
+            await saveSnapshot(snapshotDate || at.slice(0, 10), next);
+        }
+
+        return { rates: next, changes };
+    });
+
+    // A failed write must not block the following ones
+    writeQueue = run.catch(() => {});
+    return run;
+}
+
+// Read the change log, newest first (empty when nothing was changed yet)
+export async function readChangeLog(limit = 100) {
+    try {
+        const text = await fs.readFile(CHANGELOG_FILE, "utf8");
+        return text
+            .split("\n")
+            .filter(Boolean)
+            .map((line) => JSON.parse(line))
+            .reverse()
+            .slice(0, limit);
+    } catch (e) {
+        if (e.code === "ENOENT") {
+            return [];
+        }
+        throw e;
+    }
+}
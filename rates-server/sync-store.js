@@ -0,0 +1,251 @@
+// sync-store.js
+// Cost items synced between a user's devices: a JSON file with the latest version
+// of every item, kept apart per sync space (one per synced ledger), a change cursor
+// per space and last-writer-wins conflict resolution
+
+// Import file system (promise API) for reading/writing the sync file
+import fs from "fs/promises";
+
+// Import path utilities for resolving file paths
+import path from "path";
+
+// Import helper to convert ES module URL to file path
+import { fileURLToPath } from "url";
+
+// Resolve __dirname equivalent (required in ES modules)
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/*
+ * File holding all synced data (SYNC_DATA_FILE moves it, e.g. for a test server):
+ * { users: { <user>: { spaces: { <space>: { cursor, items: { <uid>: { uid, seq, deleted,
+ *   record, updatedAt, deviceId } } } } } } }
+ * A space is one synced ledger: devices that sync a ledger under the same space
+ * name share its costs, and two ledgers of one user never see each other's costs.
+ * "seq" is the space's cursor value when the item last changed; deleted items are
+ * kept (deleted: true, record: null) so other devices learn about the delete.
+ */
+export const SYNC_FILE = process.env.SYNC_DATA_FILE || path.join(__dirname, "sync-data.json");
+
+// Most changes accepted in one push and returned by one pull
+export const MAX_SYNC_BATCH = 500;
+
+// Fields of a synced cost item (the client's local id and ledger stay on the device)
+const RECORD_FIELDS = ["sum", "currency", "category", "description", "tags", "year", "month", "day"];
+
+/*
+ * isNewer(a, b)
+ * Last writer wins: the later updatedAt, and on the same time the larger deviceId.
+ * Every device and the server use this order, so they all pick the same winner.
+ * (The client has the same function in src/lib/idb.js.)
+ */
+export function isNewer(a, b) {
+    return a.updatedAt > b.updatedAt || (a.updatedAt === b.updatedAt && a.deviceId > b.deviceId);
+}
+
+// Check that a space name is usable (any non-empty text up to 100 characters)
+export function spaceError(space) {
+    if (typeof space !== "string" || space.trim() === "" || space.length > 100) {
+        return "space must be a non-empty name (at most 100 characters)";
+    }
+    return null;
+}
+
+// Check that a string is a full ISO timestamp (as written by Date.toISOString())
+function isTimestamp(value) {
+    return (
+        typeof value === "string" &&
+        /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/.test(value) &&
+        !Number.isNaN(Date.parse(value))
+    );
+}
+
+/*
+ * changeError(change)
+ * Returns an error message for one pushed change, or null when it is valid:
+ * { uid, deleted, record, updatedAt, deviceId } (record is null for a delete).
+ */
+export function changeError(change) {
+    if (!change || typeof change !== "object") {
+        return "Every change must be an object";
+    }
+    if (typeof change.uid !== "string" || change.uid === "" || change.uid.length > 100) {
+        return "uid must be a non-empty string (at most 100 characters)";
+    }
+    if (typeof change.deleted !== "boolean") {
+        return `Change ${change.uid}: deleted must be true or false`;
+    }
+    if (!isTimestamp(change.updatedAt)) {
+        return `Change ${change.uid}: updatedAt must be an ISO timestamp`;
+    }
+    if (typeof change.deviceId !== "string" || change.deviceId === "") {
+        return `Change ${change.uid}: deviceId is required`;
+    }
+    if (change.deleted) {
+        return null;
+    }
+
+    const record = change.record;
+    if (!record || typeof record !== "object" || Array.isArray(record)) {
+        return `Change ${change.uid}: record must be an object`;
+    }
+    if (typeof record.sum !== "number" || !Number.isFinite(record.sum)) {
+        return `Change ${change.uid}: sum must be a number`;
+    }
+    for (const field of ["currency", "category"]) {
+        if (typeof record[field] !== "string" || record[field] === "") {
+            return `Change ${change.uid}: ${field} is required`;
+        }
+    }
+    for (const field of ["year", "month", "day"]) {
+        if (!Number.isInteger(record[field])) {
+            return `Change ${change.uid}: ${field} must be a whole number`;
+        }
+    }
+    if (!Array.isArray(record.tags) || record.tags.some((t) => typeof t !== "string")) {
+        return `Change ${change.uid}: tags must be a list of strings`;
+    }
+    return null;
+}
+
+// Keep only the known fields of a pushed record
+function pickRecord(record) {
+    const picked = {};
+    for (const field of RECORD_FIELDS) {
+        picked[field] = record[field] ?? (field === "description" ? "" : null);
+    }
+    return picked;
+}
+
+/*
+ * User names, space names and uids are keys of plain objects, so they are read
+ * with ownEntry and written with setEntry: a name like "__proto__" or
+ * "constructor" is then an ordinary key instead of the object's prototype.
+ */
+function ownEntry(object, key) {
+    return object && Object.hasOwn(object, key) ? object[key] : undefined;
+}
+
+function setEntry(object, key, value) {
+    Object.defineProperty(object, key, {
+        value,
+        writable: true,
+        enumerable: true,
+        configurable: true
+    });
+}
+
+// The stored data of one user's space (empty when it was never synced)
+function readSpace(data, user, space) {
+    const spaces = ownEntry(ownEntry(data.users, user), "spaces");
+    return ownEntry(spaces, space) || { cursor: 0, items: {} };
+}
+
+// Read all synced data (empty when nothing was synced yet)
+async function readSyncData() {
+    try {
+        return JSON.parse(await fs.readFile(SYNC_FILE, "utf8"));
+    } catch (e) {
+        if (e.code === "ENOENT") {
+            return { users: {} };
+        }
+        throw e;
+    }
+}
+
+// Write a JSON file atomically: write a temp file next to it, then rename over it
+// (readers never see a half-written file)
+async function writeJsonAtomic(file, data) {
+    const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tmp, `${JSON.stringify(data)}\n`);
+    await fs.rename(tmp, file);
+}
+
+// Pushes run one after another, so two devices can't lose each other's changes
+let writeQueue = Promise.resolve();
+
+/*
+ * pushChanges(user, space, changes)
+ * Applies a device's changes to one of the user's spaces, in order. A change wins when it is newer (isNewer)
+ * than the stored version of its item; it then gets the next cursor value.
+ * The stored version itself (same updatedAt and deviceId, e.g. a push retried
+ * after a lost response) is accepted again without a new cursor value.
+ * A change that loses is reported back with the version that won.
+ * Returns { cursor, accepted: [uid], rejected: [{ uid, current }] }.
+ */
+export function pushChanges(user, spaceName, changes) {
+    const run = writeQueue.then(async () => {
+        const data = await readSyncData();
+        const space = readSpace(data, user, spaceName);
+
+        const accepted = [];
+        const rejected = [];
+        // Only a new version changes the file (a retried one doesn't)
+        let written = false;
+        for (const change of changes) {
+            const current = ownEntry(space.items, change.uid);
+
+            if (
+                current &&
+                current.updatedAt === change.updatedAt &&
+                current.deviceId === change.deviceId
+            ) {
+                accepted.push(change.uid);
+                continue;
+            }
+
+            if (current && !isNewer(change, current)) {
+                rejected.push({ uid: change.uid, current });
+                continue;
+            }
+
+            space.cursor++;
+            setEntry(space.items, change.uid, {
+                uid: change.uid,
+                seq: space.cursor,
+                deleted: change.deleted,
+                record: change.deleted ? null : pickRecord(change.record),
+                updatedAt: change.updatedAt,
+                deviceId: change.deviceId
+            });
+            accepted.push(change.uid);
+            written = true;
+        }
+
+        if (written) {
+            if (!ownEntry(data.users, user)) {
+                setEntry(data.users, user, { spaces: {} });
+            }
+            setEntry(data.users[user].spaces, spaceName, space);
+            await writeJsonAtomic(SYNC_FILE, data);
+        }
+
+        return { cursor: space.cursor, accepted, rejected };
+    });
+
+    // A failed write must not block the following ones
+    writeQueue = run.catch(() => {});
+    return run;
+}
+
+/*
+ * pullChanges(user, space, since)
+ * Returns the items of one of the user's spaces that changed after cursor "since",
+ * oldest change first:
+ * { cursor, changes, more }. "cursor" is where the next pull starts; "more"
+ * is true when the batch was cut at MAX_SYNC_BATCH.
+ */
+export async function pullChanges(user, spaceName, since) {
+    const space = readSpace(await readSyncData(), user, spaceName);
+
+    const changed = Object.values(space.items)
+        .filter((item) => item.seq > since)
+        .sort((a, b) => a.seq - b.seq);
+    const changes = changed.slice(0, MAX_SYNC_BATCH);
+    const more = changed.length > changes.length;
+
+    return {
+        cursor: more ? changes[changes.length - 1].seq : Math.max(space.cursor, since),
+        changes,
+        more
+    };
+}
@@ -0,0 +1,93 @@
+// auth.test.js
+// Admin endpoints need a bearer token: without one or with a wrong one nothing
+// changes, with a valid one the rates are written and logged under its admin
+
+// Node's built-in test runner and assertions
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+
+// Reading the files the server writes
+import fs from "fs/promises";
+import path from "path";
+
+// A server on its own temp data folder
+import { startTestServer, TEST_RATES } from "./helpers.js";
+
+let server;
+
+// Two named admins, no sync users
+before(async () => {
+    server = await startTestServer({
+        port: 4213,
+        env: { RATES_ADMIN_TOKENS: "alice:alice-token,bob:bob-token" }
+    });
+});
+
+// Stop the server and remove its temp folder
+after(() => server.stop());
+
+// PATCH one rate with the given headers
+function patchRate(currency, rate, headers = {}) {
+    return fetch(`${server.base}/rates/${currency}`, {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json", ...headers },
+        body: JSON.stringify({ rate })
+    });
+}
+
+// The rates file as the server has it on disk
+async function ratesOnDisk() {
+    return JSON.parse(await fs.readFile(path.join(server.dataDir, "rates.json"), "utf8"));
+}
+
+test("a request without a token is 401 and changes nothing", async () => {
+    const res = await patchRate("GBP", 0.5);
+    assert.equal(res.status, 401);
+    assert.deepEqual(await ratesOnDisk(), TEST_RATES);
+
+    // Reading the admin data needs the token too
+    assert.equal((await fetch(`${server.base}/admin/changes`)).status, 401);
+});
+
+test("a wrong token (or a non-bearer header) is 401 and changes nothing", async () => {
+    for (const Authorization of ["Bearer nope", "Bearer alice-token-2", "alice-token"]) {
+        const res = await patchRate("GBP", 0.5, { Authorization });
+        assert.equal(res.status, 401, Authorization);
+    }
+    assert.deepEqual(await ratesOnDisk(), TEST_RATES);
+});
+
+test("a valid token changes the rates and logs the change under its admin", async () => {
+    const res = await patchRate("GBP", 0.61, { Authorization: "Bearer bob-token" });
+    assert.equal(res.status, 200);
+
+    const body = await res.json();
+    assert.equal(body.rates.GBP, 0.61);
+    assert.equal((await ratesOnDisk()).GBP, 0.61);
+
+    // One line in the change log file...
+    const lines = (await fs.readFile(path.join(server.dataDir, "rates-changelog.jsonl"), "utf8"))
+        .split("\n")
+        .filter(Boolean)
+        .map((line) => JSON.parse(line));
+    assert.equal(lines.length, 1);
+    assert.deepEqual(
+        { user: lines[0].user, currency: lines[0].currency, from: lines[0].from, to: lines[0].to },
+        { user: "bob", currency: "GBP", from: 0.6, to: 0.61 }
+    );
+
+    // ...which the admin API returns as well
+    const changes = await fetch(`${server.base}/admin/changes`, {
+        headers: { Authorization: "Bearer alice-token" }
+    });
+    assert.equal(changes.status, 200);
+    assert.deepEqual((await changes.json()).changes, lines);
+});
+
+test("an API without configured tokens is disabled (503)", async () => {
+    // No SYNC_TOKEN(S) on this server
+    const res = await fetch(`${server.base}/sync/pull?space=default&since=0`, {
+        headers: { Authorization: "Bearer alice-token" }
+    });
+    assert.equal(res.status, 503);
+});
@@ -0,0 +1,93 @@
+// convert.test.js
+// Public rate endpoints: /currencies lists the catalogue of the current rates,
+// /convert does the client's USD cross-rate math and answers 400 to bad input
+
+// Node's built-in test runner and assertions
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+
+// A server on its own temp data folder
+import { startTestServer, TEST_RATES } from "./helpers.js";
+
+let server;
+
+// No tokens needed – both endpoints are public
+before(async () => {
+    server = await startTestServer({ port: 4214 });
+});
+
+// Stop the server and remove its temp folder
+after(() => server.stop());
+
+// GET /convert with the given query (undefined values are left out)
+async function convert(query) {
+    const params = new URLSearchParams(
+        Object.entries(query).filter(([, value]) => value !== undefined)
+    );
+    const res = await fetch(`${server.base}/convert?${params}`);
+    return { status: res.status, body: await res.json() };
+}
+
+test("/currencies lists every code of the rates with its catalogue entry", async () => {
+    const res = await fetch(`${server.base}/currencies`);
+    assert.equal(res.status, 200);
+
+    const body = await res.json();
+    assert.equal(body.base, "USD");
+    assert.deepEqual(body.currencies.map((c) => c.code), Object.keys(TEST_RATES));
+    assert.deepEqual(body.currencies.find((c) => c.code === "EURO"), {
+        code: "EURO",
+        name: "Euro",
+        symbol: "€",
+        decimals: 2,
+        rate: 0.7
+    });
+});
+
+test("/convert uses the USD cross rate and rounds to the target currency", async () => {
+    const { status, body } = await convert({ from: "ILS", to: "GBP", amount: "120" });
+    assert.equal(status, 200);
+    assert.equal(body.amount, 120);
+    assert.equal(body.rate, 0.6 / 3.4);
+    assert.equal(body.result, 21.18);
+    assert.equal(body.currency.code, "GBP");
+});
+
+test("/convert rejects an unknown currency with 400", async () => {
+    for (const query of [
+        { from: "XYZ", to: "GBP", amount: "10" },
+        { from: "USD", to: "EUR", amount: "10" },
+        // Inherited object keys are not currencies
+        { from: "constructor", to: "USD", amount: "10" }
+    ]) {
+        const { status, body } = await convert(query);
+        assert.equal(status, 400, JSON.stringify(query));
+        assert.match(body.error, /Unknown currency/);
+    }
+});
+
+test("/convert rejects an amount that isn't a plain decimal number with 400", async () => {
+    for (const amount of ["abc", "", "1e3", "12,5", "0x10", " 5"]) {
+        const { status, body } = await convert({ from: "USD", to: "GBP", amount });
+        assert.equal(status, 400, JSON.stringify(amount));
+        assert.match(body.error, /amount/);
+    }
+});
+
+test("/convert rejects missing parameters with 400", async () => {
+    const missingAmount = await convert({ from: "USD", to: "GBP" });
+    assert.equal(missingAmount.status, 400);
+    assert.match(missingAmount.body.error, /amount/);
+
+    const missingFrom = await convert({ to: "GBP", amount: "10" });
+    assert.equal(missingFrom.status, 400);
+    assert.equal(missingFrom.body.error, "Unknown currency: (missing)");
+
+    const missingTo = await convert({ from: "USD", amount: "10" });
+    assert.equal(missingTo.status, 400);
+    assert.equal(missingTo.body.error, "Unknown currency: (missing)");
+
+    // A repeated parameter arrives as an array, not a code
+    const res = await fetch(`${server.base}/convert?from=USD&from=GBP&to=ILS&amount=1`);
+    assert.equal(res.status, 400);
+});
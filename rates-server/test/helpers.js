@@ -0,0 +1,60 @@
+// helpers.js
+// Starts server.js as a child process on its own port and temp data folder,
+// so every test file talks to a real server without touching the repo's files
+
+// Temp folder for the data files and a child process for the server
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { spawn } from "child_process";
+import { fileURLToPath } from "url";
+
+// The server under test (one folder up)
+const SERVER = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "server.js");
+
+// Rates of a fresh test server (also its only snapshot, dated 2026-01-01)
+export const TEST_RATES = { USD: 1, GBP: 0.6, EURO: 0.7, ILS: 3.4 };
+
+/*
+ * startTestServer({ port, env })
+ * Writes rates.json + rates-history.json into a new temp folder, starts the
+ * server there (the sync data file goes there too) with the extra environment variables and waits until it answers.
+ * Returns { base, dataDir, stop } – stop() ends the server and removes the folder.
+ */
+export async function startTestServer({ port, env = {} }) {
+    const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "rates-test-"));
+    await fs.writeFile(path.join(dataDir, "rates.json"), JSON.stringify(TEST_RATES));
+    await fs.writeFile(
+        path.join(dataDir, "rates-history.json"),
+        JSON.stringify({ "2026-01-01": TEST_RATES })
+    );
+
+    const server = spawn(process.execPath, [SERVER], {
+        env: {
+            ...process.env,
+            PORT: String(port),
+            RATES_DATA_DIR: dataDir,
+            SYNC_DATA_FILE: path.join(dataDir, "sync-data.json"),
+            ...env
+        },
+        stdio: "ignore"
+    });
+
+    async function stop() {
+        server.kill();
+        await fs.rm(dataDir, { recursive: true, force: true });
+    }
+
+    // Wait until the server answers (at most ~5 seconds)
+    const base = `http://localhost:${port}`;
+    for (let i = 0; i < 50; i++) {
+        try {
+            await fetch(`${base}/currencies`);
+            return { base, dataDir, stop };
+        } catch {
+            await new Promise((resolve) => setTimeout(resolve, 100));
+        }
+    }
+    await stop();
+    throw new Error("Test server did not start");
+}
@@ -0,0 +1,57 @@
+// history.test.js
+// Rate changes through the admin API must add a dated snapshot, so a later
+// date resolves to the newer rates while older dates keep the old ones
+
+// Node's built-in test runner and assertions
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+
+// Test server on a temp copy of the rates files
+import { startTestServer, TEST_RATES as OLD_RATES } from "./helpers.js";
+
+// Admin token of the test server
+const ADMIN = { Authorization: "Bearer test-admin", "Content-Type": "application/json" };
+
+let server;
+let BASE;
+
+// Start the server with the old rates stored as the 2026-01-01 snapshot
+before(async () => {
+    server = await startTestServer({ port: 4210, env: { RATES_ADMIN_TOKEN: "test-admin" } });
+    BASE = server.base;
+});
+
+// Stop the server and remove its temp folder
+after(() => server.stop());
+
+test("a rates change adds today's snapshot and later dates resolve to it", async () => {
+    const today = new Date().toISOString().slice(0, 10);
+
+    // Change one rate, then replace them all (both go through the same write path)
+    let res = await fetch(`${BASE}/rates/GBP`, {
+        method: "PATCH",
+        headers: ADMIN,
+        body: JSON.stringify({ rate: 0.8 })
+    });
+    assert.equal(res.status, 200);
+
+    const newRates = { USD: 1, GBP: 0.8, EURO: 0.9, ILS: 3.7 };
+    res = await fetch(`${BASE}/rates`, { method: "PUT", headers: ADMIN, body: JSON.stringify(newRates) });
+    assert.equal(res.status, 200);
+
+    // Today (and any later date) uses the new snapshot – the last change of the day wins
+    res = await fetch(`${BASE}/rates/${today}`);
+    assert.deepEqual(await res.json(), { requested: today, date: today, rates: newRates });
+
+    res = await fetch(`${BASE}/rates/2099-12-31`);
+    assert.equal((await res.json()).date, today);
+
+    // The old date still resolves to the old snapshot
+    res = await fetch(`${BASE}/rates/2026-01-01`);
+    assert.deepEqual((await res.json()).rates, OLD_RATES);
+
+    // The range lists both snapshots
+    res = await fetch(`${BASE}/rates/range?from=2026-01-01&to=${today}`);
+    const { snapshots } = await res.json();
+    assert.deepEqual(snapshots.map((s) => s.date), ["2026-01-01", today]);
+});
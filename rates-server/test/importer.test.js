@@ -0,0 +1,84 @@
+// importer.test.js
+// Provider files (samples/) are parsed and rebased to USD; through /admin/import
+// a bad file is the caller's 400 and a good one becomes the snapshot of its date
+
+// Node's built-in test runner and assertions
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+
+// Reading the sample files
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+// The importer under test and a test server for the endpoint
+import { parseRatesFile, ImportError } from "../importer.js";
+import { startTestServer } from "./helpers.js";
+
+// Provider files shipped with the importer
+const SAMPLES = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "samples");
+const sample = (name) => fs.readFile(path.join(SAMPLES, name), "utf8");
+
+// Admin token of the test server
+const ADMIN = { Authorization: "Bearer test-admin" };
+
+let server;
+
+// Start the server with admin access
+before(async () => {
+    server = await startTestServer({ port: 4212, env: { RATES_ADMIN_TOKEN: "test-admin" } });
+});
+
+// Stop the server and remove its temp folder
+after(() => server.stop());
+
+test("a USD-based CSV is read as is (EUR becomes EURO)", async () => {
+    const result = parseRatesFile(await sample("rates.csv"));
+    assert.equal(result.format, "csv");
+    assert.equal(result.date, null);
+    assert.deepEqual(result.rates, { USD: 1, GBP: 0.79, EURO: 0.92, ILS: 3.41 });
+});
+
+test("an EUR-based JSON is rebased to USD and keeps its date", async () => {
+    const result = parseRatesFile(await sample("rates-eur.json"));
+    assert.equal(result.format, "json");
+    assert.equal(result.sourceBase, "EURO");
+    assert.equal(result.date, "2026-10-16");
+    assert.equal(result.rates.USD, 1);
+    assert.equal(result.rates.EURO, Number((1 / 1.085).toPrecision(8)));
+    assert.equal(result.rates.GBP, Number((0.854 / 1.085).toPrecision(8)));
+});
+
+test("malformed files throw ImportError", () => {
+    assert.throws(() => parseRatesFile('{"USD": 1, "GBP": '), ImportError);
+    assert.throws(() => parseRatesFile("currency,rate\nGBP,abc"), ImportError);
+    assert.throws(() => parseRatesFile("code;value\nGBP;0.8"), ImportError);
+    assert.throws(() => parseRatesFile('{"base": "EUR", "date": "16/10/2026", "rates": {"USD": 1.1}}'), ImportError);
+});
+
+test("/admin/import answers 400 for a malformed file and changes nothing", async () => {
+    const res = await fetch(`${server.base}/admin/import?format=csv`, {
+        method: "POST",
+        headers: { ...ADMIN, "Content-Type": "text/csv" },
+        body: "currency,rate\nGBP,-1"
+    });
+    assert.equal(res.status, 400);
+    assert.match((await res.json()).error, /Invalid rate for GBP/);
+
+    const rates = await (await fetch(`${server.base}/rates.json`)).json();
+    assert.equal(rates.GBP, 0.6);
+});
+
+test("an imported file becomes the snapshot of the file's date", async () => {
+    const res = await fetch(`${server.base}/admin/import`, {
+        method: "POST",
+        headers: { ...ADMIN, "Content-Type": "application/json" },
+        body: await sample("rates-eur.json")
+    });
+    assert.equal(res.status, 200);
+    const imported = await res.json();
+
+    const snapshot = await (await fetch(`${server.base}/rates/2026-10-16`)).json();
+    assert.equal(snapshot.date, "2026-10-16");
+    assert.deepEqual(snapshot.rates, imported.rates);
+});
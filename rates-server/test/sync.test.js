@@ -0,0 +1,176 @@
+// sync.test.js
+// The /sync endpoints against a real server: push + pull with the cursor,
+// last-writer-wins conflicts, paged pulls and the sync token
+
+// Node's built-in test runner and assertions
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+
+// Test server with its own sync data file in a temp folder
+import { startTestServer } from "./helpers.js";
+
+// Sync token of the test server
+const SYNC = { Authorization: "Bearer test-sync", "Content-Type": "application/json" };
+
+let server;
+
+// Start the server with sync enabled
+before(async () => {
+    server = await startTestServer({ port: 4211, env: { SYNC_TOKEN: "test-sync" } });
+});
+
+// Stop the server and remove its temp folder
+after(() => server.stop());
+
+// One synced cost change
+function change(uid, updatedAt, sum, deviceId = "device-a") {
+    return {
+        uid,
+        deleted: false,
+        record: {
+            sum,
+            currency: "USD",
+            category: "FOOD",
+            description: "lunch",
+            tags: [],
+            year: 2026,
+            month: 1,
+            day: 5
+        },
+        updatedAt,
+        deviceId
+    };
+}
+
+// POST /sync/push to a space
+async function push(space, changes, headers = SYNC) {
+    return fetch(`${server.base}/sync/push?space=${space}`, {
+        method: "POST",
+        headers,
+        body: JSON.stringify({ changes })
+    });
+}
+
+// GET /sync/pull of a space after a cursor
+async function pull(space, since) {
+    const res = await fetch(`${server.base}/sync/pull?space=${space}&since=${since}`, { headers: SYNC });
+    assert.equal(res.status, 200);
+    return res.json();
+}
+
+test("pushed changes are pulled once, then the cursor skips them", async () => {
+    let res = await push("home", [
+        change("a1", "2026-01-05T10:00:00.000Z", 10),
+        change("a2", "2026-01-05T10:00:01.000Z", 20)
+    ]);
+    assert.equal(res.status, 200);
+    const pushed = await res.json();
+    assert.deepEqual(pushed.accepted, ["a1", "a2"]);
+    assert.deepEqual(pushed.rejected, []);
+
+    // Everything since 0, oldest change first
+    const first = await pull("home", 0);
+    assert.deepEqual(first.changes.map((c) => [c.uid, c.record.sum]), [["a1", 10], ["a2", 20]]);
+    assert.equal(first.more, false);
+    assert.equal(first.cursor, pushed.cursor);
+
+    // Nothing new after the returned cursor
+    const second = await pull("home", first.cursor);
+    assert.deepEqual(second.changes, []);
+    assert.equal(second.cursor, first.cursor);
+
+    // Another space of the same user doesn't see them
+    assert.deepEqual((await pull("work", 0)).changes, []);
+});
+
+test("an older change loses and is returned with the current version", async () => {
+    await push("lww", [change("c1", "2026-02-01T12:00:00.000Z", 50, "device-b")]);
+
+    const res = await push("lww", [change("c1", "2026-02-01T11:00:00.000Z", 40, "device-a")]);
+    const result = await res.json();
+    assert.deepEqual(result.accepted, []);
+    assert.equal(result.rejected.length, 1);
+    assert.equal(result.rejected[0].uid, "c1");
+    assert.equal(result.rejected[0].current.record.sum, 50);
+    assert.equal(result.rejected[0].current.deviceId, "device-b");
+
+    // A newer change wins and replaces it
+    await push("lww", [change("c1", "2026-02-01T13:00:00.000Z", 60, "device-a")]);
+    const { changes } = await pull("lww", 0);
+    assert.deepEqual(changes.map((c) => c.record.sum), [60]);
+});
+
+test("a retried push of the stored version is accepted without a new cursor", async () => {
+    const same = change("r1", "2026-02-02T09:00:00.000Z", 70, "device-a");
+    const first = await (await push("retry", [same])).json();
+
+    const retry = await (await push("retry", [same])).json();
+    assert.deepEqual(retry.accepted, ["r1"]);
+    assert.deepEqual(retry.rejected, []);
+    assert.equal(retry.cursor, first.cursor);
+
+    // Other devices pulling after the first push don't get it again
+    assert.deepEqual((await pull("retry", first.cursor)).changes, []);
+});
+
+test("spaces and uids named like object properties are ordinary names", async () => {
+    for (const space of ["__proto__", "constructor", "toString"]) {
+        const res = await push(space, [
+            change("__proto__", "2026-02-03T08:00:00.000Z", 1),
+            change("constructor", "2026-02-03T08:00:01.000Z", 2),
+            change("hasOwnProperty", "2026-02-03T08:00:02.000Z", 3)
+        ]);
+        assert.equal(res.status, 200, space);
+        assert.deepEqual((await res.json()).accepted, ["__proto__", "constructor", "hasOwnProperty"]);
+
+        const { changes } = await pull(space, 0);
+        assert.deepEqual(
+            changes.map((c) => [c.uid, c.record.sum]),
+            [["__proto__", 1], ["constructor", 2], ["hasOwnProperty", 3]],
+            space
+        );
+    }
+
+    // A space that was never pushed to is empty, whatever its name
+    for (const space of ["valueOf", "__defineGetter__"]) {
+        const { changes, cursor } = await pull(space, 0);
+        assert.deepEqual(changes, []);
+        assert.equal(cursor, 0);
+    }
+});
+
+test("a large pull comes in pages marked with more", async () => {
+    // 501 changes: one more than a pull returns at once
+    const changes = Array.from({ length: 501 }, (_, i) =>
+        change(`p${i}`, "2026-03-01T00:00:00.000Z", i + 1)
+    );
+    assert.equal((await push("paged", changes.slice(0, 500))).status, 200);
+    assert.equal((await push("paged", changes.slice(500))).status, 200);
+
+    const first = await pull("paged", 0);
+    assert.equal(first.changes.length, 500);
+    assert.equal(first.more, true);
+
+    const second = await pull("paged", first.cursor);
+    assert.deepEqual(second.changes.map((c) => c.uid), ["p500"]);
+    assert.equal(second.more, false);
+});
+
+test("a missing or wrong sync token gets 401", async () => {
+    let res = await fetch(`${server.base}/sync/pull?space=home&since=0`);
+    assert.equal(res.status, 401);
+
+    res = await fetch(`${server.base}/sync/pull?space=home&since=0`, {
+        headers: { Authorization: "Bearer wrong" }
+    });
+    assert.equal(res.status, 401);
+
+    res = await push("home", [change("x1", "2026-01-05T10:00:00.000Z", 1)], {
+        Authorization: "Bearer wrong",
+        "Content-Type": "application/json"
+    });
+    assert.equal(res.status, 401);
+
+    // Nothing was stored by the refused push
+    assert.deepEqual((await pull("home", 0)).changes.map((c) => c.uid), ["a1", "a2"]);
+});